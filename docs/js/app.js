@@ -3,7 +3,24 @@
  * Handles routing, UI updates, and user interactions
  */
 
-import { db } from './db.js';
+import { db, STATUSES, SORT_ORDERS, MAX_ATTACHMENT_BYTES } from './db.js';
+import { StorageQuotaError } from './storage.js';
+import { createZip, readZip } from './zip.js';
+import { renderMarkdown, stripMarkdown, parseTaskItems } from './markdown.js';
+import { diffLines } from './diff.js';
+import { normalizeTag, tagSegments, isTagWithin, getChildSegments, TAG_SEPARATOR } from './tags.js';
+import { WrongPassphraseError, encryptBackup, isEncryptedBackup, decryptBackup } from './crypto.js';
+import {
+    getLibraries, getLibrary, getActiveLibraryId, setActiveLibraryId, createLibrary, renameLibrary,
+    duplicateLibrary, deleteLibrary, getStorageKey, getDraftPrefix, parseLibraryRoute, libraryHash
+} from './libraries.js';
+import { FolderSync, isFolderSyncSupported, buildFolderFiles, readFolderChanges } from './folder-sync.js';
+import { SyncEngine, SyncServerError, SyncChangeTooLargeError } from './sync.js';
+import { fuzzyMatch, highlightMatch } from './fuzzy.js';
+import {
+    IMAGE_TYPES, isSupportedImage, readDataTransfer, takePendingShare, hasPendingShare, discardPendingShare
+} from './share.js';
+import { expandTemplate } from './templates.js';
 
 /**
  * Debounce utility function
@@ -20,14 +37,83 @@ function debounce(func, wait) {
     };
 }
 
+const UNDO_TIMEOUT_MS = 10000;  // How long the undo notification stays up
+const LIST_PAGE_SIZE = 50;  // Cards rendered at first and per "Load more"
+const MIN_PASSPHRASE_LENGTH = 8;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];  // Postpone auto-lock
+const CAPTURE_TITLE_LENGTH = 120;  // Longer captured lines are cut for the title and kept whole in the description
+const UNDESCRIBED_STATUSES = ['inbox', 'captured'];  // Statuses an idea can be saved in without a description
+const BOOKMARKLET_TEXT_LENGTH = 2000;  // Selected text sent by the bookmarklet, to keep its URL a safe length
+const PALETTE_LIMIT = 50;  // Results listed in the command palette
+const PALETTE_RECENT_IDEAS = 5;  // Ideas listed before anything is typed
+const DROP_TYPES = ['Files', 'text/uri-list', 'text/plain'];  // Dragged content the list view accepts
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'email', 'password', 'number', 'tel', 'date', 'datetime-local', 'month', 'time', 'week'];
+
+/**
+ * List view state when the route sets nothing; see parseListFilters() for the URL form
+ * A null sort means relevance when searching and most recently updated otherwise.
+ */
+const DEFAULT_LIST_FILTERS = {
+    text: '',
+    tags: [],
+    excludeTags: [],
+    status: null,
+    dateField: 'updated',
+    from: null,
+    to: null,
+    hasNextAction: null,
+    sort: null
+};
+
+/**
+ * Autocomplete widgets that share the suggestion dropdown and keyboard navigation
+ */
+const SUGGESTION_WIDGETS = {
+    tags: { input: 'idea-tags-input', dropdown: 'tags-dropdown', liveRegion: 'tags-live-region', optionId: 'tag-suggestion' },
+    links: { input: 'idea-body', dropdown: 'link-dropdown', liveRegion: 'link-live-region', optionId: 'link-suggestion' }
+};
+
 class IdeaApp {
     constructor() {
         this.currentView = null;
+        this.library = null;  // Open library, from the registry in libraries.js
+        this.folderSync = null;  // Mirrors the library to a folder, once one is chosen
+        this.serverSync = null;  // Syncs the library with a server, once one is set up
         this.currentIdeaId = null;
+        this.inboxIds = [];  // Inbox items in triage order, as last shown
+        this.attachmentUrls = [];  // Object URLs of the attachments on screen, revoked when they go
+        this.attachmentRefs = new Map();  // Attachments the description can show: id -> { filename, url }
+        this.formAttachments = [];  // Files of the idea in the form; new ones carry their data until saved
+        this.removedAttachmentIds = [];  // Saved files removed in the form, deleted when it is saved
+        this.formTemplateId = null;  // Template the new idea in the form started from
+        this.formSnapshot = null;  // Form contents when it opened, to tell whether it has unsaved edits
+        this.draggingInPage = false;  // A drag started on the page itself, so its drop isn't captured
         this.currentTags = [];  // Tags for current idea being created/edited
         this.selectedSuggestionIndex = -1;  // For keyboard navigation in dropdown
         this.blurTimeoutId = null;  // Track blur timeout for cancellation (VoiceOver support)
         this.debouncedSaveDraft = debounce(() => this.saveDraft(), 500);  // Debounced draft save
+        this.pendingImport = null;  // Parsed backup file awaiting confirmation
+        this.pendingEncryptedImport = null;  // Encrypted backup awaiting its passphrase
+        this.debouncedSearch = debounce(() => this.handleSearchInput(), 300);  // Search as you type
+        this.currentRevisions = [];  // Revisions of the idea in the detail view, newest first
+        this.toastTimeoutId = null;  // Hides the undo notification
+        this.expandedTagPaths = new Set();  // Open branches of the list view's tag tree
+        this.listFilters = DEFAULT_LIST_FILTERS;  // Filters and sort of the list view, mirrored in the URL
+        this.listPage = null;  // Query, loaded card count and total of the list view
+        this.selection = null;  // Ids selected in the list view; null when it isn't in select mode
+        this.selectionAnchor = null;  // Id a shift-click range starts from
+        this.pendingExportIds = null;  // Ideas to preselect when the export view opens next
+        this.exportSelection = null;  // Ideas checked when the export list is rendered; null for all
+        this.waitingWorker = null;  // Downloaded app version waiting to take over
+        this.updateRequested = false;  // The user chose to reload into waitingWorker
+        this.autoLockMs = 0;  // Inactivity before an encrypted library locks; 0 when it never does
+        this.autoLockTimeoutId = null;
+        this.lastActivityAt = Date.now();
+        this.paletteIdeas = [];  // Idea titles, read each time the palette opens
+        this.paletteResults = [];  // Items listed in the palette: { kind, label, positions, shortcut, run }
+        this.paletteIndex = -1;  // Highlighted palette result
+        this.dialogReturnFocus = null;  // Where focus goes back to when a dialog closes
+        this.singleKeyShortcuts = true;  // n, /, e, j, k, x and ? work outside text fields
     }
 
     /**
@@ -38,11 +124,42 @@ class IdeaApp {
             // Show loading view
             this.showView('loading-view');
 
+            // Open the library named in the route, or the one used last
+            const { libraryId } = parseLibraryRoute(window.location.hash);
+            this.library = getLibrary(libraryId) || getLibrary(getActiveLibraryId());
+            setActiveLibraryId(this.library.id);
+            this.renderLibrarySwitcher();
+            // Set up before unlocking, so a different library can be picked from the unlock screen
+            document.getElementById('library-select').addEventListener('change', (e) => this.switchLibrary(e.target.value));
+
             // Initialize database
-            await db.init();
+            db.onStorageError = (error) => this.showStorageError(error);
+            await db.init(getStorageKey(this.library.id));
+
+            // An encrypted library stays closed until the passphrase is entered
+            if (db.isLocked()) {
+                this.showPendingShareNote();
+                await this.waitForUnlock();
+            }
 
             // Set up event listeners
             this.setupEventListeners();
+            this.startAutoLock();
+
+            // Mirror the library to its synced folder, if it has one
+            this.folderSync = new FolderSync(db);
+            this.folderSync.onStatusChange = () => this.updateSyncStatus();
+            this.folderSync.restore().catch(error => console.error('Folder sync could not start:', error));
+
+            // Sync with the server, if one is set up; failures are retried, so this never throws
+            this.serverSync = new SyncEngine(db);
+            this.serverSync.onStatusChange = () => this.updateServerSyncStatus();
+            this.serverSync.restore();
+
+            db.onChange = () => {
+                this.folderSync.scheduleSync();
+                this.serverSync.scheduleSync();
+            };
 
             // Handle initial route
             this.handleRoute();
@@ -50,9 +167,16 @@ class IdeaApp {
             // Listen for hash changes (client-side routing)
             window.addEventListener('hashchange', () => this.handleRoute());
 
+            // Cache the app for offline use; not awaited so a failure can't block startup
+            this.registerServiceWorker();
+
         } catch (error) {
             console.error('App initialization failed:', error);
-            this.showError('Failed to initialize application. Please refresh the page.');
+            if (error instanceof StorageQuotaError) {
+                this.showError(error.message);
+            } else {
+                this.showError('Failed to initialize application. Please refresh the page.');
+            }
         }
     }
 
@@ -63,21 +187,251 @@ class IdeaApp {
         // Form submission
         const form = document.getElementById('idea-form');
         form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        document.getElementById('idea-status').addEventListener('change', (e) => this.updateBodyRequired('idea-body', e.target.value));
+
+        // Export form
+        const exportForm = document.getElementById('export-form');
+        exportForm.addEventListener('submit', (e) => this.handleExport(e));
+        exportForm.addEventListener('change', () => this.updateExportCount());
+        document.getElementById('export-encrypt').addEventListener('change', () => this.updateExportEncryption());
+        document.querySelectorAll('input[name="export-format"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateExportEncryption());
+        });
+        document.getElementById('export-include-trashed').addEventListener('change', () => this.renderExportList());
+        document.getElementById('export-select-all').addEventListener('click', () => this.setExportSelection(true));
+        document.getElementById('export-select-none').addEventListener('click', () => this.setExportSelection(false));
+
+        // Update banner
+        document.getElementById('update-reload-btn').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+            document.getElementById('update-banner').hidden = true;
+        });
+
+        // Folder sync; outside edits are looked for whenever the app comes back into view
+        document.getElementById('sync-connect-btn').addEventListener('click', () => this.handleSyncConnect());
+        document.getElementById('sync-resume-btn').addEventListener('click', () => this.handleSyncResume());
+        document.getElementById('sync-banner-resume-btn').addEventListener('click', () => this.handleSyncResume());
+        document.getElementById('sync-now-btn').addEventListener('click', () => this.handleSyncNow());
+        document.getElementById('sync-disconnect-btn').addEventListener('click', () => this.handleSyncDisconnect());
+        document.getElementById('sync-conflicts').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-keep]');
+            if (button) this.handleSyncConflict(button);
+        });
+        document.getElementById('sync-download-btn').addEventListener('click', () => this.handleSyncDownload());
+        document.getElementById('sync-load-btn').addEventListener('click', () => document.getElementById('sync-folder-input').click());
+        document.getElementById('sync-folder-input').addEventListener('change', (e) => this.handleSyncFolderLoad(e));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.folderSync.sync();
+                this.serverSync.sync();
+            }
+        });
+
+        // Server sync; changes made offline go out as soon as the network is back
+        document.getElementById('server-sync-form').addEventListener('submit', (e) => this.handleServerSyncConnect(e));
+        document.getElementById('server-sync-now-btn').addEventListener('click', () => this.handleServerSyncNow());
+        document.getElementById('server-sync-disconnect-btn').addEventListener('click', () => this.handleServerSyncDisconnect());
+        window.addEventListener('online', () => this.serverSync.sync());
+
+        // Storage error banner
+        document.getElementById('storage-error-dismiss').addEventListener('click', () => {
+            document.getElementById('storage-error').hidden = true;
+        });
+
+        // Import source buttons open the file pickers; the preview is shown once files are chosen
+        const importFile = document.getElementById('import-file');
+        const importFolder = document.getElementById('import-folder');
+        document.getElementById('import-files-btn').addEventListener('click', () => importFile.click());
+        document.getElementById('import-folder-btn').addEventListener('click', () => importFolder.click());
+        importFile.addEventListener('change', (e) => this.handleImportFile(e));
+        importFolder.addEventListener('change', (e) => this.handleImportFile(e));
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderImportPreview());
+        });
+        document.getElementById('import-confirm-btn').addEventListener('click', () => this.handleImportConfirm());
+        document.getElementById('import-cancel-btn').addEventListener('click', () => this.cancelImport());
+        document.getElementById('import-passphrase-form').addEventListener('submit', (e) => this.handleImportDecrypt(e));
+
+        // Settings: encryption and auto-lock
+        document.getElementById('encryption-enable-form').addEventListener('submit', (e) => this.handleEnableEncryption(e));
+        document.getElementById('passphrase-change-form').addEventListener('submit', (e) => this.handleChangePassphrase(e));
+        document.getElementById('encryption-disable-form').addEventListener('submit', (e) => this.handleDisableEncryption(e));
+        document.getElementById('auto-lock-minutes').addEventListener('change', (e) => this.handleAutoLockChange(e));
+        document.getElementById('lock-now-btn').addEventListener('click', () => this.lock());
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivityAt = Date.now();
+            }, { passive: true });
+        });
+
+        // Command palette, shortcuts help and keyboard shortcuts
+        this.singleKeyShortcuts = db.getSingleKeyShortcuts();
+        document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
+        document.getElementById('palette-open-btn').addEventListener('click', () => this.openCommandPalette());
+        document.getElementById('palette-input').addEventListener('input', () => this.renderPaletteResults());
+        document.getElementById('palette-input').addEventListener('keydown', (e) => this.handlePaletteKeydown(e));
+        document.getElementById('palette-results').addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.runPaletteResult(Number(option.getAttribute('data-index')));
+        });
+        document.getElementById('shortcuts-close-btn').addEventListener('click', () => this.closeDialog('shortcuts-help'));
+        document.getElementById('shortcuts-footer-btn').addEventListener('click', () => this.openShortcutsHelp());
+        document.getElementById('shortcuts-show-btn').addEventListener('click', () => this.openShortcutsHelp());
+        document.getElementById('single-key-shortcuts').addEventListener('change', (e) => this.handleSingleKeyShortcutsChange(e));
+        ['palette', 'shortcuts-help', 'merge-dialog'].forEach(id => {
+            const dialog = document.getElementById(id);
+            dialog.addEventListener('keydown', (e) => this.trapFocus(e, dialog));
+            // Escape closes the dialog; handled here so focus goes back to where it was
+            dialog.addEventListener('cancel', (e) => {
+                e.preventDefault();
+                this.closeDialog(id);
+            });
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog && this.isOutside(e, dialog)) this.closeDialog(id);
+            });
+        });
+
+        // Quick capture and inbox triage
+        document.getElementById('capture-form').addEventListener('submit', (e) => this.handleCaptureSubmit(e));
+        document.getElementById('bookmarklet-link').addEventListener('click', (e) => {
+            // Running it here would capture the app itself
+            e.preventDefault();
+            document.getElementById('capture-status').textContent = 'Drag the link to your bookmarks bar, then use it on any web page.';
+        });
+        document.getElementById('triage-form').addEventListener('submit', (e) => this.handleTriageSubmit(e));
+        document.getElementById('triage-status').addEventListener('change', (e) => this.updateBodyRequired('triage-body', e.target.value));
+        document.getElementById('triage-skip-btn').addEventListener('click', () => this.handleTriageSkip());
+        document.getElementById('triage-delete-btn').addEventListener('click', () => this.handleTriageDelete());
+
+        // Pasting or dropping content on the ideas list captures it
+        const listView = document.getElementById('list-view');
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+        document.addEventListener('dragstart', () => {
+            this.draggingInPage = true;
+        });
+        document.addEventListener('dragend', () => {
+            this.draggingInPage = false;
+        });
+        listView.addEventListener('dragover', (e) => this.handleDragOver(e));
+        listView.addEventListener('dragleave', (e) => {
+            if (!listView.contains(e.relatedTarget)) listView.classList.remove('drop-target');
+        });
+        listView.addEventListener('drop', (e) => this.handleDrop(e));
+
+        // Next actions: detail view and the #/actions list
+        document.getElementById('next-action-done-btn').addEventListener('click', () => this.handleNextActionDone());
+        document.getElementById('actions-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-idea-id]');
+            if (button) this.handleActionDone(button);
+        });
+
+        // Revision history: compare two versions, restore one
+        document.getElementById('revision-from').addEventListener('change', () => this.renderRevisionDiff());
+        document.getElementById('revision-to').addEventListener('change', () => this.renderRevisionDiff());
+        document.getElementById('revision-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-revision-id]');
+            if (button) this.handleRestoreRevision(Number(button.getAttribute('data-revision-id')));
+        });
 
-        // Export button
-        const exportBtn = document.getElementById('export-btn');
-        exportBtn.addEventListener('click', () => this.handleExport());
+        // Libraries
+        document.getElementById('library-create-form').addEventListener('submit', (e) => this.handleLibraryCreate(e));
+        document.getElementById('library-table-body').addEventListener('click', (e) => this.handleLibraryTableClick(e));
+
+        // Templates: the form's picker and the templates page
+        document.getElementById('template-select').addEventListener('change', (e) => this.handleTemplateSelect(e));
+        document.getElementById('template-form').addEventListener('submit', (e) => this.handleTemplateSubmit(e));
+        document.getElementById('template-table-body').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-template-id]');
+            if (button) this.handleTemplateDelete(button.getAttribute('data-template-id'));
+        });
+
+        // Tag management
+        document.getElementById('tag-table-body').addEventListener('click', (e) => this.handleTagTableClick(e));
+        document.getElementById('tag-table-body').addEventListener('change', () => this.updateTagSelection());
+        document.getElementById('tag-merge-form').addEventListener('submit', (e) => this.handleTagMerge(e));
 
         // Delete button
         const deleteBtn = document.getElementById('delete-btn');
         deleteBtn.addEventListener('click', () => this.handleDelete());
 
+        // Trash: restore or delete forever, empty, retention period
+        document.getElementById('trash-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-idea-id]');
+            if (button) this.handleTrashAction(button);
+        });
+        document.getElementById('trash-empty-btn').addEventListener('click', () => this.handleEmptyTrash());
+        document.getElementById('trash-retention').addEventListener('change', (e) => this.handleRetentionChange(e));
+
+        // Undo notification stays up while the pointer or focus is on it
+        const toastRegion = document.getElementById('toast-region');
+        toastRegion.addEventListener('mouseenter', () => clearTimeout(this.toastTimeoutId));
+        toastRegion.addEventListener('focusin', () => clearTimeout(this.toastTimeoutId));
+        toastRegion.addEventListener('mouseleave', () => this.scheduleToastHide());
+        toastRegion.addEventListener('focusout', () => this.scheduleToastHide());
+
+        // Search: submit navigates immediately, typing updates results after a pause
+        const searchForm = document.getElementById('search-form');
+        searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSearchInput();
+        });
+        document.getElementById('search-input').addEventListener('input', () => this.debouncedSearch());
+        document.getElementById('tag-tree').addEventListener('click', (e) => this.handleTagTreeToggle(e));
+        document.getElementById('load-more-btn').addEventListener('click', () => this.handleLoadMore());
+
+        // Selecting ideas in the list and changing them together
+        document.getElementById('select-mode-btn').addEventListener('click', () => this.setSelectMode(!this.selection));
+        document.getElementById('ideas-list').addEventListener('click', (e) => {
+            if (e.target.matches('.idea-select')) this.handleSelectionClick(e);
+        });
+        document.getElementById('batch-select-all-btn').addEventListener('click', () => this.selectAllMatching());
+        document.getElementById('batch-clear-btn').addEventListener('click', () => this.clearSelection());
+        document.getElementById('batch-tag-form').addEventListener('submit', (e) => this.handleBatchTag(e));
+        document.getElementById('batch-status-form').addEventListener('submit', (e) => this.handleBatchStatus(e));
+        document.getElementById('batch-export-btn').addEventListener('click', () => this.handleBatchExport());
+        document.getElementById('batch-trash-btn').addEventListener('click', () => this.handleBatchTrash());
+        document.getElementById('batch-merge-btn').addEventListener('click', () => this.openMergeDialog());
+        document.getElementById('merge-form').addEventListener('submit', (e) => this.handleMerge(e));
+        document.getElementById('merge-cancel-btn').addEventListener('click', () => this.closeDialog('merge-dialog'));
+        document.getElementById('filter-form').addEventListener('change', () => this.handleFilterChange());
+        document.getElementById('filter-form').addEventListener('submit', (e) => e.preventDefault());
+
+        // Description write/preview toggle
+        document.getElementById('body-write-btn').addEventListener('click', () => this.setBodyMode('edit'));
+        document.getElementById('body-preview-btn').addEventListener('click', () => this.setBodyMode('preview'));
+
         // Draft autosave for title and body fields
         const titleInput = document.getElementById('idea-title');
         const bodyInput = document.getElementById('idea-body');
+        const nextActionInput = document.getElementById('idea-next-action');
         titleInput.addEventListener('input', () => this.debouncedSaveDraft());
         bodyInput.addEventListener('input', () => this.debouncedSaveDraft());
 
+        // [[ link autocomplete in the description
+        bodyInput.addEventListener('input', () => this.handleBodyInput());
+        bodyInput.addEventListener('keydown', (e) => this.handleBodyKeydown(e));
+        bodyInput.addEventListener('blur', () => {
+            this.blurTimeoutId = setTimeout(() => {
+                this.hideLinkSuggestions();
+                this.blurTimeoutId = null;
+            }, 300);
+        });
+        nextActionInput.addEventListener('input', () => this.debouncedSaveDraft());
+
+        // Attachments: pick files, paste images into the description, insert or remove them
+        bodyInput.addEventListener('paste', (e) => this.handleBodyPaste(e));
+        document.getElementById('attachment-input').addEventListener('change', (e) => this.handleAttachmentInput(e));
+        document.getElementById('form-attachment-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-attachment-id]');
+            if (!button) return;
+            const id = button.getAttribute('data-attachment-id');
+            if (button.getAttribute('data-action') === 'insert') {
+                this.insertAttachmentReference(id);
+            } else {
+                this.removeFormAttachment(id);
+            }
+        });
+
         // Tags input
         const tagsInput = document.getElementById('idea-tags-input');
         tagsInput.addEventListener('keydown', (e) => this.handleTagInputKeydown(e));
@@ -101,21 +455,64 @@ class IdeaApp {
      * Handle routing based on hash
      */
     handleRoute() {
-        const hash = window.location.hash.slice(1) || '/';
+        // Routes name their library (#/@work/tags); one without a library is for the open one
+        const { libraryId, route } = parseLibraryRoute(window.location.hash);
+        if (libraryId && libraryId !== this.library.id && getLibrary(libraryId)) {
+            this.switchLibrary(libraryId, route);
+            return;
+        }
+        if (libraryId !== this.library.id) {
+            history.replaceState(null, '', libraryHash(this.library.id, route));
+        }
+
+        const [hash, queryString = ''] = route.split('?');
         const [path, id] = hash.split('/').filter(Boolean);
 
         // Update nav active state
         this.updateNavActive(path);
+        this.updateInboxCount();
 
         // Route to appropriate view
         if (!path || path === '') {
-            this.showListView();
+            this.showListView(this.parseListFilters(queryString));
         } else if (path === 'create') {
-            this.showFormView();
+            this.showFormView(null, new URLSearchParams(queryString).get('template'));
         } else if (path === 'edit' && id) {
             this.showFormView(id);
         } else if (path === 'idea' && id) {
             this.showDetailView(id);
+        } else if (path === 'search') {
+            this.showListView({ text: this.decodeRouteParam(id) });
+        } else if (path === 'status' && STATUSES.includes(id)) {
+            this.showListView({ status: id });
+        } else if (path === 'tag' && id) {
+            // Nested tags may arrive unencoded (#/tag/work/acme), so take the rest of the hash
+            const tag = hash.split('/').filter(Boolean).slice(1).map(part => this.decodeRouteParam(part));
+            this.showListView({ tags: [normalizeTag(tag.join(TAG_SEPARATOR))] });
+        } else if (path === 'capture') {
+            this.showCaptureView(new URLSearchParams(queryString));
+        } else if (path === 'share') {
+            this.showSharedContent();
+        } else if (path === 'inbox') {
+            this.showInboxView();
+        } else if (path === 'tags') {
+            this.showTagsView();
+        } else if (path === 'actions') {
+            this.showActionsView();
+        } else if (path === 'trash') {
+            this.showTrashView();
+        } else if (path === 'import') {
+            this.showImportView();
+        } else if (path === 'export') {
+            this.showExportView();
+        } else if (path === 'settings') {
+            this.showSettingsView();
+        } else if (path === 'libraries') {
+            this.showLibrariesView();
+        } else if (path === 'templates') {
+            this.showTemplatesView(id || null, new URLSearchParams(queryString));
+        } else if (path === 'sync') {
+            this.showSyncView();
         } else {
             this.showListView();
         }
@@ -129,670 +526,4702 @@ class IdeaApp {
             link.classList.remove('active');
         });
 
-        if (!path || path === '') {
+        if (!path || path === '' || path === 'search' || path === 'status') {
             document.getElementById('nav-home')?.classList.add('active');
+        } else if (path === 'tags' || path === 'tag') {
+            document.getElementById('nav-tags')?.classList.add('active');
         } else if (path === 'create') {
             document.getElementById('nav-create')?.classList.add('active');
+        } else if (path === 'inbox' || path === 'capture') {
+            document.getElementById('nav-inbox')?.classList.add('active');
+        } else if (path === 'actions') {
+            document.getElementById('nav-actions')?.classList.add('active');
+        } else if (path === 'trash') {
+            document.getElementById('nav-trash')?.classList.add('active');
+        } else if (path === 'import') {
+            document.getElementById('nav-import')?.classList.add('active');
+        } else if (path === 'export') {
+            document.getElementById('nav-export')?.classList.add('active');
+        } else if (path === 'settings' || path === 'sync' || path === 'templates') {
+            document.getElementById('nav-settings')?.classList.add('active');
+        } else if (path === 'libraries') {
+            document.getElementById('nav-libraries')?.classList.add('active');
         }
     }
 
     /**
-     * Show list view
+     * Decode a URL-encoded route segment, tolerating malformed input
      */
-    showListView() {
-        const ideas = db.getAllIdeas();
-        const listContainer = document.getElementById('ideas-list');
-        const emptyState = document.getElementById('empty-state');
-
-        if (ideas.length === 0) {
-            listContainer.innerHTML = '';
-            emptyState.style.display = 'block';
-        } else {
-            emptyState.style.display = 'none';
-            listContainer.innerHTML = ideas.map(idea => this.renderIdeaCard(idea)).join('');
+    decodeRouteParam(param) {
+        if (!param) return '';
+        try {
+            return decodeURIComponent(param);
+        } catch (e) {
+            return param;
         }
-
-        this.showView('list-view');
     }
 
     /**
-     * Render an idea card for list view
+     * Read list view filters from the query string of a #/?... route
+     * e.g. #/?tag=work&not=work/old&from=2026-01-01&action=yes&sort=created
+     * @param {string} queryString - Text after the "?"
+     * @returns {Object} Filters in DEFAULT_LIST_FILTERS form
      */
-    renderIdeaCard(idea) {
-        const preview = this.truncate(idea.body, 150);
-        const relativeTime = this.getRelativeTime(idea.updated_at);
-        const tags = idea.tags || [];
-        const tagsHtml = tags.length > 0 ? tags.map(tag =>
-            `<span class="tag">${this.escapeHtml(tag)}</span>`
-        ).join('') : '';
+    parseListFilters(queryString) {
+        const params = new URLSearchParams(queryString);
+        const date = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null;
+        const tags = (name) => params.getAll(name).map(normalizeTag).filter(Boolean);
+        const action = params.get('action');
+        const sort = params.get('sort');
 
-        return `
-            <a href="#/idea/${idea.id}" class="idea-card" role="listitem">
-                <h3>${this.escapeHtml(idea.title)}</h3>
-                <p class="idea-preview">${this.escapeHtml(preview)}</p>
-                ${tagsHtml ? `<div class="idea-tags">${tagsHtml}</div>` : ''}
-                <div class="metadata">
-                    <time datetime="${idea.updated_at}">Updated ${relativeTime}</time>
-                </div>
-            </a>
-        `;
+        return {
+            text: params.get('q') || '',
+            tags: tags('tag'),
+            excludeTags: tags('not'),
+            status: STATUSES.includes(params.get('status')) ? params.get('status') : null,
+            dateField: params.get('date') === 'created' ? 'created' : 'updated',
+            from: date(params.get('from')),
+            to: date(params.get('to')),
+            hasNextAction: action === 'yes' ? true : (action === 'no' ? false : null),
+            sort: sort in SORT_ORDERS || sort === 'relevance' ? sort : null
+        };
     }
 
     /**
-     * Show detail view
+     * Build the #/?... route for a set of list view filters
+     * Defaults are left out, so the unfiltered list is just #/.
+     * @param {Object} filters - Filters in DEFAULT_LIST_FILTERS form
+     * @returns {string} Hash including the leading "#"
      */
-    showDetailView(id) {
-        const idea = db.getIdea(id);
-
-        if (!idea) {
-            this.showError('Idea not found');
-            return;
-        }
-
-        this.currentIdeaId = id;
-
-        // Update detail view
-        document.getElementById('detail-title').textContent = idea.title;
-        document.getElementById('detail-body').textContent = idea.body;
+    buildListHash(filters) {
+        const state = { ...DEFAULT_LIST_FILTERS, ...filters };
+        const params = new URLSearchParams();
 
-        const createdTime = document.getElementById('detail-created');
-        createdTime.textContent = `Created ${this.formatDate(idea.created_at)}`;
-        createdTime.setAttribute('datetime', idea.created_at);
+        if (state.text) params.set('q', state.text);
+        state.tags.forEach(tag => params.append('tag', tag));
+        state.excludeTags.forEach(tag => params.append('not', tag));
+        if (state.status) params.set('status', state.status);
+        if ((state.from || state.to) && state.dateField === 'created') params.set('date', 'created');
+        if (state.from) params.set('from', state.from);
+        if (state.to) params.set('to', state.to);
+        if (state.hasNextAction !== null) params.set('action', state.hasNextAction ? 'yes' : 'no');
+        const sort = this.getListSort(state);
+        if (sort !== this.getListSort({ ...state, sort: null })) params.set('sort', sort);
 
-        const updatedTime = document.getElementById('detail-updated');
-        updatedTime.textContent = `Updated ${this.formatDate(idea.updated_at)}`;
-        updatedTime.setAttribute('datetime', idea.updated_at);
+        const queryString = params.toString();
+        return queryString ? `#/?${queryString}` : '#/';
+    }
 
-        // Render tags
-        const tags = idea.tags || [];
-        const tagsContainer = document.getElementById('detail-tags');
-        if (tags.length > 0) {
-            tagsContainer.innerHTML = tags.map(tag =>
-                `<span class="tag">${this.escapeHtml(tag)}</span>`
-            ).join('');
-        } else {
-            tagsContainer.innerHTML = '';
+    /**
+     * Get the sort in effect for a set of filters
+     * Relevance only applies when searching.
+     */
+    getListSort(filters) {
+        if (filters.sort === 'relevance') {
+            return filters.text ? 'relevance' : 'updated';
         }
+        return filters.sort || (filters.text ? 'relevance' : 'updated');
+    }
 
-        // Update edit button href
-        document.getElementById('edit-btn').href = `#/edit/${id}`;
-
-        this.showView('detail-view');
+    /**
+     * Count the filters set in the filter panel (tags, dates, next action)
+     */
+    countPanelFilters(filters) {
+        return filters.tags.length + filters.excludeTags.length
+            + (filters.from ? 1 : 0) + (filters.to ? 1 : 0)
+            + (filters.hasNextAction !== null ? 1 : 0);
     }
 
     /**
-     * Show form view (create or edit)
+     * Show list view
+     * Without a query, tag or status, archived ideas are hidden.
+     * @param {Object} filters - Filters in DEFAULT_LIST_FILTERS form; missing ones use the defaults
      */
-    showFormView(id = null) {
-        const form = document.getElementById('idea-form');
-        const formTitle = document.getElementById('form-title');
+    showListView(filters = {}) {
+        const state = { ...DEFAULT_LIST_FILTERS, ...filters, text: (filters.text || '').trim() };
+        this.listFilters = state;
 
-        // Reset form
-        form.reset();
-        this.clearFormErrors();
-        this.currentTags = [];  // Reset tags
+        const sort = this.getListSort(state);
+        // Search and tag lists match the counts shown elsewhere, so they include archived ideas
+        const query = { ...state, sort, includeArchived: Boolean(state.text || state.tags.length) };
+        const total = db.countIdeas(query);
+        const facets = db.getFacetCounts(query);
 
-        if (id) {
-            // Edit mode
-            const idea = db.getIdea(id);
-            if (!idea) {
-                this.showError('Idea not found');
-                return;
-            }
+        // Coming back to the same list (e.g. from an idea) keeps the cards that were loaded
+        const queryKey = JSON.stringify(query);
+        const limit = this.listPage && this.listPage.key === queryKey
+            ? Math.max(this.listPage.loaded, LIST_PAGE_SIZE)
+            : LIST_PAGE_SIZE;
+        const ideas = db.getIdeaCards(query, { limit });
+        this.listPage = { key: queryKey, query, loaded: ideas.length, total };
 
-            this.currentIdeaId = id;
-            formTitle.textContent = 'Edit Idea';
-            document.getElementById('idea-id').value = id;
-            document.getElementById('idea-title').value = idea.title;
-            document.getElementById('idea-body').value = idea.body;
-            this.currentTags = idea.tags || [];  // Load existing tags
-        } else {
-            // Create mode
-            this.currentIdeaId = null;
-            formTitle.textContent = 'New Idea';
-            document.getElementById('idea-id').value = '';
+        // Only ideas in the list stay selected, so a batch never touches one out of sight
+        if (this.selection && this.selection.size > 0) {
+            const listed = new Set(db.getIdeaIds(query));
+            this.selection.forEach(id => {
+                if (!listed.has(id)) this.selection.delete(id);
+            });
         }
 
-        this.renderTags();  // Render tags
+        const listContainer = document.getElementById('ideas-list');
+        const emptyState = document.getElementById('empty-state');
+        const searchInput = document.getElementById('search-input');
+        const searchStatus = document.getElementById('search-status');
+        const panelFilters = this.countPanelFilters(state);
 
-        // Check for and restore any saved draft
-        const draftRestored = this.loadDraft();
+        // Keep the box in sync with the route without disturbing the caret while typing
+        if (searchInput.value.trim() !== state.text) {
+            searchInput.value = state.text;
+        }
 
-        this.showView('form-view');
-        // Focus first input for accessibility
-        document.getElementById('idea-title').focus();
+        const singleTag = state.tags.length === 1 && panelFilters === 1 ? state.tags[0] : null;
+        let heading = 'Your Ideas';
+        if (state.text) {
+            heading = 'Search Results';
+        } else if (singleTag) {
+            heading = `Tagged "${singleTag}"`;
+        } else if (state.status === 'archived') {
+            heading = 'Archive';
+        } else if (state.status) {
+            heading = `${this.formatStatus(state.status)} Ideas`;
+        }
+        document.getElementById('list-heading').textContent = heading;
+        this.renderTagTree(state.text ? null : singleTag);
+        this.renderStatusFacets(state, facets.status);
+        this.renderFilterPanel(state, sort, facets);
 
-        // Announce draft restoration to screen readers (one-time, relevant info)
-        if (draftRestored) {
-            const liveRegion = document.getElementById('tags-live-region');
-            liveRegion.textContent = 'Previously entered text has been restored.';
+        const count = `${total} idea${total !== 1 ? 's' : ''}`;
+        if (state.text) {
+            searchStatus.textContent = `${count} matching "${state.text}"`;
+        } else if (singleTag) {
+            searchStatus.textContent = `${count} tagged "${singleTag}"`;
+        } else if (panelFilters > 0) {
+            searchStatus.textContent = `${count} matching the filters`;
+        } else if (state.status && total === 0) {
+            searchStatus.textContent = `No ${this.formatStatus(state.status).toLowerCase()} ideas.`;
+        } else {
+            searchStatus.textContent = '';
+        }
+
+        if (total === 0) {
+            listContainer.innerHTML = '';
+            // The "create your first idea" prompt only makes sense for the unfiltered list
+            emptyState.style.display = state.text || state.status || panelFilters ? 'none' : 'block';
+        } else {
+            emptyState.style.display = 'none';
+            listContainer.innerHTML = this.renderIdeaCards(ideas, 0);
         }
+        this.updateLoadMore();
+        this.updateBatchPanel();
+
+        this.showView('list-view');
     }
 
     /**
-     * Handle form submission
+     * Render list cards, numbered from the given offset so screen readers
+     * announce each card's position in the whole list, not just the part loaded
      */
-    handleFormSubmit(e) {
-        e.preventDefault();
+    renderIdeaCards(ideas, offset) {
+        return ideas.map((idea, index) => this.renderIdeaCard(idea, {
+            position: offset + index + 1,
+            setSize: this.listPage.total,
+            selected: this.selection ? this.selection.has(idea.id) : null
+        })).join('');
+    }
 
-        // Clear previous errors
-        this.clearFormErrors();
+    /**
+     * Append the next page of cards and move focus to the first new one
+     */
+    handleLoadMore() {
+        const { query, loaded } = this.listPage;
+        const ideas = db.getIdeaCards(query, { offset: loaded, limit: LIST_PAGE_SIZE });
+        const listContainer = document.getElementById('ideas-list');
 
-        // Get form data
-        const id = document.getElementById('idea-id').value;
-        const title = document.getElementById('idea-title').value.trim();
-        const body = document.getElementById('idea-body').value.trim();
+        listContainer.insertAdjacentHTML('beforeend', this.renderIdeaCards(ideas, loaded));
+        this.listPage.loaded += ideas.length;
+        this.updateLoadMore();
 
-        // Validate
-        let isValid = true;
+        const card = listContainer.children[loaded];
+        (card?.querySelector('.idea-select') || card)?.focus();
+    }
 
-        if (!title) {
-            this.showFieldError('title', 'Title is required');
-            isValid = false;
-        }
+    /**
+     * Show how many cards are loaded and whether more can be
+     */
+    updateLoadMore() {
+        const { loaded, total } = this.listPage;
+        const remaining = total - loaded;
+        const button = document.getElementById('load-more-btn');
+        const progress = document.getElementById('list-progress');
 
-        if (!body) {
-            this.showFieldError('body', 'Description is required');
-            isValid = false;
-        }
+        button.hidden = remaining <= 0;
+        progress.hidden = remaining <= 0;
+        button.textContent = `Load ${Math.min(remaining, LIST_PAGE_SIZE)} more`;
+        progress.textContent = `Showing ${loaded} of ${total} ideas`;
+    }
 
-        if (!isValid) {
-            return;
-        }
+    /**
+     * Turn the list view's select mode on or off
+     * Turning it off forgets the selection.
+     */
+    setSelectMode(on) {
+        this.selection = on ? new Set() : null;
+        this.selectionAnchor = null;
 
-        try {
-            // Clear draft before saving - prevents stale draft on next form open
-            this.clearDraft();
+        const button = document.getElementById('select-mode-btn');
+        button.setAttribute('aria-pressed', String(on));
+        button.textContent = on ? 'Done selecting' : 'Select';
+        this.showListView(this.listFilters);
+    }
 
-            if (id) {
-                // Update existing idea
-                db.updateIdea(id, { title, body, tags: this.currentTags });
-                window.location.hash = `#/idea/${id}`;
-            } else {
-                // Create new idea
-                const newId = db.createIdea(title, body, this.currentTags);
-                window.location.hash = `#/idea/${newId}`;
-            }
-        } catch (error) {
-            console.error('Failed to save idea:', error);
-            this.showError('Failed to save idea. Please try again.');
+    /**
+     * Select or unselect an idea from its checkbox
+     * With Shift, every idea loaded between it and the one picked before gets the same state.
+     */
+    handleSelectionClick(e) {
+        const box = e.target;
+        const boxes = Array.from(document.querySelectorAll('#ideas-list .idea-select'));
+        let range = [box];
+
+        const anchor = boxes.find(other => other.value === this.selectionAnchor);
+        if (e.shiftKey && anchor && anchor !== box) {
+            const [start, end] = [boxes.indexOf(anchor), boxes.indexOf(box)].sort((a, b) => a - b);
+            range = boxes.slice(start, end + 1);
         }
+
+        range.forEach(other => this.setCardSelected(other, box.checked));
+        this.selectionAnchor = box.value;
+        this.updateBatchPanel();
     }
 
     /**
-     * Handle delete
+     * Check or uncheck a card's checkbox and record it in the selection
      */
-    handleDelete() {
-        if (!this.currentIdeaId) return;
-
-        if (confirm('Are you sure you want to delete this idea? This action cannot be undone.')) {
-            try {
-                db.deleteIdea(this.currentIdeaId);
-                window.location.hash = '#/';
-            } catch (error) {
-                console.error('Failed to delete idea:', error);
-                alert('Failed to delete idea. Please try again.');
-            }
+    setCardSelected(box, selected) {
+        box.checked = selected;
+        box.closest('.idea-card-row').classList.toggle('selected', selected);
+        if (selected) {
+            this.selection.add(box.value);
+        } else {
+            this.selection.delete(box.value);
         }
     }
 
     /**
-     * Handle tag input keydown (Enter, Escape, Arrow keys)
-     * Provides keyboard navigation for the autocomplete
+     * Select or unselect the focused card (the x shortcut), entering select mode if needed
+     * @returns {boolean} Whether a card had focus
      */
-    handleTagInputKeydown(e) {
-        const input = e.target;
-        const dropdown = document.getElementById('tags-dropdown');
-        const suggestions = dropdown.querySelectorAll('.tag-suggestion');
-        const liveRegion = document.getElementById('tags-live-region');
+    toggleFocusedSelection() {
+        const item = document.activeElement?.closest('#ideas-list [role="listitem"]');
+        if (!item) return false;
 
-        if (e.key === 'Enter') {
-            e.preventDefault();
+        const id = item.querySelector('.idea-select')?.value ||
+            item.getAttribute('href').replace('#/idea/', '');
+        if (!this.selection) this.setSelectMode(true);
 
-            let tagToAdd = '';
-            let added = false;
+        // Select mode re-renders the cards, so find the checkbox again
+        const box = Array.from(document.querySelectorAll('#ideas-list .idea-select')).find(other => other.value === id);
+        if (!box) return true;
+        this.setCardSelected(box, !box.checked);
+        this.selectionAnchor = id;
+        this.updateBatchPanel();
+        box.focus();
+        return true;
+    }
 
-            // If a suggestion is selected, use it
-            if (this.selectedSuggestionIndex >= 0 && suggestions[this.selectedSuggestionIndex]) {
-                tagToAdd = suggestions[this.selectedSuggestionIndex].getAttribute('data-tag');
-                added = this.addTag(tagToAdd);
-            } else {
-                // Otherwise add the typed text
-                tagToAdd = input.value.trim();
-                if (tagToAdd) {
+    /**
+     * Select every idea in the list, including those not loaded yet
+     */
+    selectAllMatching() {
+        db.getIdeaIds(this.listPage.query).forEach(id => this.selection.add(id));
+        document.querySelectorAll('#ideas-list .idea-select').forEach(box => this.setCardSelected(box, true));
+        this.updateBatchPanel();
+    }
+
+    /**
+     * Unselect every idea
+     */
+    clearSelection() {
+        this.selection.clear();
+        this.selectionAnchor = null;
+        document.querySelectorAll('#ideas-list .idea-select').forEach(box => this.setCardSelected(box, false));
+        this.updateBatchPanel();
+    }
+
+    /**
+     * Show the batch actions for the selection, and how many ideas it holds
+     * @param {string} message - What the last batch action did, read out before the count
+     */
+    updateBatchPanel(message = '') {
+        const panel = document.getElementById('batch-panel');
+        panel.hidden = !this.selection;
+        if (!this.selection) return;
+
+        const size = this.selection.size;
+        const total = this.listPage ? this.listPage.total : 0;
+        const count = size === 0
+            ? 'No ideas selected'
+            : `${size} of ${total} idea${total !== 1 ? 's' : ''} selected`;
+        document.getElementById('batch-count').textContent = message ? `${message} ${count}` : count;
+
+        const selectAll = document.getElementById('batch-select-all-btn');
+        selectAll.textContent = `Select all ${total}`;
+        selectAll.disabled = total === 0 || size === total;
+        document.getElementById('batch-clear-btn').disabled = size === 0;
+        panel.querySelectorAll('.batch-action button').forEach(button => {
+            button.disabled = size === 0;
+        });
+        document.getElementById('batch-merge-btn').disabled = size < 2;
+    }
+
+    /**
+     * Get the selected ideas' ids, in list order
+     */
+    getSelectedIds() {
+        return db.getIdeaIds(this.listPage.query).filter(id => this.selection.has(id));
+    }
+
+    /**
+     * Re-render the list after a batch action and say what it did
+     */
+    refreshAfterBatch(message = '') {
+        this.showListView(this.listFilters);
+        this.updateBatchPanel(message);
+    }
+
+    /**
+     * Add the tag in the batch form to the selected ideas, or remove it from them
+     */
+    handleBatchTag(e) {
+        e.preventDefault();
+
+        const input = document.getElementById('batch-tag');
+        const error = document.getElementById('batch-tag-error');
+        const tag = normalizeTag(input.value);
+        const adding = e.submitter?.value !== 'remove';
+
+        if (!tag) {
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+            error.textContent = 'Enter a tag.';
+            input.focus();
+            return;
+        }
+        input.classList.remove('invalid');
+        input.removeAttribute('aria-invalid');
+        error.textContent = '';
+
+        try {
+            const ids = this.getSelectedIds();
+            const count = adding ? db.addTagToIdeas(ids, tag) : db.removeTagFromIdeas(ids, tag);
+            const ideas = `${count} idea${count !== 1 ? 's' : ''}`;
+            input.value = '';
+            this.refreshAfterBatch(adding ? `Tagged ${ideas} "${tag}".` : `Removed "${tag}" from ${ideas}.`);
+        } catch (error) {
+            console.error('Failed to change tags:', error);
+            alert('Failed to change tags. Your ideas were not changed.');
+        }
+    }
+
+    /**
+     * Move the selected ideas to the status picked in the batch form
+     */
+    handleBatchStatus(e) {
+        e.preventDefault();
+
+        const status = document.getElementById('batch-status').value;
+        try {
+            const count = db.setIdeasStatus(this.getSelectedIds(), status);
+            this.refreshAfterBatch(
+                `Moved ${count} idea${count !== 1 ? 's' : ''} to ${this.formatStatus(status)}.`
+            );
+        } catch (error) {
+            console.error('Failed to change status:', error);
+            alert('Failed to change status. Your ideas were not changed.');
+        }
+    }
+
+    /**
+     * Open the export view with just the selected ideas checked
+     */
+    handleBatchExport() {
+        this.pendingExportIds = new Set(this.getSelectedIds());
+        this.navigate('#/export');
+    }
+
+    /**
+     * Move the selected ideas to the trash, offering to undo it
+     */
+    handleBatchTrash() {
+        const ids = this.getSelectedIds();
+        let count;
+        try {
+            count = db.trashIdeas(ids);
+        } catch (error) {
+            console.error('Failed to move ideas to the trash:', error);
+            alert('Failed to move the ideas to the trash. Your ideas were not changed.');
+            return;
+        }
+
+        // The notification says what happened; the panel just shows the emptied selection
+        this.selection.clear();
+        this.refreshAfterBatch();
+        this.showUndoToast(`${count} idea${count !== 1 ? 's' : ''} moved to the trash.`, () => {
+            db.restoreIdeas(ids);
+            if (this.currentView === 'list-view') {
+                ids.forEach(id => this.selection?.add(id));
+                this.refreshAfterBatch(`${count} idea${count !== 1 ? 's' : ''} restored.`);
+            }
+        });
+    }
+
+    /**
+     * Ask which of the selected ideas the others should be merged into
+     */
+    openMergeDialog() {
+        const ideas = this.getSelectedIds().map(id => db.getIdea(id)).filter(Boolean);
+        if (ideas.length < 2) return;
+
+        document.getElementById('merge-heading').textContent = `Merge ${ideas.length} Ideas`;
+        document.getElementById('merge-options').innerHTML = ideas.map((idea, index) => `
+            <label>
+                <input type="radio" name="merge-target" value="${idea.id}" aria-describedby="merge-help"${index === 0 ? ' checked' : ''}>
+                ${this.escapeHtml(idea.title)}
+            </label>
+        `).join('');
+
+        this.dialogReturnFocus = document.activeElement;
+        document.getElementById('merge-dialog').showModal();
+        document.querySelector('input[name="merge-target"]').focus();
+    }
+
+    /**
+     * Merge the selected ideas into the one picked in the merge dialog
+     */
+    handleMerge(e) {
+        e.preventDefault();
+
+        const targetId = document.querySelector('input[name="merge-target"]:checked').value;
+        const ids = this.getSelectedIds();
+        let count;
+        try {
+            count = db.mergeIdeas(targetId, ids);
+        } catch (error) {
+            console.error('Failed to merge ideas:', error);
+            alert('Failed to merge the ideas. Your ideas were not changed.');
+            return;
+        }
+
+        const target = db.getIdea(targetId);
+        this.closeDialog('merge-dialog');
+        this.selection.clear();
+        this.selection.add(targetId);
+        this.refreshAfterBatch();
+        this.showToast(`Merged ${count} idea${count !== 1 ? 's' : ''} into "${target.title}".`, {
+            label: 'Open',
+            onClick: () => this.navigate(`#/idea/${targetId}`)
+        });
+    }
+
+    /**
+     * Point the status links at the current filters and show how many ideas each would list
+     */
+    renderStatusFacets(filters, statusCounts) {
+        const activeCount = STATUSES
+            .filter(status => status !== 'archived')
+            .reduce((sum, status) => sum + statusCounts[status], 0);
+
+        document.querySelectorAll('.status-filter a').forEach(link => {
+            const status = link.getAttribute('data-status') || null;
+            link.setAttribute('href', this.buildListHash({ ...filters, status }));
+            link.querySelector('.facet-count').textContent = `(${status ? statusCounts[status] : activeCount})`;
+
+            if (status === filters.status) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Fill the sort and filter panel from the current filters
+     * Tag facets are links, so picking one is an ordinary navigation to the new route.
+     */
+    renderFilterPanel(filters, sort, facets) {
+        const sortSelect = document.getElementById('filter-sort');
+        sortSelect.querySelector('option[value="relevance"]').disabled = !filters.text;
+        sortSelect.value = sort;
+
+        document.getElementById('filter-date-field').value = filters.dateField;
+        document.getElementById('filter-from').value = filters.from || '';
+        document.getElementById('filter-to').value = filters.to || '';
+
+        const actionSelect = document.getElementById('filter-next-action');
+        actionSelect.querySelector('option[value="yes"]').textContent = `With a next action (${facets.nextAction.with})`;
+        actionSelect.querySelector('option[value="no"]').textContent = `Without a next action (${facets.nextAction.without})`;
+        actionSelect.value = filters.hasNextAction === null ? '' : (filters.hasNextAction ? 'yes' : 'no');
+
+        // Re-rendering replaces the facet links, so keep focus on the one that was used
+        const focusedFacet = document.activeElement?.closest?.('#tag-facets [data-facet]')?.getAttribute('data-facet');
+
+        const facetList = document.getElementById('tag-facets');
+        facetList.innerHTML = facets.tags.map(tag => {
+            const path = this.escapeHtml(tag.path);
+            const included = filters.tags.includes(tag.path);
+            const includeHash = included
+                ? this.buildListHash({ ...filters, tags: filters.tags.filter(t => t !== tag.path) })
+                : this.buildListHash({ ...filters, tags: [...filters.tags, tag.path] });
+            const excludeHash = this.buildListHash({
+                ...filters,
+                tags: filters.tags.filter(t => t !== tag.path),
+                excludeTags: [...filters.excludeTags, tag.path]
+            });
+            return `
+                <li style="--depth: ${tag.depth}">
+                    <a href="${includeHash}" data-facet="include:${path}"${included ? ' aria-current="true"' : ''}>
+                        ${path} <span class="facet-count">(${tag.count})</span>
+                    </a>
+                    <a href="${excludeHash}" class="facet-exclude" data-facet="exclude:${path}" aria-label="Exclude ${path}" title="Exclude ${path}">
+                        <span aria-hidden="true">−</span>
+                    </a>
+                </li>
+            `;
+        }).join('');
+        document.getElementById('tag-facets-empty').hidden = facets.tags.length > 0;
+
+        if (focusedFacet) {
+            Array.from(facetList.querySelectorAll('[data-facet]'))
+                .find(link => link.getAttribute('data-facet') === focusedFacet)?.focus();
+        }
+
+        const panelFilters = this.countPanelFilters(filters);
+        document.getElementById('filter-summary-count').textContent = panelFilters > 0 ? `(${panelFilters} active)` : '';
+        this.renderActiveFilters(filters);
+    }
+
+    /**
+     * List the filters in effect, each as a link that removes it
+     */
+    renderActiveFilters(filters) {
+        const chips = [];
+        const chip = (label, without) => chips.push(`
+            <li>
+                <a href="${this.buildListHash({ ...filters, ...without })}" class="filter-chip" aria-label="Remove filter: ${this.escapeHtml(label)}">
+                    ${this.escapeHtml(label)} <span aria-hidden="true">×</span>
+                </a>
+            </li>
+        `);
+
+        filters.tags.forEach(tag => chip(`Tag: ${tag}`, { tags: filters.tags.filter(t => t !== tag) }));
+        filters.excludeTags.forEach(tag => chip(`Not tagged: ${tag}`, { excludeTags: filters.excludeTags.filter(t => t !== tag) }));
+
+        const dateLabel = filters.dateField === 'created' ? 'Created' : 'Updated';
+        if (filters.from) chip(`${dateLabel} from ${filters.from}`, { from: null });
+        if (filters.to) chip(`${dateLabel} until ${filters.to}`, { to: null });
+        if (filters.hasNextAction !== null) {
+            chip(filters.hasNextAction ? 'Has a next action' : 'No next action', { hasNextAction: null });
+        }
+
+        const list = document.getElementById('active-filters');
+        list.innerHTML = chips.join('') + (chips.length > 1
+            ? `<li><a href="${this.buildListHash({ text: filters.text, status: filters.status, sort: filters.sort })}">Clear filters</a></li>`
+            : '');
+        list.hidden = chips.length === 0;
+    }
+
+    /**
+     * Apply the sort, date and next-action controls by navigating to the new route
+     */
+    handleFilterChange() {
+        const action = document.getElementById('filter-next-action').value;
+        const hash = this.buildListHash({
+            ...this.listFilters,
+            sort: document.getElementById('filter-sort').value,
+            dateField: document.getElementById('filter-date-field').value,
+            from: document.getElementById('filter-from').value || null,
+            to: document.getElementById('filter-to').value || null,
+            hasNextAction: action === 'yes' ? true : (action === 'no' ? false : null)
+        });
+
+        if (window.location.hash !== hash) {
+            window.location.hash = hash;
+        }
+    }
+
+    /**
+     * Handle search box input by routing to #/?q=<query>
+     * Other filters are kept. Replaces the history entry so each keystroke doesn't
+     * add a back-button step
+     */
+    handleSearchInput() {
+        const query = document.getElementById('search-input').value.trim();
+        const hash = this.buildListHash({ ...this.listFilters, text: query });
+
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+        this.handleRoute();
+    }
+
+    /**
+     * Render search snippet segments with matched terms highlighted
+     */
+    renderSnippet(segments) {
+        return segments.map(segment => segment.highlight
+            ? `<mark>${this.escapeHtml(segment.text)}</mark>`
+            : this.escapeHtml(segment.text)
+        ).join('');
+    }
+
+    /**
+     * Render an idea card for list view
+     * @param {Object} idea - Full idea, or a card from db.getIdeaCards() with a body preview
+     * @param {Object} options
+     * @param {number|null} options.position - 1-based position in the list
+     * @param {number|null} options.setSize - Number of ideas in the whole list
+     * @param {boolean|null} options.selected - In select mode, whether the idea is selected;
+     *   the card then gets a checkbox next to it
+     */
+    renderIdeaCard(idea, { position = null, setSize = null, selected = null } = {}) {
+        // Search results carry a snippet around the match; otherwise show the start of the body
+        const previewHtml = idea.snippet && idea.snippet.length > 0
+            ? this.renderSnippet(idea.snippet)
+            : this.escapeHtml(this.truncate(stripMarkdown(idea.preview ?? idea.body), 150));
+        const positionAttrs = position ? ` aria-posinset="${position}" aria-setsize="${setSize}"` : '';
+        const relativeTime = this.getRelativeTime(idea.updated_at);
+        const tags = idea.tags || [];
+        const tagsHtml = tags.length > 0 ? tags.map(tag =>
+            `<span class="tag" title="${this.escapeHtml(tag)}">${this.renderTagLabel(tag)}</span>`
+        ).join('') : '';
+
+        const card = `
+            <a href="#/idea/${idea.id}" class="idea-card"${selected === null ? ` role="listitem"${positionAttrs}` : ''}>
+                <h3>${this.escapeHtml(idea.title)}</h3>
+                <p class="idea-preview">${previewHtml}</p>
+                ${tagsHtml ? `<div class="idea-tags">${tagsHtml}</div>` : ''}
+                <div class="metadata">
+                    ${this.renderStatusBadge(idea.status)}
+                    <time datetime="${idea.updated_at}">Updated ${relativeTime}</time>
+                </div>
+            </a>
+        `;
+        if (selected === null) return card;
+
+        // A checkbox can't go inside the link, so the two share a list item
+        return `
+            <div class="idea-card-row${selected ? ' selected' : ''}" role="listitem"${positionAttrs}>
+                <input type="checkbox" class="idea-select" value="${idea.id}"
+                    aria-label="Select ${this.escapeHtml(idea.title)}"${selected ? ' checked' : ''}>
+                ${card}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a tag's text compactly
+     * Nested tags show their first segment and leaf (work/…/acme); the full path is
+     * still read out by screen readers and shown in the chip's title.
+     */
+    renderTagLabel(tag) {
+        const segments = tagSegments(tag);
+        if (segments.length === 1) return this.escapeHtml(tag);
+
+        const leaf = segments.pop();
+        const shownParent = segments.length > 1
+            ? `${segments[0]}${TAG_SEPARATOR}…${TAG_SEPARATOR}`
+            : `${segments[0]}${TAG_SEPARATOR}`;
+        return `<span class="tag-parent" aria-hidden="true">${this.escapeHtml(shownParent)}</span>`
+            + `<span class="sr-only">${this.escapeHtml(segments.join(TAG_SEPARATOR) + TAG_SEPARATOR)}</span>`
+            + this.escapeHtml(leaf);
+    }
+
+    /**
+     * Render the collapsible tag tree in the list view sidebar
+     * Branches containing the current tag are expanded.
+     * @param {string|null} currentTag - Tag the list is filtered by
+     */
+    renderTagTree(currentTag) {
+        const tree = db.getTagTree();
+        const container = document.getElementById('tag-tree');
+
+        if (currentTag) {
+            const segments = tagSegments(currentTag);
+            segments.slice(0, -1).forEach((segment, index) => {
+                this.expandedTagPaths.add(segments.slice(0, index + 1).join(TAG_SEPARATOR));
+            });
+        }
+
+        this.tagTreeGroupCount = 0;
+        container.innerHTML = this.renderTagTreeNodes(tree, currentTag);
+        document.getElementById('tag-tree-panel').hidden = tree.length === 0;
+    }
+
+    /**
+     * Render one level of the tag tree as a list
+     */
+    renderTagTreeNodes(nodes, currentTag, groupId = null, expanded = true) {
+        const items = nodes.map(node => {
+            const name = this.escapeHtml(node.name);
+            const current = node.path === currentTag ? ' aria-current="page"' : '';
+            const link = `
+                <a href="#/tag/${encodeURIComponent(node.path)}"${current}>
+                    ${name}
+                    <span class="tag-tree-count">${node.count}<span class="sr-only"> idea${node.count !== 1 ? 's' : ''}</span></span>
+                </a>
+            `;
+            if (node.children.length === 0) {
+                return `<li class="tag-tree-leaf">${link}</li>`;
+            }
+
+            const isOpen = this.expandedTagPaths.has(node.path);
+            const childGroupId = `tag-tree-group-${this.tagTreeGroupCount++}`;
+            return `
+                <li>
+                    <button
+                        type="button"
+                        class="tag-tree-toggle"
+                        data-path="${this.escapeHtml(node.path)}"
+                        aria-expanded="${isOpen}"
+                        aria-controls="${childGroupId}"
+                        aria-label="${name} sub-tags"
+                    ><span aria-hidden="true">▸</span></button>
+                    ${link}
+                    ${this.renderTagTreeNodes(node.children, currentTag, childGroupId, isOpen)}
+                </li>
+            `;
+        }).join('');
+
+        const id = groupId ? ` id="${groupId}"` : '';
+        return `<ul${id}${expanded ? '' : ' hidden'}>${items}</ul>`;
+    }
+
+    /**
+     * Expand or collapse a branch of the tag tree
+     */
+    handleTagTreeToggle(e) {
+        const toggle = e.target.closest('.tag-tree-toggle');
+        if (!toggle) return;
+
+        const path = toggle.getAttribute('data-path');
+        const isOpen = toggle.getAttribute('aria-expanded') !== 'true';
+        if (isOpen) {
+            this.expandedTagPaths.add(path);
+        } else {
+            this.expandedTagPaths.delete(path);
+        }
+
+        toggle.setAttribute('aria-expanded', String(isOpen));
+        document.getElementById(toggle.getAttribute('aria-controls')).hidden = !isOpen;
+    }
+
+    /**
+     * Show detail view
+     */
+    showDetailView(id) {
+        const idea = db.getIdea(id);
+
+        if (!idea) {
+            this.showError('Idea not found');
+            return;
+        }
+        if (idea.deleted_at) {
+            this.showError('This idea is in the trash. Restore it from the Trash to view it.');
+            return;
+        }
+
+        this.currentIdeaId = id;
+
+        // Update detail view
+        document.getElementById('detail-title').textContent = idea.title;
+        this.renderAttachments(id);  // First, so the description can show them
+        document.getElementById('detail-body').innerHTML = this.renderBody(idea.body);
+
+        const createdTime = document.getElementById('detail-created');
+        createdTime.textContent = `Created ${this.formatDate(idea.created_at)}`;
+        createdTime.setAttribute('datetime', idea.created_at);
+
+        const updatedTime = document.getElementById('detail-updated');
+        updatedTime.textContent = `Updated ${this.formatDate(idea.updated_at)}`;
+        updatedTime.setAttribute('datetime', idea.updated_at);
+
+        document.getElementById('detail-status').innerHTML = this.renderStatusBadge(idea.status);
+        this.renderStatusHistory(id);
+        this.renderNextAction(idea);
+        this.renderBacklinks(id);
+        this.renderRevisions(id);
+
+        // Render tags
+        const tags = idea.tags || [];
+        const tagsContainer = document.getElementById('detail-tags');
+        if (tags.length > 0) {
+            tagsContainer.innerHTML = tags.map(tag =>
+                `<a class="tag" href="#/tag/${encodeURIComponent(tag)}" title="${this.escapeHtml(tag)}">${this.renderTagLabel(tag)}</a>`
+            ).join('');
+        } else {
+            tagsContainer.innerHTML = '';
+        }
+
+        // Update edit button href
+        document.getElementById('edit-btn').href = `#/edit/${id}`;
+
+        this.showView('detail-view');
+    }
+
+    /**
+     * Render an idea body, resolving [[wiki links]] against the library
+     */
+    renderBody(markdown) {
+        return renderMarkdown(markdown, {
+            resolveLink: (target) => db.resolveLinkTarget(target),
+            resolveAttachment: (id) => this.attachmentRefs.get(id) || null
+        });
+    }
+
+    /**
+     * Render the ideas that link to this one
+     */
+    renderBacklinks(id) {
+        const backlinks = db.getBacklinks(id);
+
+        document.getElementById('backlinks-list').innerHTML = backlinks.map(idea => `
+            <li>
+                <a href="#/idea/${idea.id}">${this.escapeHtml(idea.title)}</a>
+                ${this.renderStatusBadge(idea.status)}
+            </li>
+        `).join('');
+        document.getElementById('detail-backlinks').hidden = backlinks.length === 0;
+    }
+
+    /**
+     * Show an idea's attachments below its description, images as thumbnails
+     */
+    renderAttachments(id) {
+        this.releaseAttachmentUrls();
+
+        const attachments = db.getAttachments(id);
+        document.getElementById('attachment-list').innerHTML = attachments.map(attachment => {
+            const url = this.createAttachmentUrl(attachment, db.getAttachment(attachment.id).data);
+            return `
+                <li>
+                    <figure>
+                        ${this.renderAttachmentThumbnail(attachment)}
+                        <figcaption>
+                            <a href="${url}" download="${this.escapeHtml(attachment.filename)}"><span class="sr-only">Download </span>${this.escapeHtml(attachment.filename)}</a>
+                            <span class="help-text">(${this.formatFileSize(attachment.size)})</span>
+                        </figcaption>
+                    </figure>
+                </li>
+            `;
+        }).join('');
+        document.getElementById('detail-attachments').hidden = attachments.length === 0;
+    }
+
+    /**
+     * Render an attachment's thumbnail: the image itself, or its file extension
+     * The file name is shown next to it, so the thumbnail is hidden from screen readers.
+     */
+    renderAttachmentThumbnail(attachment) {
+        const ref = this.attachmentRefs.get(attachment.id);
+        if (ref && ref.url) {
+            return `<img class="attachment-thumbnail" src="${ref.url}" alt="" loading="lazy">`;
+        }
+        const extension = attachment.filename.includes('.') ? attachment.filename.split('.').pop() : 'file';
+        return `<span class="attachment-thumbnail attachment-icon" aria-hidden="true">${this.escapeHtml(extension.slice(0, 5).toUpperCase())}</span>`;
+    }
+
+    /**
+     * Make an object URL for an attachment and let the description show it
+     * Only supported images keep their type. Other files are handed out as plain bytes,
+     * so opening one downloads it rather than running it as a page of this app.
+     * @param {{id: string, filename: string, mime_type: string}} attachment
+     * @param {Uint8Array} data
+     * @returns {string} The URL, revoked by releaseAttachmentUrls()
+     */
+    createAttachmentUrl(attachment, data) {
+        const isImage = IMAGE_TYPES.includes(attachment.mime_type);
+        const url = URL.createObjectURL(new Blob([data], { type: isImage ? attachment.mime_type : 'application/octet-stream' }));
+        this.attachmentUrls.push(url);
+        this.attachmentRefs.set(attachment.id, { filename: attachment.filename, url: isImage ? url : null });
+        return url;
+    }
+
+    /**
+     * Let go of the object URLs of the attachments shown so far
+     */
+    releaseAttachmentUrls() {
+        this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls = [];
+        this.attachmentRefs = new Map();
+    }
+
+    /**
+     * Show how much space attachments take, and how much the browser gives the app
+     * @param {HTMLElement} element
+     */
+    async renderStorageBudget(element) {
+        const { count, bytes } = db.getAttachmentUsage();
+        let text = `${count} attachment${count !== 1 ? 's' : ''} in this library, ${this.formatFileSize(bytes)} in all.`;
+
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                text += ` The app uses ${this.formatFileSize(usage)} of the ${this.formatFileSize(quota)} this browser allows it.`;
+            } catch (error) {
+                console.error('Failed to estimate storage:', error);
+            }
+        }
+        element.textContent = text;
+    }
+
+    /**
+     * Format a byte count for display, e.g. "1.2 MB"
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Render the revision list and the version pickers of the History panel
+     */
+    renderRevisions(id) {
+        this.currentRevisions = db.getRevisions(id);
+        const revisions = this.currentRevisions;
+
+        document.getElementById('revision-count').textContent =
+            `(${revisions.length} version${revisions.length !== 1 ? 's' : ''})`;
+
+        document.getElementById('revision-list').innerHTML = revisions.map((revision, index) => `
+            <li>
+                <span>
+                    <time datetime="${revision.created_at}">${this.formatDate(revision.created_at)}</time>
+                    - ${this.escapeHtml(revision.title)}
+                </span>
+                ${index === 0
+                    ? '<span class="help-text">Current</span>'
+                    : `<button type="button" class="btn btn-secondary" data-revision-id="${revision.id}"
+                        aria-label="Restore version from ${this.formatDate(revision.created_at)}">Restore</button>`}
+            </li>
+        `).join('');
+
+        const options = revisions.map((revision, index) => `
+            <option value="${revision.id}">
+                ${this.formatDate(revision.created_at)}${index === 0 ? ' (current)' : ''}
+            </option>
+        `).join('');
+        const from = document.getElementById('revision-from');
+        const to = document.getElementById('revision-to');
+        from.innerHTML = options;
+        to.innerHTML = options;
+
+        // Start by showing what the latest save changed
+        if (revisions.length > 1) {
+            from.value = String(revisions[1].id);
+            to.value = String(revisions[0].id);
+        }
+
+        document.querySelector('#detail-history .revision-compare').hidden = revisions.length < 2;
+        this.renderRevisionDiff();
+    }
+
+    /**
+     * Show a line diff between the two revisions picked in the History panel
+     * Title and tags are diffed along with the body.
+     */
+    renderRevisionDiff() {
+        const container = document.getElementById('revision-diff');
+        const findRevision = (selectId) => {
+            const id = Number(document.getElementById(selectId).value);
+            return this.currentRevisions.find(revision => revision.id === id);
+        };
+        const from = findRevision('revision-from');
+        const to = findRevision('revision-to');
+
+        if (!from || !to || this.currentRevisions.length < 2) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const asText = (revision) => `Title: ${revision.title}\nTags: ${revision.tags.join(', ')}\n\n${revision.body}`;
+        const changes = diffLines(asText(from), asText(to));
+
+        if (!changes.some(change => change.type !== 'same')) {
+            container.innerHTML = '<p class="help-text">These versions are identical.</p>';
+            return;
+        }
+
+        container.innerHTML = this.renderDiff(changes);
+    }
+
+    /**
+     * Render the output of diffLines()
+     * +/- prefixes keep the diff readable without color
+     */
+    renderDiff(changes) {
+        return `<pre class="diff">${changes.map(change => {
+            const text = this.escapeHtml(change.text);
+            if (change.type === 'added') return `<ins class="diff-line">+ ${text}</ins>`;
+            if (change.type === 'removed') return `<del class="diff-line">- ${text}</del>`;
+            return `<span class="diff-line">  ${text}</span>`;
+        }).join('')}</pre>`;
+    }
+
+    /**
+     * Restore a revision of the current idea as a new update
+     */
+    handleRestoreRevision(revisionId) {
+        const revision = this.currentRevisions.find(r => r.id === revisionId);
+        if (!this.currentIdeaId || !revision) return;
+
+        const date = this.formatDate(revision.created_at);
+        if (!confirm(`Restore the version from ${date}? The current version stays in the history.`)) return;
+
+        try {
+            db.restoreRevision(this.currentIdeaId, revisionId);
+            this.showDetailView(this.currentIdeaId);
+            document.getElementById('revision-status').textContent = `Version from ${date} restored.`;
+            document.querySelector('#detail-history summary').focus();
+        } catch (error) {
+            console.error('Failed to restore revision:', error);
+            alert('Failed to restore this version. Please try again.');
+        }
+    }
+
+    /**
+     * Render a status badge
+     */
+    renderStatusBadge(status) {
+        return `<span class="status-badge status-${this.escapeHtml(status)}">${this.escapeHtml(this.formatStatus(status))}</span>`;
+    }
+
+    /**
+     * Render how long the idea spent in each status
+     */
+    renderStatusHistory(id) {
+        const history = db.getStatusHistory(id);
+        const list = document.getElementById('status-history-list');
+
+        list.innerHTML = history.map(entry => `
+            <li>
+                <strong>${this.escapeHtml(this.formatStatus(entry.status))}</strong>
+                since <time datetime="${entry.changed_at}">${this.formatDate(entry.changed_at)}</time>
+                (${entry.current ? 'for ' : ''}${this.formatDuration(entry.duration_ms)}${entry.current ? ' so far' : ''})
+            </li>
+        `).join('');
+
+        document.getElementById('detail-status-history').hidden = history.length === 0;
+    }
+
+    /**
+     * Render the idea's next action and its recently completed actions
+     */
+    renderNextAction(idea) {
+        document.getElementById('detail-next-action').hidden = !idea.next_action;
+        document.getElementById('detail-next-action-text').textContent = idea.next_action || '';
+
+        const completed = db.getCompletedActions(idea.id);
+        document.getElementById('completed-actions-list').innerHTML = completed.map(entry => `
+            <li>
+                ${this.escapeHtml(entry.action)}
+                - <time datetime="${entry.completed_at}">${this.formatDate(entry.completed_at)}</time>
+            </li>
+        `).join('');
+        document.getElementById('detail-completed-actions').hidden = completed.length === 0;
+    }
+
+    /**
+     * Mark the current idea's next action done from the detail view
+     */
+    handleNextActionDone() {
+        if (!this.currentIdeaId) return;
+
+        try {
+            db.completeNextAction(this.currentIdeaId);
+            this.showDetailView(this.currentIdeaId);
+            // The button disappears when no action is left, so keep focus somewhere sensible
+            const button = document.getElementById('next-action-done-btn');
+            if (!document.getElementById('detail-next-action').hidden) {
+                button.focus();
+            } else {
+                document.getElementById('edit-btn').focus();
+            }
+        } catch (error) {
+            console.error('Failed to complete action:', error);
+            alert('Failed to complete action. Please try again.');
+        }
+    }
+
+    /**
+     * Show every pending action across the library
+     */
+    showActionsView() {
+        const actions = db.getPendingActions();
+        const list = document.getElementById('actions-list');
+
+        list.innerHTML = actions.map((item, index) => `
+            <li class="action-item">
+                <div>
+                    <span class="action-text">${this.escapeHtml(item.action)}</span>
+                    <a class="action-idea" href="#/idea/${item.idea_id}">
+                        ${this.escapeHtml(item.title)}${item.source === 'task' ? ' (task)' : ''}
+                    </a>
+                </div>
+                <button
+                    type="button"
+                    class="btn btn-secondary"
+                    data-idea-id="${item.idea_id}"
+                    data-line="${item.line ?? ''}"
+                    data-index="${index}"
+                    aria-label="Mark done: ${this.escapeHtml(item.action)}"
+                >Done</button>
+            </li>
+        `).join('');
+
+        document.getElementById('actions-empty').hidden = actions.length > 0;
+        this.showView('actions-view');
+    }
+
+    /**
+     * Mark an action from the #/actions list done
+     * @param {HTMLButtonElement} button - The clicked Done button
+     */
+    handleActionDone(button) {
+        const { ideaId, line, index } = button.dataset;
+        const action = button.closest('.action-item').querySelector('.action-text').textContent;
+
+        try {
+            if (line === '') {
+                db.completeNextAction(ideaId);
+            } else {
+                db.completeTask(ideaId, Number(line));
+            }
+        } catch (error) {
+            console.error('Failed to complete action:', error);
+            alert('Failed to complete action. Please try again.');
+            return;
+        }
+
+        this.showActionsView();
+        document.getElementById('actions-status').textContent = `Done: ${action}`;
+
+        // Move focus to the item that took this one's place, or the heading when the list is empty
+        const buttons = document.querySelectorAll('#actions-list button[data-idea-id]');
+        const next = buttons[Math.min(Number(index), buttons.length - 1)];
+        (next || document.getElementById('actions-heading')).focus();
+    }
+
+    /**
+     * Show the quick capture form
+     * A link that carries text, title or url (#/capture?text=...) is saved straight away;
+     * its parameters are then dropped from the address so a reload doesn't save it again.
+     * @param {URLSearchParams} params
+     */
+    showCaptureView(params) {
+        const status = document.getElementById('capture-status');
+        const capture = {
+            text: params.get('text') || '',
+            title: params.get('title') || '',
+            url: params.get('url') || ''
+        };
+
+        document.getElementById('capture-form').reset();
+        this.clearFormErrors();
+        this.renderBookmarklet();
+        this.showView('capture-view');
+        status.textContent = '';
+
+        if (capture.text.trim() || capture.title.trim() || capture.url.trim()) {
+            history.replaceState(null, '', libraryHash(this.library.id, '/capture'));
+            const saved = this.saveCapture(capture);
+            if (!saved) return;
+            status.textContent = `Saved "${saved.title}" to the Inbox.`;
+        }
+        document.getElementById('capture-text').focus();
+    }
+
+    /**
+     * Save a quick capture to the inbox
+     * @param {{text: string, title: string, url: string}} capture
+     * @param {Array<{filename: string, mime_type: string, data: Uint8Array}>} attachments
+     * @returns {{id: string, title: string}|null} The new idea, or null when it could not be saved
+     */
+    saveCapture(capture, attachments = []) {
+        const { title, body } = this.buildCapture(capture);
+        let id;
+        try {
+            id = db.createIdea(title, body, [], 'inbox');
+            attachments.forEach(attachment => db.addAttachment(id, attachment));
+        } catch (error) {
+            console.error('Failed to save capture:', error);
+            this.showError('Failed to save idea. Please try again.');
+            return null;
+        }
+        this.updateInboxCount();
+        return { id, title };
+    }
+
+    /**
+     * Turn captured text, a page title and its address into an idea's title and description
+     * A single line becomes the title on its own. Text that comes with a page title (a
+     * selection on a web page) is quoted in the description, above a link back to the page.
+     * @param {{text: string, title: string, url: string}} capture
+     * @returns {{title: string, body: string}}
+     */
+    buildCapture({ text = '', title = '', url = '' }) {
+        text = text.trim();
+        title = title.trim();
+        url = url.trim();
+
+        const firstLine = text.split('\n')[0].trim();
+        const ideaTitle = this.truncate(title || firstLine || url, CAPTURE_TITLE_LENGTH);
+        const parts = [];
+
+        if (text && title) {
+            parts.push(text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+        } else if (text && text !== ideaTitle) {
+            parts.push(text);
+        }
+
+        if (/^https?:\/\//i.test(url)) {
+            // Parentheses and spaces would end the Markdown link early
+            const href = url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+            const label = title.replace(/[[\]\\]/g, '\\$&');
+            parts.push(label ? `Source: [${label}](${href})` : `Source: <${href}>`);
+        } else if (url) {
+            parts.push(`Source: ${url}`);
+        }
+
+        return { title: ideaTitle, body: parts.join('\n\n') };
+    }
+
+    /**
+     * Handle the quick capture form: save the line and clear the field for the next one
+     */
+    handleCaptureSubmit(e) {
+        e.preventDefault();
+        this.clearFormErrors();
+
+        const input = document.getElementById('capture-text');
+        const text = input.value.trim();
+        if (!text) {
+            document.getElementById('capture-error').textContent = 'Type something to capture';
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+            input.focus();
+            return;
+        }
+
+        const saved = this.saveCapture({ text });
+        if (!saved) return;
+
+        input.value = '';
+        document.getElementById('capture-status').textContent = `Saved "${saved.title}" to the Inbox.`;
+        input.focus();
+    }
+
+    /**
+     * Point the bookmarklet at this copy of the app and the open library
+     * It opens the capture route in a new tab with the page's title, address and selection.
+     */
+    renderBookmarklet() {
+        const target = window.location.href.split('#')[0] + libraryHash(this.library.id, '/capture');
+        const code = 'javascript:(()=>{const e=encodeURIComponent;' +
+            `window.open(${JSON.stringify(target)}+'?title='+e(document.title)+'&url='+e(location.href)` +
+            `+'&text='+e(String(getSelection()).slice(0,${BOOKMARKLET_TEXT_LENGTH})))})()`;
+
+        document.getElementById('bookmarklet-link').setAttribute('href', code);
+        document.getElementById('bookmarklet-code').value = code;
+    }
+
+    /**
+     * Capture what another app shared with this one
+     * The service worker keeps the share and sends the app here (see share.js); the
+     * address is then switched to #/capture so going back or reloading doesn't repeat it.
+     */
+    async showSharedContent() {
+        history.replaceState(null, '', libraryHash(this.library.id, '/capture'));
+        this.showCaptureView(new URLSearchParams());
+        const status = document.getElementById('capture-status');
+
+        let incoming = null;
+        try {
+            incoming = await takePendingShare();
+        } catch (error) {
+            console.error('Failed to read shared content:', error);
+        }
+        if (!incoming) {
+            status.textContent = 'Nothing was shared, or it was already saved.';
+            return;
+        }
+
+        const saved = await this.saveIncoming(incoming, 'Shared image');
+        if (saved) status.textContent = saved.message;
+    }
+
+    /**
+     * Save shared, pasted or dropped content to the inbox, keeping its images as attachments
+     * Files that aren't supported images, or are too large, are left out and reported.
+     * @param {{title: string, text: string, url: string, files: Array<File>}} incoming - From share.js
+     * @param {string} imageTitle - Title when only images came in
+     * @returns {Promise<{id: string, title: string, message: string}|null>} The new idea and
+     *   what to tell the user, or null when nothing was saved
+     */
+    async saveIncoming(incoming, imageTitle) {
+        const attachments = [];
+        let skipped = 0;
+        for (const file of incoming.files) {
+            if (!isSupportedImage(file) || file.size > MAX_ATTACHMENT_BYTES) {
+                skipped++;
+                continue;
+            }
+            attachments.push({
+                filename: file.name || `image.${file.type.split('/')[1]}`,
+                mime_type: file.type,
+                data: new Uint8Array(await file.arrayBuffer())
+            });
+        }
+
+        const limits = `Only PNG, JPEG, GIF, WebP and AVIF images up to ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB can be kept.`;
+        const hasText = Boolean(incoming.title || incoming.text || incoming.url);
+        if (!hasText && attachments.length === 0) {
+            alert(`Nothing was saved. ${limits}`);
+            return null;
+        }
+
+        const saved = this.saveCapture(hasText ? incoming : { text: imageTitle }, attachments);
+        if (!saved) return null;
+
+        let message = `Saved "${saved.title}" to the Inbox.`;
+        if (skipped > 0) {
+            message += ` ${skipped} file${skipped !== 1 ? 's were' : ' was'} left out. ${limits}`;
+        }
+        return { ...saved, message };
+    }
+
+    /**
+     * Capture content pasted on the ideas list
+     * Pasting into a text field, or anywhere else in the app, works as usual.
+     */
+    handlePaste(e) {
+        if (this.currentView !== 'list-view' || this.isTextEntry(e.target) ||
+            document.querySelector('dialog[open]')) {
+            return;
+        }
+
+        const incoming = readDataTransfer(e.clipboardData);
+        if (!incoming) return;
+        e.preventDefault();
+        this.captureOnList(incoming, 'Pasted image');
+    }
+
+    /**
+     * Accept files, links and text dragged from outside the app over the ideas list
+     */
+    handleDragOver(e) {
+        if (this.draggingInPage || !e.dataTransfer ||
+            !Array.from(e.dataTransfer.types).some(type => DROP_TYPES.includes(type))) {
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        e.currentTarget.classList.add('drop-target');
+    }
+
+    /**
+     * Capture content dropped on the ideas list; a drop on the search box fills it instead
+     */
+    handleDrop(e) {
+        e.currentTarget.classList.remove('drop-target');
+        if (this.draggingInPage || this.isTextEntry(e.target)) return;
+
+        e.preventDefault();
+        const incoming = readDataTransfer(e.dataTransfer);
+        if (incoming) this.captureOnList(incoming, 'Dropped image');
+    }
+
+    /**
+     * Save pasted or dropped content and show it in the list
+     */
+    async captureOnList(incoming, imageTitle) {
+        const saved = await this.saveIncoming(incoming, imageTitle);
+        if (!saved) return;
+
+        if (this.currentView === 'list-view') {
+            this.showListView(this.listFilters);
+        }
+        this.showToast(saved.message, { label: 'View', onClick: () => this.navigate(`#/idea/${saved.id}`) });
+    }
+
+    /**
+     * Show the number of ideas waiting in the inbox next to its link
+     * @param {number} count - Defaults to counting them
+     */
+    updateInboxCount(count = db.countIdeas({ status: 'inbox' })) {
+        document.getElementById('nav-inbox-count').textContent = count > 0 ? `(${count})` : '';
+    }
+
+    /**
+     * Show the inbox with one item at a time to triage
+     * @param {Object} options
+     * @param {string|null} options.itemId - Item to show; the oldest when missing or gone
+     * @param {string|null} options.message - What just happened, announced with the count;
+     *   given after an action, which also puts focus back on the triage form
+     */
+    showInboxView({ itemId = null, message = null } = {}) {
+        const ideas = db.getInboxIdeas();
+        const form = document.getElementById('triage-form');
+        this.inboxIds = ideas.map(idea => idea.id);
+
+        this.clearFormErrors();
+        this.updateInboxCount(ideas.length);
+        document.getElementById('inbox-empty').hidden = ideas.length > 0;
+        form.hidden = ideas.length === 0;
+
+        if (ideas.length > 0) {
+            const index = Math.max(this.inboxIds.indexOf(itemId), 0);
+            const idea = ideas[index];
+            document.getElementById('triage-id').value = idea.id;
+            document.getElementById('triage-position').textContent =
+                `Item ${index + 1} of ${ideas.length}, captured ${this.getRelativeTime(idea.created_at)}`;
+            document.getElementById('triage-title').value = idea.title;
+            document.getElementById('triage-body').value = idea.body;
+            document.getElementById('triage-tags').value = (idea.tags || []).join(', ');
+            document.getElementById('triage-status').value = 'captured';
+            this.updateBodyRequired('triage-body', 'captured');
+            document.getElementById('triage-edit-link').href = `#/edit/${idea.id}`;
+        }
+
+        this.showView('inbox-view');
+
+        const count = ideas.length === 0
+            ? 'The Inbox is empty.'
+            : `${ideas.length} item${ideas.length !== 1 ? 's' : ''} to triage.`;
+        document.getElementById('inbox-status').textContent = message ? `${message} ${count}` : count;
+        if (message !== null) {
+            document.getElementById(ideas.length > 0 ? 'triage-title' : 'inbox-heading').focus();
+        }
+    }
+
+    /**
+     * Id of the inbox item after the one being triaged, wrapping around to the first
+     */
+    getNextInboxId(id) {
+        const index = this.inboxIds.indexOf(id);
+        return this.inboxIds[(index + 1) % this.inboxIds.length] || null;
+    }
+
+    /**
+     * Mark a description field required or not, to match the status chosen alongside it
+     * @param {string} fieldId - 'idea-body' or 'triage-body'
+     * @param {string} status
+     */
+    updateBodyRequired(fieldId, status) {
+        const required = !UNDESCRIBED_STATUSES.includes(status);
+        const field = document.getElementById(fieldId);
+        field.required = required;
+        field.setAttribute('aria-required', String(required));
+        document.querySelector(`label[for="${fieldId}"] .required`).hidden = !required;
+    }
+
+    /**
+     * Save the item being triaged as a full idea and move on to the next one
+     */
+    handleTriageSubmit(e) {
+        e.preventDefault();
+        this.clearFormErrors();
+
+        const id = document.getElementById('triage-id').value;
+        const title = document.getElementById('triage-title').value.trim();
+        const body = document.getElementById('triage-body').value.trim();
+        const status = document.getElementById('triage-status').value;
+        const tags = [...new Set(document.getElementById('triage-tags').value.split(',').map(normalizeTag).filter(Boolean))];
+
+        // Same rules as the idea form
+        const errors = [];
+        if (!title) errors.push(['triage-title', 'Title is required']);
+        if (!body && !UNDESCRIBED_STATUSES.includes(status)) errors.push(['triage-body', 'Description is required']);
+        if (errors.length > 0) {
+            errors.forEach(([field, message]) => {
+                const input = document.getElementById(field);
+                input.classList.add('invalid');
+                input.setAttribute('aria-invalid', 'true');
+                document.getElementById(`${field}-error`).textContent = message;
+            });
+            document.getElementById(errors[0][0]).focus();
+            return;
+        }
+
+        const next = this.getNextInboxId(id);
+        try {
+            db.updateIdea(id, { title, body, tags, status });
+        } catch (error) {
+            console.error('Failed to save idea:', error);
+            alert('Failed to save idea. Please try again.');
+            return;
+        }
+        this.showInboxView({ itemId: next, message: `Saved "${title}" as ${this.formatStatus(status).toLowerCase()}.` });
+    }
+
+    /**
+     * Leave the item being triaged in the inbox and show the next one
+     */
+    handleTriageSkip() {
+        const id = document.getElementById('triage-id').value;
+        this.showInboxView({ itemId: this.getNextInboxId(id), message: 'Skipped.' });
+    }
+
+    /**
+     * Move the item being triaged to the trash, with an undo
+     */
+    handleTriageDelete() {
+        const id = document.getElementById('triage-id').value;
+        const idea = db.getIdea(id);
+        const next = this.getNextInboxId(id);
+
+        try {
+            db.deleteIdea(id);
+        } catch (error) {
+            console.error('Failed to delete idea:', error);
+            alert('Failed to delete idea. Please try again.');
+            return;
+        }
+
+        // The notification announces the deletion, so the inbox only reports the count
+        this.showInboxView({ itemId: next, message: '' });
+        this.showUndoToast(`"${idea.title}" moved to the trash.`, () => {
+            db.restoreIdea(id);
+            if (this.currentView === 'inbox-view') this.showInboxView({ itemId: id });
+            this.updateInboxCount();
+            this.showToast(`"${idea.title}" restored.`);
+        });
+    }
+
+    /**
+     * Show form view (create or edit)
+     * @param {string|null} id - Idea to edit; a new idea when missing
+     * @param {string|null} templateId - Template a new idea starts from (#/create?template=...)
+     */
+    showFormView(id = null, templateId = null) {
+        const form = document.getElementById('idea-form');
+        const formTitle = document.getElementById('form-title');
+
+        // Reset form
+        form.reset();
+        this.clearFormErrors();
+        this.setBodyMode('edit');
+        this.hideLinkSuggestions();
+        this.currentTags = [];  // Reset tags
+        this.releaseAttachmentUrls();
+        this.formAttachments = [];
+        this.removedAttachmentIds = [];
+        this.formTemplateId = null;
+        document.getElementById('template-picker').hidden = Boolean(id);
+
+        if (id) {
+            // Edit mode
+            const idea = db.getIdea(id);
+            if (!idea || idea.deleted_at) {
+                this.showError('Idea not found');
+                return;
+            }
+
+            this.currentIdeaId = id;
+            formTitle.textContent = 'Edit Idea';
+            document.getElementById('idea-id').value = id;
+            document.getElementById('idea-title').value = idea.title;
+            document.getElementById('idea-body').value = idea.body;
+            document.getElementById('idea-status').value = idea.status;
+            document.getElementById('idea-next-action').value = idea.next_action || '';
+            this.currentTags = idea.tags || [];  // Load existing tags
+            this.formAttachments = db.getAttachments(id);
+            this.formAttachments.forEach(attachment => {
+                this.createAttachmentUrl(attachment, db.getAttachment(attachment.id).data);
+            });
+        } else {
+            // Create mode
+            this.currentIdeaId = null;
+            formTitle.textContent = 'New Idea';
+            document.getElementById('idea-id').value = '';
+            this.renderTemplateOptions();
+            if (templateId) {
+                this.applyTemplate(templateId);
+            }
+        }
+
+        this.renderTags();  // Render tags
+        this.renderFormAttachments();
+        this.renderStorageBudget(document.getElementById('attachment-budget'));
+        // Taken before any draft is restored, since a restored draft isn't saved either
+        this.formSnapshot = this.readFormState();
+
+        // Check for and restore any saved draft
+        const draftRestored = this.loadDraft();
+        this.updateBodyRequired('idea-body', document.getElementById('idea-status').value);
+
+        this.showView('form-view');
+        // Focus first input for accessibility
+        document.getElementById('idea-title').focus();
+
+        // Announce draft restoration to screen readers (one-time, relevant info)
+        if (draftRestored) {
+            const liveRegion = document.getElementById('tags-live-region');
+            liveRegion.textContent = 'Previously entered text has been restored.';
+        }
+    }
+
+    /**
+     * Switch the description field between writing and a rendered preview
+     * The preview uses the same renderer as the detail view.
+     * @param {string} mode - 'edit' or 'preview'
+     */
+    setBodyMode(mode) {
+        const textarea = document.getElementById('idea-body');
+        const preview = document.getElementById('idea-body-preview');
+        const isPreview = mode === 'preview';
+
+        if (isPreview) {
+            this.hideLinkSuggestions();
+            preview.innerHTML = textarea.value.trim()
+                ? this.renderBody(textarea.value)
+                : '<p class="help-text">Nothing to preview yet.</p>';
+        }
+
+        textarea.hidden = isPreview;
+        preview.hidden = !isPreview;
+        document.getElementById('body-write-btn').setAttribute('aria-pressed', String(!isPreview));
+        document.getElementById('body-preview-btn').setAttribute('aria-pressed', String(isPreview));
+    }
+
+    /**
+     * Handle form submission
+     */
+    handleFormSubmit(e) {
+        e.preventDefault();
+
+        // Clear previous errors
+        this.clearFormErrors();
+
+        // Get form data
+        const id = document.getElementById('idea-id').value;
+        const title = document.getElementById('idea-title').value.trim();
+        const status = document.getElementById('idea-status').value;
+
+        // A new idea made from a template gets the template's variables filled in
+        const fill = (text) => !id && this.formTemplateId ? expandTemplate(text, { title }) : text;
+        const body = fill(document.getElementById('idea-body').value.trim());
+
+        // Without an explicit next action, the first open task in the description is used
+        const openTask = parseTaskItems(body).find(task => !task.done);
+        const nextAction = fill(document.getElementById('idea-next-action').value.trim()) ||
+            (openTask ? openTask.text : null);
+
+        // Validate
+        let isValid = true;
+
+        if (!title) {
+            this.showFieldError('title', 'Title is required');
+            isValid = false;
+        }
+
+        if (!body && !UNDESCRIBED_STATUSES.includes(status)) {
+            this.setBodyMode('edit');  // The error must be next to a visible field
+            this.showFieldError('body', 'Description is required');
+            isValid = false;
+        }
+
+        if (!isValid) {
+            return;
+        }
+
+        try {
+            // Clear draft before saving - prevents stale draft on next form open
+            this.clearDraft();
+
+            if (id) {
+                // Update existing idea
+                db.updateIdea(id, { title, body, tags: this.currentTags, status, next_action: nextAction });
+                this.saveFormAttachments(id);
+                window.location.hash = `#/idea/${id}`;
+            } else {
+                // Create new idea
+                const newId = db.createIdea(title, body, this.currentTags, status, nextAction);
+                this.saveFormAttachments(newId);
+                window.location.hash = `#/idea/${newId}`;
+            }
+        } catch (error) {
+            console.error('Failed to save idea:', error);
+            this.showError('Failed to save idea. Please try again.');
+        }
+    }
+
+    /**
+     * List the templates in the form's "Start from" picker
+     */
+    renderTemplateOptions() {
+        document.getElementById('template-select').innerHTML =
+            '<option value="">Blank idea</option>' +
+            db.getTemplates().map(template =>
+                `<option value="${this.escapeHtml(template.id)}">${this.escapeHtml(template.name)}</option>`
+            ).join('');
+    }
+
+    /**
+     * Fill the new idea's description, tags and next action from a template
+     * @param {string|null} templateId - null empties them again
+     * @returns {Object|null} The template, or null when there is none with that id
+     */
+    applyTemplate(templateId) {
+        const template = templateId ? db.getTemplate(templateId) : null;
+        this.formTemplateId = template ? template.id : null;
+
+        document.getElementById('template-select').value = this.formTemplateId || '';
+        document.getElementById('idea-body').value = template ? template.body : '';
+        document.getElementById('idea-next-action').value = template && template.next_action ? template.next_action : '';
+        this.currentTags = template ? [...template.tags] : [];
+        this.renderTags();
+        return template;
+    }
+
+    /**
+     * Switch the new idea to the template picked under "Start from"
+     * A description the user already wrote is only replaced after asking.
+     */
+    handleTemplateSelect(e) {
+        const select = e.target;
+        const body = document.getElementById('idea-body').value;
+        const previous = this.formTemplateId ? db.getTemplate(this.formTemplateId) : null;
+        const untouched = !body.trim() || (previous && body === previous.body);
+
+        if (!untouched && !confirm('Replace the description, tags and next action with this template?')) {
+            select.value = this.formTemplateId || '';
+            return;
+        }
+
+        const template = this.applyTemplate(select.value || null);
+        document.getElementById('tags-live-region').textContent = template
+            ? `Filled in from the "${template.name}" template.`
+            : 'Description, tags and next action cleared.';
+        this.debouncedSaveDraft();
+    }
+
+    /**
+     * Store the files added in the form and delete the ones removed there
+     */
+    saveFormAttachments(ideaId) {
+        this.formAttachments
+            .filter(attachment => attachment.data)
+            .forEach(attachment => db.addAttachment(ideaId, attachment));
+        this.removedAttachmentIds.forEach(id => db.deleteAttachment(id));
+        this.formAttachments = [];
+        this.removedAttachmentIds = [];
+    }
+
+    /**
+     * Render the form's list of attachments, each with Insert (images) and Remove buttons
+     */
+    renderFormAttachments() {
+        document.getElementById('form-attachment-list').innerHTML = this.formAttachments.map(attachment => {
+            const name = this.escapeHtml(attachment.filename);
+            const ref = this.attachmentRefs.get(attachment.id);
+            return `
+                <li>
+                    ${this.renderAttachmentThumbnail(attachment)}
+                    <span class="attachment-name">
+                        ${name} <span class="help-text">(${this.formatFileSize(attachment.size)}${attachment.data ? ', not saved yet' : ''})</span>
+                    </span>
+                    ${ref && ref.url ? `<button type="button" class="btn btn-secondary" data-action="insert" data-attachment-id="${attachment.id}" aria-label="Insert ${name} in the description">Insert</button>` : ''}
+                    <button type="button" class="btn btn-secondary" data-action="remove" data-attachment-id="${attachment.id}" aria-label="Remove ${name}">Remove</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Add files to the idea in the form; they are stored when the form is saved
+     * @param {Array<File>} files
+     * @returns {Promise<Array<Object>>} The files that were added
+     */
+    async addFormFiles(files) {
+        const error = document.getElementById('attachment-error');
+        const added = [];
+        const tooLarge = [];
+        error.textContent = '';
+
+        for (const file of files) {
+            if (file.size > MAX_ATTACHMENT_BYTES) {
+                tooLarge.push(file.name);
+                continue;
+            }
+            const attachment = {
+                id: db.generateUUID(),
+                filename: file.name || `image.${file.type.split('/')[1]}`,
+                mime_type: file.type || 'application/octet-stream',
+                size: file.size,
+                data: new Uint8Array(await file.arrayBuffer())
+            };
+            this.createAttachmentUrl(attachment, attachment.data);
+            this.formAttachments.push(attachment);
+            added.push(attachment);
+        }
+
+        if (tooLarge.length > 0) {
+            error.textContent = `${tooLarge.join(', ')} ${tooLarge.length === 1 ? 'is' : 'are'} larger than ` +
+                `${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB and ${tooLarge.length === 1 ? 'was' : 'were'} not attached.`;
+        }
+        if (added.length > 0) {
+            this.renderFormAttachments();
+            document.getElementById('attachment-status').textContent =
+                `Attached ${added.map(attachment => attachment.filename).join(', ')}.`;
+        }
+        return added;
+    }
+
+    /**
+     * Attach the files picked in the form's file field
+     */
+    async handleAttachmentInput(e) {
+        const input = e.target;
+        await this.addFormFiles(Array.from(input.files));
+        input.value = '';
+    }
+
+    /**
+     * Attach images pasted into the description and show them where the cursor was
+     * Pasted text is left to the browser.
+     */
+    async handleBodyPaste(e) {
+        const images = Array.from(e.clipboardData ? e.clipboardData.files : []).filter(isSupportedImage);
+        if (images.length === 0) return;
+        e.preventDefault();
+
+        const textarea = document.getElementById('idea-body');
+        const cursor = textarea.selectionStart;
+        const added = await this.addFormFiles(images);
+        const references = added.map(attachment => `![](attachment:${attachment.id})`).join('\n');
+        if (!references) return;
+
+        textarea.value = textarea.value.slice(0, cursor) + references + textarea.value.slice(textarea.selectionEnd);
+        textarea.setSelectionRange(cursor + references.length, cursor + references.length);
+        this.debouncedSaveDraft();
+    }
+
+    /**
+     * Show an attached image in the description, at the cursor
+     */
+    insertAttachmentReference(id) {
+        const textarea = document.getElementById('idea-body');
+        const attachment = this.formAttachments.find(item => item.id === id);
+        if (!attachment) return;
+
+        this.setBodyMode('edit');
+        const reference = `![${attachment.filename.replace(/[[\]\\]/g, '\\$&')}](attachment:${id})`;
+        const start = textarea.selectionStart;
+        textarea.value = textarea.value.slice(0, start) + reference + textarea.value.slice(textarea.selectionEnd);
+        textarea.setSelectionRange(start + reference.length, start + reference.length);
+        textarea.focus();
+
+        document.getElementById('attachment-status').textContent = `Inserted ${attachment.filename} in the description.`;
+        this.debouncedSaveDraft();
+    }
+
+    /**
+     * Take a file off the idea in the form; a saved one is deleted when the form is saved
+     * Focus moves to the next file's Remove button, or to the file field.
+     */
+    removeFormAttachment(id) {
+        const index = this.formAttachments.findIndex(attachment => attachment.id === id);
+        if (index === -1) return;
+
+        const [attachment] = this.formAttachments.splice(index, 1);
+        if (!attachment.data) {
+            this.removedAttachmentIds.push(id);
+        }
+        this.renderFormAttachments();
+
+        const buttons = document.querySelectorAll('#form-attachment-list button[data-action="remove"]');
+        (buttons[Math.min(index, buttons.length - 1)] || document.getElementById('attachment-input')).focus();
+        document.getElementById('attachment-status').textContent = `Removed ${attachment.filename}.`;
+    }
+
+    /**
+     * Handle delete
+     * The idea goes to the trash, and a notification offers to undo it.
+     */
+    handleDelete() {
+        if (!this.currentIdeaId) return;
+
+        const id = this.currentIdeaId;
+        const idea = db.getIdea(id);
+        try {
+            db.deleteIdea(id);
+            window.location.hash = '#/';
+            this.showUndoToast(`"${idea.title}" moved to the trash.`, () => {
+                db.restoreIdea(id);
+                this.navigate(`#/idea/${id}`);
+                this.showToast(`"${idea.title}" restored.`);
+            });
+        } catch (error) {
+            console.error('Failed to delete idea:', error);
+            alert('Failed to delete idea. Please try again.');
+        }
+    }
+
+    /**
+     * Show a short notification
+     * @param {string} message
+     * @param {Object} action - Optional button: { label, onClick }
+     */
+    showToast(message, action = null) {
+        const region = document.getElementById('toast-region');
+        clearTimeout(this.toastTimeoutId);
+
+        region.innerHTML = `
+            <div class="toast">
+                <span>${this.escapeHtml(message)}</span>
+                ${action ? `<button type="button" class="btn btn-secondary toast-action">${this.escapeHtml(action.label)}</button>` : ''}
+                <button type="button" class="toast-dismiss" aria-label="Dismiss notification">×</button>
+            </div>
+        `;
+
+        if (action) {
+            region.querySelector('.toast-action').addEventListener('click', () => {
+                this.hideToast();
+                action.onClick();
+            });
+        }
+        region.querySelector('.toast-dismiss').addEventListener('click', () => this.hideToast());
+
+        this.scheduleToastHide();
+    }
+
+    /**
+     * Show a notification with an Undo button
+     */
+    showUndoToast(message, undo) {
+        this.showToast(message, { label: 'Undo', onClick: undo });
+    }
+
+    /**
+     * Hide the notification after a delay, unless the user is interacting with it
+     */
+    scheduleToastHide() {
+        clearTimeout(this.toastTimeoutId);
+
+        const region = document.getElementById('toast-region');
+        if (region.contains(document.activeElement)) return;
+
+        this.toastTimeoutId = setTimeout(() => this.hideToast(), UNDO_TIMEOUT_MS);
+    }
+
+    /**
+     * Remove the notification
+     */
+    hideToast() {
+        clearTimeout(this.toastTimeoutId);
+
+        const region = document.getElementById('toast-region');
+        const hadFocus = region.contains(document.activeElement);
+        region.innerHTML = '';
+
+        // Don't leave keyboard focus on a removed element
+        const heading = hadFocus && document.querySelector(`#${this.currentView} h2`);
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus();
+        }
+    }
+
+    /**
+     * Show the trash
+     */
+    showTrashView() {
+        const ideas = db.getTrashedIdeas();
+        const list = document.getElementById('trash-list');
+
+        list.innerHTML = ideas.map(idea => `
+            <li class="action-item">
+                <div>
+                    <span class="action-text">${this.escapeHtml(idea.title)}</span>
+                    <span class="action-idea">
+                        Deleted <time datetime="${idea.deleted_at}">${this.getRelativeTime(idea.deleted_at)}</time>
+                    </span>
+                </div>
+                <div class="actions">
+                    <button type="button" class="btn btn-secondary" data-idea-id="${idea.id}" data-action="restore"
+                        aria-label="Restore ${this.escapeHtml(idea.title)}">Restore</button>
+                    <button type="button" class="btn btn-danger" data-idea-id="${idea.id}" data-action="purge"
+                        aria-label="Delete ${this.escapeHtml(idea.title)} forever">Delete forever</button>
+                </div>
+            </li>
+        `).join('');
+
+        document.getElementById('trash-empty').hidden = ideas.length > 0;
+        document.getElementById('trash-empty-btn').hidden = ideas.length === 0;
+        document.getElementById('trash-retention').value = String(db.getTrashRetentionDays());
+        this.showView('trash-view');
+    }
+
+    /**
+     * Restore or permanently delete an idea from the trash list
+     * @param {HTMLButtonElement} button - Clicked button with data-idea-id and data-action
+     */
+    handleTrashAction(button) {
+        const { ideaId, action } = button.dataset;
+        const idea = db.getIdea(ideaId);
+        if (!idea) return;
+
+        if (action === 'purge' &&
+            !confirm(`Delete "${idea.title}" forever? This action cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            if (action === 'restore') {
+                db.restoreIdea(ideaId);
+            } else {
+                db.purgeIdea(ideaId);
+            }
+        } catch (error) {
+            console.error('Failed to update trash:', error);
+            alert('Something went wrong. Please try again.');
+            return;
+        }
+
+        this.showTrashView();
+        document.getElementById('trash-status').textContent = action === 'restore'
+            ? `"${idea.title}" restored.`
+            : `"${idea.title}" deleted forever.`;
+        document.getElementById('trash-heading').focus();
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    handleEmptyTrash() {
+        const count = db.getTrashedIdeas().length;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} idea${count !== 1 ? 's' : ''} forever? This action cannot be undone.`)) return;
+
+        try {
+            db.purgeTrash();
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            alert('Failed to empty the trash. Please try again.');
+            return;
+        }
+
+        this.showTrashView();
+        document.getElementById('trash-status').textContent = 'Trash emptied.';
+        document.getElementById('trash-heading').focus();
+    }
+
+    /**
+     * Save the trash retention period and purge anything now past it
+     */
+    handleRetentionChange(e) {
+        db.setSetting('trash_retention_days', e.target.value);
+        const purged = db.purgeExpiredTrash();
+
+        this.showTrashView();
+        if (purged > 0) {
+            document.getElementById('trash-status').textContent =
+                `${purged} idea${purged !== 1 ? 's' : ''} older than the new limit deleted forever.`;
+        }
+    }
+
+    /**
+     * Handle tag input keydown (Enter, Escape, Arrow keys)
+     * Provides keyboard navigation for the autocomplete
+     */
+    handleTagInputKeydown(e) {
+        const input = e.target;
+        const dropdown = document.getElementById('tags-dropdown');
+        const suggestions = dropdown.querySelectorAll('.tag-suggestion');
+        const liveRegion = document.getElementById('tags-live-region');
+
+        if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+
+            let tagToAdd = '';
+            let added = false;
+
+            // If a suggestion is selected, use it; one with sub-tags completes the next segment
+            const selected = suggestions[this.selectedSuggestionIndex];
+            if (selected && selected.hasAttribute('data-branch')) {
+                this.descendTagSuggestions(selected.getAttribute('data-tag'));
+                return;
+            }
+            if (selected) {
+                tagToAdd = selected.getAttribute('data-tag');
+                added = this.addTag(tagToAdd);
+            } else {
+                // Otherwise add the typed text
+                tagToAdd = normalizeTag(input.value);
+                if (tagToAdd) {
                     added = this.addTag(tagToAdd);
                 }
             }
 
-            input.value = '';
-            this.hideTagSuggestions();
-            this.selectedSuggestionIndex = -1;
+            input.value = '';
+            this.hideTagSuggestions();
+            this.selectedSuggestionIndex = -1;
+
+            // Announce result to screen readers
+            if (tagToAdd) {
+                if (added) {
+                    liveRegion.textContent = `Tag "${tagToAdd}" added. ${this.currentTags.length} tag${this.currentTags.length !== 1 ? 's' : ''} total.`;
+                } else {
+                    liveRegion.textContent = `Tag "${tagToAdd}" already exists.`;
+                }
+            }
+        } else if (e.key === 'Escape') {
+            this.hideTagSuggestions();
+            this.selectedSuggestionIndex = -1;
+            liveRegion.textContent = 'Suggestions closed.';
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (suggestions.length > 0) {
+                this.selectedSuggestionIndex = Math.min(
+                    this.selectedSuggestionIndex + 1,
+                    suggestions.length - 1
+                );
+                this.updateSelectedSuggestion();
+            }
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (suggestions.length > 0) {
+                this.selectedSuggestionIndex = Math.max(this.selectedSuggestionIndex - 1, 0);
+                this.updateSelectedSuggestion();
+            }
+        }
+    }
+
+    /**
+     * Handle tag input change (filter suggestions)
+     */
+    handleTagInputChange(e) {
+        const value = e.target.value.trim();
+        if (value) {
+            this.showTagSuggestions(value);
+        } else {
+            this.showTagSuggestions();
+        }
+    }
+
+    /**
+     * Add a tag
+     * @returns {boolean} true if tag was added, false if empty or duplicate
+     */
+    addTag(tag) {
+        const trimmedTag = normalizeTag(tag);
+        if (!trimmedTag) return false;
+
+        // Don't add duplicates
+        if (this.currentTags.includes(trimmedTag)) return false;
+
+        this.currentTags.push(trimmedTag);
+        this.renderTags();
+        return true;
+    }
+
+    /**
+     * Remove a tag
+     * Announces the removal to screen readers
+     */
+    removeTag(tag) {
+        const liveRegion = document.getElementById('tags-live-region');
+        this.currentTags = this.currentTags.filter(t => t !== tag);
+        this.renderTags();
+
+        // Announce tag removal to screen readers
+        const remaining = this.currentTags.length;
+        if (remaining === 0) {
+            liveRegion.textContent = `Tag "${tag}" removed. No tags remaining.`;
+        } else {
+            liveRegion.textContent = `Tag "${tag}" removed. ${remaining} tag${remaining !== 1 ? 's' : ''} remaining.`;
+        }
+
+        // Return focus to the tags input for seamless flow
+        document.getElementById('idea-tags-input').focus();
+    }
+
+    /**
+     * Render tags in the form
+     * Each tag has accessible remove functionality
+     */
+    renderTags() {
+        const display = document.getElementById('tags-display');
+        display.innerHTML = this.currentTags.map((tag, index) => `
+            <span class="tag" role="listitem" data-tag="${this.escapeHtml(tag)}" title="${this.escapeHtml(tag)}">
+                <span class="tag-text">${this.renderTagLabel(tag)}</span>
+                <button
+                    class="tag-remove"
+                    type="button"
+                    data-tag="${this.escapeHtml(tag)}"
+                    aria-label="Remove tag ${this.escapeHtml(tag)}"
+                >×</button>
+            </span>
+        `).join('');
+
+        // Add event listeners for remove buttons (click and touch for iOS VoiceOver)
+        display.querySelectorAll('.tag-remove').forEach(btn => {
+            const tagName = btn.getAttribute('data-tag');
+
+            // Click handler
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.removeTag(tagName);
+            });
+
+            // Touch handler for iOS
+            btn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.removeTag(tagName);
+            });
+        });
+    }
+
+    /**
+     * Show tag suggestions dropdown
+     * Suggests one path segment at a time: "wo" offers "work/", "work/" offers its
+     * children. Implements WAI-ARIA combobox pattern for screen reader accessibility
+     */
+    showTagSuggestions(filter = '') {
+        const allTags = db.getAllTags();
+        const dropdown = document.getElementById('tags-dropdown');
+        const input = document.getElementById('idea-tags-input');
+        const liveRegion = document.getElementById('tags-live-region');
+
+        const separatorIndex = filter.lastIndexOf(TAG_SEPARATOR);
+        const parent = normalizeTag(filter.slice(0, separatorIndex + 1));
+        const partial = filter.slice(separatorIndex + 1).trim().toLowerCase();
+
+        // Filter out already selected tags (branches stay, for their sub-tags) and apply search filter
+        const suggestions = getChildSegments(allTags, parent).filter(child =>
+            (child.hasChildren || !this.currentTags.includes(child.path)) &&
+            child.segment.toLowerCase().includes(partial)
+        );
+
+        if (suggestions.length === 0) {
+            dropdown.style.display = 'none';
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            // Announce no suggestions available
+            if (filter) {
+                liveRegion.textContent = 'No matching tags found. Type and press Enter to create a new tag.';
+            } else {
+                liveRegion.textContent = '';
+            }
+            return;
+        }
+
+        // Build suggestions with unique IDs for aria-activedescendant
+        const parentPrefix = parent ? this.escapeHtml(parent + TAG_SEPARATOR) : '';
+        dropdown.innerHTML = suggestions.map((child, index) => `
+            <div
+                id="tag-suggestion-${index}"
+                class="tag-suggestion"
+                role="option"
+                tabindex="-1"
+                data-tag="${this.escapeHtml(child.path)}"
+                data-index="${index}"
+                ${child.hasChildren ? 'data-branch' : ''}
+                aria-selected="false"
+            >
+                ${parentPrefix ? `<span class="tag-parent">${parentPrefix}</span>` : ''}${this.escapeHtml(child.segment)}${child.hasChildren ? TAG_SEPARATOR : ''}
+            </div>
+        `).join('');
+
+        // Add event listeners for suggestions (click and touch for iOS VoiceOver)
+        dropdown.querySelectorAll('.tag-suggestion').forEach(el => {
+            // Click handler for mouse and VoiceOver synthetic clicks
+            const choose = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const tag = el.getAttribute('data-tag');
+                if (el.hasAttribute('data-branch')) {
+                    this.descendTagSuggestions(tag);
+                } else {
+                    this.selectSuggestion(tag);
+                }
+            };
+            el.addEventListener('click', choose);
+
+            // Touch handler for iOS - fires before blur timeout
+            el.addEventListener('touchend', choose);
+
+            // Focus handler for VoiceOver navigation
+            // Cancel blur timeout to keep dropdown open while navigating
+            el.addEventListener('focus', () => {
+                // Cancel any pending blur timeout - user is still in the widget
+                this.cancelBlurTimeout();
+
+                const index = parseInt(el.getAttribute('data-index'));
+                this.selectedSuggestionIndex = index;
+                this.updateSelectedSuggestion();
+            });
+
+            // Blur handler for widget-level focus tracking
+            // Only hide if focus is leaving the entire combobox widget
+            el.addEventListener('blur', (e) => {
+                // Check if focus is moving to another suggestion or back to input
+                const relatedTarget = e.relatedTarget;
+                const isMovingWithinWidget = relatedTarget && (
+                    relatedTarget.id === 'idea-tags-input' ||
+                    relatedTarget.classList.contains('tag-suggestion')
+                );
+
+                if (!isMovingWithinWidget) {
+                    // Focus is leaving the widget entirely - hide after short delay
+                    this.blurTimeoutId = setTimeout(() => {
+                        this.hideTagSuggestions();
+                        this.blurTimeoutId = null;
+                    }, 300);
+                }
+            });
+        });
+
+        dropdown.style.display = 'block';
+        input.setAttribute('aria-expanded', 'true');
+        this.selectedSuggestionIndex = -1;
+
+        // Announce suggestions to screen readers
+        const count = suggestions.length;
+        const tagList = suggestions.slice(0, 3)
+            .map(child => child.path + (child.hasChildren ? TAG_SEPARATOR : ''))
+            .join(', ');
+        const moreText = count > 3 ? ` and ${count - 3} more` : '';
+        liveRegion.textContent = `${count} tag suggestion${count !== 1 ? 's' : ''} available: ${tagList}${moreText}. Use arrow keys to navigate or swipe to explore.`;
+    }
+
+    /**
+     * Complete a tag path up to a branch and suggest the segments below it
+     * @param {string} path - Branch to descend into
+     */
+    descendTagSuggestions(path) {
+        const input = document.getElementById('idea-tags-input');
+        input.value = path + TAG_SEPARATOR;
+        input.focus();
+        this.showTagSuggestions(input.value);
+
+        const liveRegion = document.getElementById('tags-live-region');
+        liveRegion.textContent = `Showing tags under "${path}". ${liveRegion.textContent} Press Enter without a suggestion to add "${path}" itself.`;
+    }
+
+    /**
+     * Cancel any pending blur timeout
+     * Called when focus moves within the combobox widget (e.g., to a suggestion)
+     */
+    cancelBlurTimeout() {
+        if (this.blurTimeoutId) {
+            clearTimeout(this.blurTimeoutId);
+            this.blurTimeoutId = null;
+        }
+    }
+
+    /**
+     * Read what the idea form holds, for comparing with formSnapshot
+     * @returns {string}
+     */
+    readFormState() {
+        return JSON.stringify({
+            title: document.getElementById('idea-title').value,
+            body: document.getElementById('idea-body').value,
+            next_action: document.getElementById('idea-next-action').value,
+            status: document.getElementById('idea-status').value,
+            tags: this.currentTags,
+            attachments: this.formAttachments.map(attachment => attachment.id),
+            removed: this.removedAttachmentIds
+        });
+    }
+
+    /**
+     * Check whether the idea form is open with edits that aren't saved
+     */
+    hasUnsavedFormChanges() {
+        return this.currentView === 'form-view' && this.readFormState() !== this.formSnapshot;
+    }
+
+    /**
+     * Get the localStorage key for draft storage
+     * Drafts are kept per library, so the same idea id in two libraries can't collide.
+     * @returns {string} The localStorage key
+     */
+    getDraftKey() {
+        const id = document.getElementById('idea-id').value;
+        return getDraftPrefix(this.library.id) + (id || 'new');
+    }
+
+    /**
+     * Save current form state as draft to localStorage
+     * Called automatically via debounce on input events
+     */
+    saveDraft() {
+        // Drafts are plain text in localStorage, so an encrypted library doesn't keep them
+        if (db.isEncrypted()) {
+            return;
+        }
+
+        const title = document.getElementById('idea-title').value;
+        const body = document.getElementById('idea-body').value;
+        const nextAction = document.getElementById('idea-next-action').value;
+
+        // Only save if there's actual content
+        if (!title && !body && !nextAction) {
+            return;
+        }
+
+        const draft = {
+            title: title,
+            body: body,
+            next_action: nextAction,
+            status: document.getElementById('idea-status').value,
+            tags: this.currentTags,
+            template_id: this.formTemplateId,
+            savedAt: new Date().toISOString()
+        };
+
+        try {
+            localStorage.setItem(this.getDraftKey(), JSON.stringify(draft));
+        } catch (error) {
+            // localStorage might be full or disabled - fail silently
+            console.warn('Failed to save draft:', error);
+        }
+    }
+
+    /**
+     * Load draft from localStorage if it exists and is newer than database
+     * @returns {boolean} True if a draft was restored
+     */
+    loadDraft() {
+        const key = this.getDraftKey();
+        const draftJson = localStorage.getItem(key);
+
+        if (!draftJson) {
+            return false;
+        }
+
+        try {
+            const draft = JSON.parse(draftJson);
+            const id = document.getElementById('idea-id').value;
+
+            // For existing ideas, compare timestamps
+            if (id) {
+                const idea = db.getIdea(id);
+                if (idea && new Date(idea.updated_at) > new Date(draft.savedAt)) {
+                    // Database is newer - discard outdated draft
+                    localStorage.removeItem(key);
+                    return false;
+                }
+            }
+
+            // Restore draft values
+            document.getElementById('idea-title').value = draft.title || '';
+            document.getElementById('idea-body').value = draft.body || '';
+            document.getElementById('idea-next-action').value = draft.next_action || '';
+            if (STATUSES.includes(draft.status)) {
+                document.getElementById('idea-status').value = draft.status;
+            }
+
+            // Restore tags if present
+            if (draft.tags && Array.isArray(draft.tags)) {
+                this.currentTags = draft.tags;
+                this.renderTags();
+            }
+
+            if (!id) {
+                this.formTemplateId = draft.template_id && db.getTemplate(draft.template_id) ? draft.template_id : null;
+                document.getElementById('template-select').value = this.formTemplateId || '';
+            }
+
+            return true;
+        } catch (error) {
+            // Invalid JSON - remove corrupted draft
+            console.warn('Failed to load draft:', error);
+            localStorage.removeItem(key);
+            return false;
+        }
+    }
+
+    /**
+     * Clear draft from localStorage
+     * Called after successful form submission
+     */
+    clearDraft() {
+        try {
+            localStorage.removeItem(this.getDraftKey());
+        } catch (error) {
+            console.warn('Failed to clear draft:', error);
+        }
+    }
+
+    /**
+     * Remove every saved draft of the open library
+     * Called when encryption is turned on, so no plain text copy is left behind
+     */
+    clearAllDrafts() {
+        const prefix = getDraftPrefix(this.library.id);
+        try {
+            Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.warn('Failed to clear drafts:', error);
+        }
+    }
+
+    /**
+     * Hide tag suggestions dropdown
+     * Resets all ARIA states for accessibility
+     */
+    hideTagSuggestions() {
+        // Cancel any pending blur timeout first
+        this.cancelBlurTimeout();
+
+        const dropdown = document.getElementById('tags-dropdown');
+        const input = document.getElementById('idea-tags-input');
+        const liveRegion = document.getElementById('tags-live-region');
+
+        dropdown.style.display = 'none';
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+        this.selectedSuggestionIndex = -1;
+
+        // Clear any previous announcements
+        liveRegion.textContent = '';
+    }
+
+    /**
+     * Select a suggestion from dropdown
+     * Announces the selection to screen readers
+     */
+    selectSuggestion(tag) {
+        const liveRegion = document.getElementById('tags-live-region');
+        const added = this.addTag(tag);
+
+        document.getElementById('idea-tags-input').value = '';
+        this.hideTagSuggestions();
+        document.getElementById('idea-tags-input').focus();
+
+        // Announce the tag was added
+        if (added) {
+            liveRegion.textContent = `Tag "${tag}" added. ${this.currentTags.length} tag${this.currentTags.length !== 1 ? 's' : ''} total.`;
+        } else {
+            liveRegion.textContent = `Tag "${tag}" already exists.`;
+        }
+    }
+
+    /**
+     * Update selected suggestion visual state
+     * Sets aria-activedescendant for screen reader navigation
+     * @param {string} widget - Key of SUGGESTION_WIDGETS: 'tags' or 'links'
+     */
+    updateSelectedSuggestion(widget = 'tags') {
+        const config = SUGGESTION_WIDGETS[widget];
+        const dropdown = document.getElementById(config.dropdown);
+        const input = document.getElementById(config.input);
+        const suggestions = dropdown.querySelectorAll('.tag-suggestion');
+        const liveRegion = document.getElementById(config.liveRegion);
+
+        suggestions.forEach((s, i) => {
+            if (i === this.selectedSuggestionIndex) {
+                s.classList.add('selected');
+                s.setAttribute('aria-selected', 'true');
+                s.scrollIntoView({ block: 'nearest' });
+
+                // Set aria-activedescendant to point to the selected option
+                input.setAttribute('aria-activedescendant', `${config.optionId}-${i}`);
+
+                // Announce the selected suggestion to screen readers
+                liveRegion.textContent = `${s.textContent.trim()}, ${i + 1} of ${suggestions.length}`;
+            } else {
+                s.classList.remove('selected');
+                s.setAttribute('aria-selected', 'false');
+            }
+        });
+
+        // If nothing is selected, remove aria-activedescendant
+        if (this.selectedSuggestionIndex < 0) {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Get the text typed after an unclosed [[ before the cursor
+     * @returns {string|null} The partial link target, or null when not inside [[
+     */
+    getLinkQuery() {
+        const textarea = document.getElementById('idea-body');
+        const beforeCursor = textarea.value.slice(0, textarea.selectionStart);
+        const match = beforeCursor.match(/\[\[([^[\]|\n]*)$/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Show or hide idea suggestions as the description changes
+     */
+    handleBodyInput() {
+        const query = this.getLinkQuery();
+        if (query === null) {
+            this.hideLinkSuggestions();
+        } else {
+            this.showLinkSuggestions(query.trim());
+        }
+    }
+
+    /**
+     * Handle description keydown while link suggestions are open
+     * Arrow keys move through suggestions, Enter or Tab inserts the selected one
+     */
+    handleBodyKeydown(e) {
+        const dropdown = document.getElementById('link-dropdown');
+        if (dropdown.style.display === 'none') return;
+
+        const suggestions = dropdown.querySelectorAll('.tag-suggestion');
+        const selected = suggestions[this.selectedSuggestionIndex];
+
+        if ((e.key === 'Enter' || e.key === 'Tab') && selected && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            this.selectLinkSuggestion(selected.getAttribute('data-id'), selected.getAttribute('data-title'));
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.hideLinkSuggestions();
+            document.getElementById('link-live-region').textContent = 'Suggestions closed.';
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.selectedSuggestionIndex = Math.min(this.selectedSuggestionIndex + 1, suggestions.length - 1);
+            this.updateSelectedSuggestion('links');
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.selectedSuggestionIndex = Math.max(this.selectedSuggestionIndex - 1, 0);
+            this.updateSelectedSuggestion('links');
+        }
+    }
+
+    /**
+     * Show ideas whose title matches the partial [[ link
+     * Follows the same combobox pattern as showTagSuggestions()
+     */
+    showLinkSuggestions(filter = '') {
+        const ideas = db.findIdeasByTitle(filter, this.currentIdeaId);
+        const dropdown = document.getElementById('link-dropdown');
+        const textarea = document.getElementById('idea-body');
+        const liveRegion = document.getElementById('link-live-region');
+
+        if (ideas.length === 0) {
+            this.hideLinkSuggestions();
+            liveRegion.textContent = filter
+                ? 'No matching ideas. Close the link with ]] to link an idea you have not written yet.'
+                : '';
+            return;
+        }
+
+        dropdown.innerHTML = ideas.map((idea, index) => `
+            <div
+                id="link-suggestion-${index}"
+                class="tag-suggestion"
+                role="option"
+                tabindex="-1"
+                data-id="${this.escapeHtml(idea.id)}"
+                data-title="${this.escapeHtml(idea.title)}"
+                aria-selected="false"
+            >
+                ${this.escapeHtml(idea.title)}
+            </div>
+        `).join('');
+
+        dropdown.querySelectorAll('.tag-suggestion').forEach(el => {
+            // Keep focus (and the cursor position) in the textarea
+            el.addEventListener('mousedown', (e) => e.preventDefault());
+
+            el.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.selectLinkSuggestion(el.getAttribute('data-id'), el.getAttribute('data-title'));
+            });
+
+            // Touch handler for iOS - fires before blur timeout
+            el.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                this.selectLinkSuggestion(el.getAttribute('data-id'), el.getAttribute('data-title'));
+            });
+        });
+
+        dropdown.style.display = 'block';
+        textarea.removeAttribute('aria-activedescendant');
+        this.selectedSuggestionIndex = -1;
+
+        const count = ideas.length;
+        liveRegion.textContent = `${count} idea suggestion${count !== 1 ? 's' : ''} available. Use arrow keys to navigate, Enter to link.`;
+    }
+
+    /**
+     * Hide the idea suggestions dropdown
+     */
+    hideLinkSuggestions() {
+        this.cancelBlurTimeout();
+
+        document.getElementById('link-dropdown').style.display = 'none';
+        document.getElementById('idea-body').removeAttribute('aria-activedescendant');
+        this.selectedSuggestionIndex = -1;
+    }
+
+    /**
+     * Complete the [[ link at the cursor with the chosen idea
+     * Titles are used when they identify the idea unambiguously; otherwise
+     * the link uses the id and keeps the title as its label.
+     */
+    selectLinkSuggestion(id, title) {
+        const textarea = document.getElementById('idea-body');
+        const cursor = textarea.selectionStart;
+        const resolved = db.resolveLinkTarget(title);
+        const target = resolved && resolved.id === id && !/[[\]|]/.test(title) ? title : `${id}|${title}`;
+
+        const before = textarea.value.slice(0, cursor).replace(/\[\[[^[\]|\n]*$/, `[[${target}]]`);
+        const after = textarea.value.slice(cursor).replace(/^\]\]/, '');
+
+        textarea.value = before + after;
+        textarea.setSelectionRange(before.length, before.length);
+        textarea.focus();
+
+        this.hideLinkSuggestions();
+        document.getElementById('link-live-region').textContent = `Linked to "${title}".`;
+        this.debouncedSaveDraft();
+    }
+
+    /**
+     * Show the templates page: the list, or the form for one template
+     * @param {string|null} id - Template to edit, 'new' for a new one, or null for the list
+     * @param {URLSearchParams} params - from={id} starts a new template as a copy of another
+     */
+    showTemplatesView(id = null, params = new URLSearchParams()) {
+        const form = document.getElementById('template-form');
+        const editing = id !== null;
+        let template = null;
+
+        if (id === 'new') {
+            const source = params.get('from') ? db.getTemplate(params.get('from')) : null;
+            template = source ? { ...source, id: '', name: `${source.name} (copy)` } : null;
+        } else if (editing) {
+            template = db.getTemplate(id);
+            if (!template || template.builtin) {
+                this.showError('Template not found. Built-in templates can be copied, not edited.');
+                return;
+            }
+        }
+
+        document.getElementById('template-table-body').innerHTML = db.getTemplates()
+            .map(item => this.renderTemplateRow(item))
+            .join('');
+        document.getElementById('template-list').hidden = editing;
+        form.hidden = !editing;
+        this.clearFormErrors();
+
+        if (editing) {
+            form.reset();
+            document.getElementById('template-form-heading').textContent = id === 'new' ? 'New template' : 'Edit template';
+            document.getElementById('template-id').value = id === 'new' ? '' : id;
+            if (template) {
+                document.getElementById('template-name').value = template.name;
+                document.getElementById('template-body').value = template.body;
+                document.getElementById('template-tags').value = template.tags.join(', ');
+                document.getElementById('template-next-action').value = template.next_action || '';
+            }
+        }
+
+        this.showView('templates-view');
+        if (editing) {
+            document.getElementById('template-name').focus();
+        }
+    }
+
+    /**
+     * Render a row of the templates table; built-in templates can only be used and copied
+     */
+    renderTemplateRow(template) {
+        const name = this.escapeHtml(template.name);
+        const id = encodeURIComponent(template.id);
+        const tags = template.tags.map(tag => `<span class="tag" title="${this.escapeHtml(tag)}">${this.renderTagLabel(tag)}</span>`).join(' ');
+        return `
+            <tr>
+                <td>${name}${template.builtin ? ' <span class="help-text">(built in)</span>' : ''}</td>
+                <td>${tags || '<span class="help-text">None</span>'}</td>
+                <td class="actions">
+                    <a href="#/create?template=${id}" class="btn btn-secondary" aria-label="New idea from ${name}">Use</a>
+                    ${template.builtin ? '' : `<a href="#/templates/${id}" class="btn btn-secondary" aria-label="Edit ${name}">Edit</a>`}
+                    <a href="#/templates/new?from=${id}" class="btn btn-secondary" aria-label="Copy ${name}">Copy</a>
+                    ${template.builtin ? '' : `<button type="button" class="btn btn-danger" data-template-id="${this.escapeHtml(template.id)}" aria-label="Delete ${name}">Delete</button>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Save the template form and go back to the list
+     */
+    handleTemplateSubmit(e) {
+        e.preventDefault();
+        this.clearFormErrors();
+
+        const nameInput = document.getElementById('template-name');
+        if (!nameInput.value.trim()) {
+            document.getElementById('template-name-error').textContent = 'Name is required';
+            nameInput.classList.add('invalid');
+            nameInput.setAttribute('aria-invalid', 'true');
+            nameInput.focus();
+            return;
+        }
+
+        try {
+            db.saveTemplate({
+                id: document.getElementById('template-id').value || null,
+                name: nameInput.value,
+                body: document.getElementById('template-body').value,
+                tags: document.getElementById('template-tags').value.split(','),
+                next_action: document.getElementById('template-next-action').value.trim() || null
+            });
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            alert(error.message || 'Failed to save template. Please try again.');
+            return;
+        }
+        this.showTemplateList(`Saved the "${nameInput.value.trim()}" template.`);
+    }
+
+    /**
+     * Delete one of the library's templates, after asking
+     */
+    handleTemplateDelete(id) {
+        const template = db.getTemplate(id);
+        if (!template || template.builtin) return;
+        if (!confirm(`Delete the template "${template.name}"? Ideas made from it are not affected.`)) return;
+
+        db.deleteTemplate(id);
+        this.showTemplateList(`Deleted the "${template.name}" template.`);
+    }
+
+    /**
+     * Go to the list of templates and announce what just happened
+     */
+    showTemplateList(message) {
+        history.pushState(null, '', libraryHash(this.library.id, '/templates'));
+        this.handleRoute();
+        document.getElementById('templates-status').textContent = message;
+        document.getElementById('templates-heading').focus();
+    }
+
+    /**
+     * Show every tag with its usage count
+     */
+    showTagsView() {
+        const tags = db.getTagCounts();
+        const body = document.getElementById('tag-table-body');
+
+        body.innerHTML = tags.map(tag => this.renderTagRow(tag)).join('');
+
+        document.getElementById('tag-table').hidden = tags.length === 0;
+        document.getElementById('tag-merge-form').hidden = tags.length < 2;
+        document.getElementById('tags-empty').hidden = tags.length > 0;
+        document.getElementById('tag-merge-target').value = '';
+        this.updateTagSelection();
+        this.showView('tags-view');
+    }
+
+    /**
+     * Render one row of the tag table
+     */
+    renderTagRow(tag) {
+        const name = this.escapeHtml(tag.name);
+        return `
+            <tr data-tag="${name}">
+                <td>
+                    <input type="checkbox" name="tag-select" value="${name}" aria-label="Select ${name}">
+                </td>
+                <td class="tag-name-cell">
+                    <a class="tag" href="#/tag/${encodeURIComponent(tag.name)}">${name}</a>
+                </td>
+                <td>${tag.count}</td>
+                <td class="actions">
+                    <button type="button" class="btn btn-secondary" data-action="rename" aria-label="Rename ${name}">Rename</button>
+                    <button type="button" class="btn btn-danger" data-action="delete" aria-label="Delete ${name}">Delete</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Handle Rename/Delete buttons and the inline rename form in the tag table
+     */
+    handleTagTableClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const row = button.closest('tr');
+        const name = row.getAttribute('data-tag');
+        const action = button.getAttribute('data-action');
+
+        if (action === 'rename') {
+            this.showTagRenameForm(row, name);
+        } else if (action === 'cancel-rename') {
+            this.showTagsView();
+            const rows = document.querySelectorAll('#tag-table-body tr');
+            const renamed = Array.from(rows).find(tr => tr.getAttribute('data-tag') === name);
+            renamed?.querySelector('button[data-action="rename"]').focus();
+        } else if (action === 'delete') {
+            this.handleTagDelete(name);
+        }
+    }
+
+    /**
+     * Replace a tag's name cell with an inline rename form
+     */
+    showTagRenameForm(row, name) {
+        const cell = row.querySelector('.tag-name-cell');
+        cell.innerHTML = `
+            <form class="tag-rename-form">
+                <label for="tag-rename-input" class="sr-only">New name for ${this.escapeHtml(name)}</label>
+                <input type="text" id="tag-rename-input" value="${this.escapeHtml(name)}" autocomplete="off">
+                <button type="submit" class="btn btn-primary">Save</button>
+                <button type="button" class="btn btn-secondary" data-action="cancel-rename">Cancel</button>
+            </form>
+        `;
+
+        const form = cell.querySelector('form');
+        const input = form.querySelector('input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleTagRename(name, input.value);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                form.querySelector('[data-action="cancel-rename"]').click();
+            }
+        });
+
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Rename a tag on every idea
+     */
+    handleTagRename(oldName, newName) {
+        // Compared as it will be stored, so "work / acme" is seen to be "work/acme"
+        const name = normalizeTag(newName);
+        if (!name) {
+            alert('Tag name cannot be empty.');
+            return;
+        }
+        if (name === oldName) {
+            this.showTagsView();
+            return;
+        }
+
+        const merging = db.getAllTags({ includeTrashed: true }).includes(name);
+        if (merging && !confirm(`"${name}" already exists. Merge "${oldName}" into it?`)) return;
+
+        try {
+            const count = db.renameTag(oldName, name);
+            this.announceTagChange(`Renamed "${oldName}" to "${name}" on ${count} idea${count !== 1 ? 's' : ''}.`);
+        } catch (error) {
+            console.error('Failed to rename tag:', error);
+            alert('Failed to rename tag. Please try again.');
+        }
+    }
+
+    /**
+     * Remove a tag from every idea
+     */
+    handleTagDelete(name) {
+        const tag = db.getTagCounts().find(t => t.name === name);
+        const count = tag ? tag.count : 0;
+        if (!confirm(`Remove the tag "${name}" from ${count} idea${count !== 1 ? 's' : ''}? The ideas are kept.`)) return;
+
+        try {
+            db.deleteTag(name);
+            this.announceTagChange(`Tag "${name}" deleted.`);
+        } catch (error) {
+            console.error('Failed to delete tag:', error);
+            alert('Failed to delete tag. Please try again.');
+        }
+    }
+
+    /**
+     * Merge the selected tags into the one named in the merge form
+     */
+    handleTagMerge(e) {
+        e.preventDefault();
+
+        const selected = this.getSelectedTags();
+        const target = document.getElementById('tag-merge-target').value.trim();
+        if (selected.length < 2 || !target) return;
+
+        try {
+            const count = db.mergeTags(selected, target);
+            this.announceTagChange(`Merged ${selected.length} tags into "${target}" on ${count} idea${count !== 1 ? 's' : ''}.`);
+        } catch (error) {
+            console.error('Failed to merge tags:', error);
+            alert('Failed to merge tags. Please try again.');
+        }
+    }
+
+    /**
+     * Get the tags checked in the tag table
+     */
+    getSelectedTags() {
+        return Array.from(document.querySelectorAll('input[name="tag-select"]:checked')).map(box => box.value);
+    }
+
+    /**
+     * Enable merging once two or more tags are selected
+     * The merge target defaults to the most used of the selected tags.
+     */
+    updateTagSelection() {
+        const selected = this.getSelectedTags();
+        const targetInput = document.getElementById('tag-merge-target');
+
+        document.getElementById('tag-merge-btn').disabled = selected.length < 2;
+        document.getElementById('tag-selection-count').textContent =
+            `${selected.length} tag${selected.length !== 1 ? 's' : ''} selected`;
+
+        if (selected.length >= 2 && !selected.includes(targetInput.value.trim())) {
+            const counts = db.getTagCounts();
+            const mostUsed = counts
+                .filter(tag => selected.includes(tag.name))
+                .sort((a, b) => b.count - a.count)[0];
+            targetInput.value = mostUsed ? mostUsed.name : selected[0];
+        }
+    }
+
+    /**
+     * Re-render the tag table and announce what changed
+     */
+    announceTagChange(message) {
+        this.showTagsView();
+        document.getElementById('tags-status').textContent = message;
+        document.getElementById('tags-heading').focus();
+    }
+
+    /**
+     * Show the folder sync view
+     * Browsers without the File System Access API get the manual ZIP/folder fallback.
+     */
+    showSyncView() {
+        const supported = isFolderSyncSupported();
+        document.getElementById('sync-controls').hidden = !supported;
+        document.getElementById('sync-fallback').hidden = supported;
+        document.getElementById('sync-encrypted-warning').hidden = !db.isEncrypted();
+        this.renderSyncView();
+        this.showView('sync-view');
+    }
+
+    /**
+     * Describe what folder sync is doing, in one sentence
+     */
+    describeSyncState() {
+        const sync = this.folderSync;
+        if (!sync || sync.state === 'off') {
+            return 'This library is not synced with a folder.';
+        }
+
+        const folder = `"${sync.folder.name}"`;
+        if (sync.state === 'paused') {
+            return `Syncing with the folder ${folder} is paused until you allow access to it again.`;
+        }
+        if (sync.lastError) {
+            return `Syncing with the folder ${folder} failed: ${sync.lastError.message}`;
+        }
+        return sync.lastSyncedAt
+            ? `Syncing with the folder ${folder}. Last checked ${this.getRelativeTime(sync.lastSyncedAt.toISOString())}.`
+            : `Syncing with the folder ${folder}.`;
+    }
+
+    /**
+     * Render the sync state, buttons and conflicts of the folder sync view
+     */
+    renderSyncView() {
+        const sync = this.folderSync;
+        document.getElementById('sync-state').textContent = this.describeSyncState();
+        document.getElementById('sync-connect-btn').textContent = sync.state === 'off' ? 'Choose folder…' : 'Choose another folder…';
+        document.getElementById('sync-resume-btn').hidden = sync.state !== 'paused';
+        document.getElementById('sync-now-btn').hidden = sync.state !== 'on';
+        document.getElementById('sync-disconnect-btn').hidden = sync.state === 'off';
+
+        const labels = {
+            changed: {
+                reason: 'Changed in the app and in the folder since the last sync.',
+                app: 'Keep app version',
+                folder: 'Keep folder version'
+            },
+            'deleted-in-folder': {
+                reason: 'Changed in the app, but its file was deleted from the folder.',
+                app: 'Keep and write the file again',
+                folder: 'Move the idea to the trash'
+            },
+            'deleted-in-app': {
+                reason: 'Its file changed, but the idea was deleted in the app.',
+                app: 'Delete the file',
+                folder: 'Restore the idea from the file'
+            }
+        };
+
+        document.getElementById('sync-conflicts').innerHTML = sync.conflicts.map(conflict => {
+            const label = labels[conflict.kind];
+            const title = this.escapeHtml(conflict.title);
+            return `
+                <li class="conflict-item">
+                    <h4>${title}</h4>
+                    <p class="help-text">${label.reason} File: <code>${this.escapeHtml(conflict.fileName)}</code></p>
+                    <details>
+                        <summary>Show differences <span class="help-text">(− app, + folder)</span></summary>
+                        ${this.renderDiff(diffLines(conflict.appText, conflict.folderText))}
+                    </details>
+                    <div class="actions">
+                        <button type="button" class="btn btn-secondary" data-idea-id="${this.escapeHtml(conflict.id)}" data-keep="app"
+                            aria-label="${label.app}: ${title}">${label.app}</button>
+                        <button type="button" class="btn btn-secondary" data-idea-id="${this.escapeHtml(conflict.id)}" data-keep="folder"
+                            aria-label="${label.folder}: ${title}">${label.folder}</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        document.getElementById('sync-conflicts-section').hidden = sync.conflicts.length === 0;
+    }
+
+    /**
+     * Reflect a folder sync change in the banner, the open view and the list
+     */
+    updateSyncStatus() {
+        const sync = this.folderSync;
+        const banner = document.getElementById('sync-banner');
+        const conflicts = sync.conflicts.length;
+
+        if (sync.state === 'paused') {
+            document.getElementById('sync-banner-message').textContent = this.describeSyncState();
+        } else if (conflicts > 0) {
+            document.getElementById('sync-banner-message').textContent =
+                `${conflicts} idea${conflicts !== 1 ? 's' : ''} changed both here and in the synced folder.`;
+        }
+        banner.hidden = sync.state !== 'paused' && conflicts === 0;
+        document.getElementById('sync-banner-resume-btn').hidden = sync.state !== 'paused';
+        document.getElementById('sync-banner-review-link').hidden = sync.state === 'paused' || this.currentView === 'sync-view';
+
+        if (this.currentView === 'sync-view') {
+            this.renderSyncView();
+        }
+
+        // Show edits picked up from the folder; the form is left alone so typing isn't lost
+        const result = sync.lastResult;
+        if (result && (result.fromFolder > 0 || result.trashed > 0) &&
+            (this.currentView === 'list-view' || this.currentView === 'detail-view')) {
+            sync.lastResult = { ...result, fromFolder: 0, trashed: 0 };
+            this.handleRoute();
+        }
+    }
+
+    /**
+     * Choose a folder and sync with it
+     */
+    async handleSyncConnect() {
+        try {
+            await this.folderSync.connect();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Failed to connect folder:', error);
+            alert('Could not open that folder. Please try again.');
+            return;
+        }
+        this.announceSyncResult();
+    }
+
+    /**
+     * Ask for access to the synced folder again
+     */
+    async handleSyncResume() {
+        try {
+            if (!(await this.folderSync.resume())) return;
+        } catch (error) {
+            console.error('Failed to resume folder sync:', error);
+            alert('Could not open the synced folder. Choose it again on the Folder Sync page.');
+            return;
+        }
+        this.announceSyncResult();
+    }
+
+    /**
+     * Sync now and report what changed
+     */
+    async handleSyncNow() {
+        await this.folderSync.sync();
+        this.announceSyncResult();
+    }
+
+    /**
+     * Report the outcome of the last sync in the sync view
+     */
+    announceSyncResult() {
+        const result = this.folderSync.lastResult;
+        if (this.currentView !== 'sync-view' || !result) return;
+
+        const parts = [
+            result.toFolder && `${result.toFolder} written to the folder`,
+            result.fromFolder && `${result.fromFolder} updated from the folder`,
+            result.removed && `${result.removed} file${result.removed !== 1 ? 's' : ''} deleted`,
+            result.trashed && `${result.trashed} moved to the trash`
+        ].filter(Boolean);
+        const summary = parts.length > 0 ? `Synced: ${parts.join(', ')}.` : 'Everything is in sync.';
+        const errors = result.errors.length > 0 ? ` Some files could not be synced: ${result.errors.join('; ')}` : '';
+        document.getElementById('sync-state').textContent = `${this.describeSyncState()} ${summary}${errors}`;
+    }
+
+    /**
+     * Stop syncing with the folder
+     */
+    async handleSyncDisconnect() {
+        if (!confirm('Stop syncing with this folder? The files in it are kept.')) return;
+        await this.folderSync.disconnect();
+        document.getElementById('sync-heading').focus();
+    }
+
+    /**
+     * Keep the app or the folder version of a conflicting idea
+     */
+    async handleSyncConflict(button) {
+        const { ideaId, keep } = button.dataset;
+        try {
+            await this.folderSync.resolveConflict(ideaId, keep);
+        } catch (error) {
+            console.error('Failed to resolve conflict:', error);
+            alert('Could not update the idea or its file. Please try again.');
+            return;
+        }
+        document.getElementById('sync-heading').focus();
+    }
+
+    /**
+     * Download the library as a ZIP laid out like a synced folder
+     */
+    handleSyncDownload() {
+        try {
+            this.downloadBlob(createZip(buildFolderFiles(db)), `${this.library.id}-ideas.zip`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert('Failed to export ideas. Please try again.');
+        }
+    }
+
+    /**
+     * Import what was changed in a folder, through the usual import preview
+     */
+    async handleSyncFolderLoad(e) {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        try {
+            const data = await readFolderChanges(db, files);
+            if (data.ideas.length === 0) {
+                alert('Nothing in that folder differs from this library.');
+                return;
+            }
+
+            const folder = (files[0].webkitRelativePath || '').split('/')[0] || 'folder';
+            history.pushState(null, '', libraryHash(this.library.id, '/import'));
+            this.handleRoute();
+            this.showImportPreview(data, `Changes in ${folder}`);
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert(`Failed to read the folder. ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the header's library switcher, with the open library selected
+     */
+    renderLibrarySwitcher() {
+        const select = document.getElementById('library-select');
+        select.innerHTML = getLibraries().map(library => `
+            <option value="${this.escapeHtml(library.id)}"${library.id === this.library.id ? ' selected' : ''}>${this.escapeHtml(library.name)}</option>
+        `).join('');
+        select.value = this.library.id;
+    }
+
+    /**
+     * Open another library
+     * The page reloads into it, the same way locking does, so nothing of the current
+     * library (including its decrypted data) stays in memory.
+     * @param {string} id - Library id
+     * @param {string} [route='/'] - Route to show in it
+     */
+    async switchLibrary(id, route = '/') {
+        await db.flush();
+        if (db.dirty) {
+            // The last write failed; leaving now would lose those changes
+            this.renderLibrarySwitcher();
+            return;
+        }
+
+        setActiveLibraryId(id);
+        const hash = libraryHash(id, route);
+        if (window.location.hash !== hash) {
+            history.pushState(null, '', hash);
+        }
+        window.location.reload();
+    }
+
+    /**
+     * Show every library, with the open one marked
+     */
+    showLibrariesView() {
+        const libraries = getLibraries();
+        document.getElementById('library-table-body').innerHTML = libraries
+            .map(library => this.renderLibraryRow(library, libraries.length))
+            .join('');
+        document.getElementById('library-create-error').textContent = '';
+        this.renderLibrarySwitcher();
+        this.showView('libraries-view');
+    }
+
+    /**
+     * Render a row of the library table
+     * @param {Object} library
+     * @param {number} total - Number of libraries; the last one can't be deleted
+     */
+    renderLibraryRow(library, total) {
+        const name = this.escapeHtml(library.name);
+        const isOpen = library.id === this.library.id;
+        return `
+            <tr data-library-id="${this.escapeHtml(library.id)}">
+                <td class="library-name-cell">
+                    ${isOpen
+                        ? `<strong>${name}</strong> <span class="help-text">(open)</span>`
+                        : `<a href="${libraryHash(library.id)}">${name}</a>`}
+                </td>
+                <td><time datetime="${library.created_at}">${this.formatDate(library.created_at)}</time></td>
+                <td class="actions">
+                    <button type="button" class="btn btn-secondary" data-action="rename" aria-label="Rename ${name}">Rename</button>
+                    <button type="button" class="btn btn-secondary" data-action="duplicate" aria-label="Duplicate ${name}">Duplicate</button>
+                    <button type="button" class="btn btn-danger" data-action="delete" aria-label="Delete ${name}"${total === 1 ? ' disabled' : ''}>Delete</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Handle Rename/Duplicate/Delete buttons and the inline rename form in the library table
+     */
+    handleLibraryTableClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const row = button.closest('tr');
+        const id = row.getAttribute('data-library-id');
+        const action = button.getAttribute('data-action');
+
+        if (action === 'rename') {
+            this.showLibraryRenameForm(row, id);
+        } else if (action === 'cancel-rename') {
+            this.showLibrariesView();
+            this.focusLibraryButton(id, 'rename');
+        } else if (action === 'duplicate') {
+            this.handleLibraryDuplicate(id);
+        } else if (action === 'delete') {
+            this.handleLibraryDelete(id);
+        }
+    }
+
+    /**
+     * Move focus to a button in a library's row after the table is re-rendered
+     */
+    focusLibraryButton(id, action) {
+        const rows = document.querySelectorAll('#library-table-body tr');
+        const row = Array.from(rows).find(tr => tr.getAttribute('data-library-id') === id);
+        row?.querySelector(`button[data-action="${action}"]`).focus();
+    }
+
+    /**
+     * Replace a library's name cell with an inline rename form
+     */
+    showLibraryRenameForm(row, id) {
+        const name = getLibrary(id).name;
+        const cell = row.querySelector('.library-name-cell');
+        cell.innerHTML = `
+            <form class="library-rename-form">
+                <label for="library-rename-input" class="sr-only">New name for ${this.escapeHtml(name)}</label>
+                <input type="text" id="library-rename-input" value="${this.escapeHtml(name)}" autocomplete="off" maxlength="60">
+                <button type="submit" class="btn btn-primary">Save</button>
+                <button type="button" class="btn btn-secondary" data-action="cancel-rename">Cancel</button>
+            </form>
+        `;
+
+        const form = cell.querySelector('form');
+        const input = form.querySelector('input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLibraryRename(id, input.value);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                form.querySelector('[data-action="cancel-rename"]').click();
+            }
+        });
+
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Rename a library
+     */
+    handleLibraryRename(id, newName) {
+        const oldName = getLibrary(id).name;
+        if (newName.trim() === oldName) {
+            this.showLibrariesView();
+            this.focusLibraryButton(id, 'rename');
+            return;
+        }
+
+        try {
+            const library = renameLibrary(id, newName);
+            if (id === this.library.id) {
+                this.library = library;
+            }
+            this.announceLibraryChange(`Renamed "${oldName}" to "${library.name}".`);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Create an empty library from the form at the top of the libraries view
+     */
+    handleLibraryCreate(e) {
+        e.preventDefault();
+        const input = document.getElementById('library-create-name');
+        const error = document.getElementById('library-create-error');
+
+        let library;
+        try {
+            library = createLibrary(input.value);
+        } catch (err) {
+            error.textContent = err.message;
+            input.setAttribute('aria-invalid', 'true');
+            input.focus();
+            return;
+        }
+
+        input.value = '';
+        input.removeAttribute('aria-invalid');
+        this.announceLibraryChange(`Library "${library.name}" created.`);
+    }
+
+    /**
+     * Copy a library, ideas, settings and passphrase included
+     */
+    async handleLibraryDuplicate(id) {
+        try {
+            if (id === this.library.id) {
+                await db.flush();
+            }
+            const library = await duplicateLibrary(db.storage, id);
+            this.announceLibraryChange(`Library "${library.name}" created.`);
+        } catch (error) {
+            console.error('Failed to duplicate library:', error);
+            alert(error instanceof StorageQuotaError ? error.message : 'Failed to duplicate the library. Please try again.');
+        }
+    }
+
+    /**
+     * Delete a library and everything in it
+     * Deleting the open library switches to another one.
+     */
+    async handleLibraryDelete(id) {
+        const library = getLibrary(id);
+        if (getLibraries().length === 1) return;
+        if (!confirm(`Delete the library "${library.name}" and all of its ideas? This action cannot be undone.`)) return;
+
+        const isOpen = id === this.library.id;
+        try {
+            if (isOpen) {
+                // Nothing may be written back to the deleted library
+                db.close();
+            }
+            await deleteLibrary(db.storage, id);
+        } catch (error) {
+            console.error('Failed to delete library:', error);
+            alert(error.message);
+            return;
+        }
+
+        if (isOpen) {
+            this.switchLibrary(getActiveLibraryId(), '/libraries');
+        } else {
+            this.announceLibraryChange(`Library "${library.name}" deleted.`);
+        }
+    }
+
+    /**
+     * Re-render the libraries view and announce what changed
+     */
+    announceLibraryChange(message) {
+        this.showLibrariesView();
+        document.getElementById('libraries-status').textContent = message;
+        document.getElementById('libraries-heading').focus();
+    }
+
+    /**
+     * Tell the unlock screen about shared content waiting unencrypted, and offer to discard it
+     * Not awaited: the unlock form works while the cache is being checked.
+     */
+    async showPendingShareNote() {
+        try {
+            if (!(await hasPendingShare())) return;
+        } catch (error) {
+            console.error('Failed to check for shared content:', error);
+            return;
+        }
+
+        const text = document.getElementById('unlock-share-text');
+        const button = document.getElementById('unlock-share-discard-btn');
+        document.getElementById('unlock-share-note').hidden = false;
+        button.addEventListener('click', async () => {
+            button.hidden = true;
+            try {
+                await discardPendingShare();
+            } catch (error) {
+                console.error('Failed to discard shared content:', error);
+                text.textContent = 'The shared content could not be discarded. It is still waiting, ' +
+                    'unencrypted; try again, or unlock to save it.';
+                button.hidden = false;
+                button.focus();
+                return;
+            }
+            text.textContent = 'The shared content was discarded.';
+            document.getElementById('unlock-passphrase').focus();
+        });
+    }
+
+    /**
+     * Show the unlock screen until the right passphrase is entered
+     * @returns {Promise<void>} Resolves once the database is open
+     */
+    waitForUnlock() {
+        const form = document.getElementById('unlock-form');
+        const input = document.getElementById('unlock-passphrase');
+        const nav = document.querySelector('nav');
+
+        // Nothing else can be shown until the library is open
+        nav.hidden = true;
+        document.getElementById('unlock-heading').textContent = `Unlock ${this.library.name}`;
+        this.showView('unlock-view');
+        input.focus();
+
+        return new Promise((resolve, reject) => {
+            const handleSubmit = async (e) => {
+                e.preventDefault();
+                this.clearPassphraseErrors(form);
+                if (!input.value) {
+                    this.setPassphraseError('unlock-error', 'Enter your passphrase.', input);
+                    return;
+                }
+
+                try {
+                    await this.whileBusy(form, () => db.unlock(input.value));
+                } catch (error) {
+                    if (error instanceof WrongPassphraseError) {
+                        this.setPassphraseError('unlock-error', error.message, input);
+                        input.select();
+                    } else {
+                        reject(error);
+                    }
+                    return;
+                }
+
+                form.removeEventListener('submit', handleSubmit);
+                input.value = '';
+                nav.hidden = false;
+                resolve();
+            };
+            form.addEventListener('submit', handleSubmit);
+        });
+    }
+
+    /**
+     * Lock an encrypted library now
+     * Reloading is the only way to drop the decrypted database from memory; the page
+     * comes back at the unlock screen.
+     */
+    async lock() {
+        if (!db.isEncrypted()) return;
+
+        clearTimeout(this.autoLockTimeoutId);
+        await db.flush();
+        if (db.dirty) {
+            // The last write failed; reloading now would lose those changes
+            this.startAutoLock();
+            return;
+        }
+        window.location.reload();
+    }
+
+    /**
+     * Start or restart the inactivity timer from the saved auto-lock setting
+     */
+    startAutoLock() {
+        clearTimeout(this.autoLockTimeoutId);
+        this.autoLockTimeoutId = null;
+        this.autoLockMs = db.isEncrypted() ? db.getAutoLockMinutes() * 60 * 1000 : 0;
+        this.lastActivityAt = Date.now();
+        this.scheduleAutoLock();
+    }
+
+    /**
+     * Lock once the library has been idle for the auto-lock period
+     * Activity only records a timestamp; the timer checks it when it fires and waits out the rest.
+     */
+    scheduleAutoLock() {
+        if (!this.autoLockMs) return;
+
+        const remaining = this.lastActivityAt + this.autoLockMs - Date.now();
+        if (remaining <= 0 && this.hasUnsavedFormChanges()) {
+            // Encrypted libraries keep no drafts, so locking would throw the edits away;
+            // wait another period for them to be saved or discarded
+            this.autoLockTimeoutId = setTimeout(() => this.scheduleAutoLock(), this.autoLockMs);
+            return;
+        }
+        if (remaining <= 0) {
+            this.lock();
+            return;
+        }
+        this.autoLockTimeoutId = setTimeout(() => this.scheduleAutoLock(), remaining);
+    }
+
+    /**
+     * Show settings view
+     */
+    showSettingsView() {
+        const encrypted = db.isEncrypted();
+
+        document.getElementById('encryption-state').textContent = encrypted
+            ? 'Your library is encrypted in this browser. You need your passphrase to open it.'
+            : 'Your library is stored unencrypted in this browser.';
+        document.getElementById('encryption-enable-form').hidden = encrypted;
+        document.getElementById('encryption-options').hidden = !encrypted;
+        document.getElementById('auto-lock-minutes').value = String(db.getAutoLockMinutes());
+        document.getElementById('settings-sync-state').textContent = this.describeSyncState();
+        document.querySelectorAll('#settings-view form').forEach(form => {
+            form.reset();
+            this.clearPassphraseErrors(form);
+        });
+        document.getElementById('server-sync-library').value = this.library.id;
+        this.renderServerSyncState();
+        document.getElementById('single-key-shortcuts').checked = this.singleKeyShortcuts;
+        this.renderStorageBudget(document.getElementById('storage-budget'));
+        const ownTemplates = db.getTemplates().filter(template => !template.builtin).length;
+        document.getElementById('settings-templates-state').textContent =
+            `${ownTemplates} template${ownTemplates !== 1 ? 's' : ''} of your own, plus the built-in ones.`;
+        this.showView('settings-view');
+    }
+
+    /**
+     * Re-render the settings view and announce what changed
+     */
+    announceSettingsChange(message) {
+        this.showSettingsView();
+        document.getElementById('settings-status').textContent = message;
+        document.getElementById('settings-heading').focus();
+    }
+
+    /**
+     * Describe what server sync is doing, in one or two sentences
+     */
+    describeServerSyncState() {
+        const sync = this.serverSync;
+        const server = db.getSyncServer();
+        if (!sync || sync.state === 'off' || !server) {
+            return 'This library is not synced with a server.';
+        }
+
+        const where = `${server.url} (library "${server.library}")`;
+        const pending = db.countPendingChanges();
+        const waiting = pending > 0 ? ` ${pending} change${pending !== 1 ? 's' : ''} waiting to be sent.` : '';
+        if (sync.lastError instanceof SyncChangeTooLargeError) {
+            return `Syncing with ${where}. ${sync.lastError.message}${waiting}`;
+        }
+        if (sync.lastError) {
+            const reason = sync.lastError instanceof SyncServerError
+                ? sync.lastError.message
+                : 'the server could not be reached.';
+            return `Syncing with ${where}. The last attempt failed: ${reason} It will be tried again.${waiting}`;
+        }
+        return sync.lastSyncedAt
+            ? `Syncing with ${where}. Last synced ${this.getRelativeTime(sync.lastSyncedAt.toISOString())}.${waiting}`
+            : `Syncing with ${where}.${waiting}`;
+    }
+
+    /**
+     * Show the server sync state, and the form or the buttons that fit it
+     */
+    renderServerSyncState() {
+        const connected = this.serverSync.state === 'on';
+        document.getElementById('server-sync-state').textContent = this.describeServerSyncState();
+        document.getElementById('server-sync-form').hidden = connected;
+        document.getElementById('server-sync-controls').hidden = !connected;
+    }
+
+    /**
+     * Reflect a server sync in the settings view and in the list or idea on screen
+     */
+    updateServerSyncStatus() {
+        if (this.currentView === 'settings-view') {
+            this.renderServerSyncState();
+        }
+
+        // Show what other devices changed; the form is left alone so typing isn't lost
+        const result = this.serverSync.lastResult;
+        if (result && result.pulled > 0 &&
+            (this.currentView === 'list-view' || this.currentView === 'detail-view')) {
+            this.serverSync.lastResult = { ...result, pulled: 0 };
+            this.handleRoute();
+        }
+    }
+
+    /**
+     * Connect the library to a sync server
+     */
+    async handleServerSyncConnect(e) {
+        e.preventDefault();
+        const form = e.target;
+        const urlInput = document.getElementById('server-sync-url');
+        const libraryInput = document.getElementById('server-sync-library');
+        const url = urlInput.value.trim();
+        const library = libraryInput.value.trim();
+
+        this.clearPassphraseErrors(form);
+        if (!/^https?:\/\/[^/]+/i.test(url)) {
+            this.setPassphraseError('server-sync-error', 'Enter the server address, starting with http:// or https://.', urlInput);
+            return;
+        }
+        if (!/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(library)) {
+            this.setPassphraseError('server-sync-error', 'Library names use letters, digits, - and _.', libraryInput);
+            return;
+        }
+
+        const server = { url, library, token: document.getElementById('server-sync-token').value };
+        try {
+            await this.whileBusy(form, () => this.serverSync.connect(server));
+        } catch (error) {
+            const message = error instanceof SyncServerError
+                ? error.message
+                : `Could not reach a sync server at ${url}. Check the address and that the server is running.`;
+            const input = error.status === 401 ? document.getElementById('server-sync-token') : urlInput;
+            this.setPassphraseError('server-sync-error', message, input);
+            return;
+        }
+
+        const { pulled, pushed } = this.serverSync.lastResult;
+        this.announceSettingsChange(`Connected to the sync server: ${pushed} change${pushed !== 1 ? 's' : ''} sent, ${pulled} received.`);
+    }
+
+    /**
+     * Sync with the server now and report what happened
+     */
+    async handleServerSyncNow() {
+        await this.serverSync.sync();
+        const result = this.serverSync.lastResult;
+        const summary = this.serverSync.lastError || !result
+            ? ''
+            : ` ${result.pushed} change${result.pushed !== 1 ? 's' : ''} sent, ${result.pulled} received` +
+                (result.merged > 0 ? `, ${result.merged} merged.` : '.');
+        document.getElementById('server-sync-state').textContent = this.describeServerSyncState() + summary;
+    }
+
+    /**
+     * Stop syncing with the server
+     */
+    handleServerSyncDisconnect() {
+        if (!confirm('Stop syncing with the server? Your ideas stay in this library and on the server.')) return;
+        this.serverSync.disconnect();
+        this.announceSettingsChange('This library no longer syncs with a server.');
+    }
+
+    /**
+     * Encrypt the library with a new passphrase
+     */
+    async handleEnableEncryption(e) {
+        e.preventDefault();
+        const form = e.target;
+        const input = document.getElementById('encryption-new');
+        const passphrase = input.value;
+
+        this.clearPassphraseErrors(form);
+        const problem = this.checkNewPassphrase(passphrase, document.getElementById('encryption-confirm').value);
+        if (problem) {
+            this.setPassphraseError('encryption-enable-error', problem, input);
+            return;
+        }
+
+        try {
+            await this.whileBusy(form, () => db.enableEncryption(passphrase));
+        } catch (error) {
+            console.error('Failed to encrypt library:', error);
+            alert('Failed to encrypt your library. Please try again.');
+            return;
+        }
+
+        this.clearAllDrafts();
+        this.startAutoLock();
+        this.announceSettingsChange('Your library is now encrypted.');
+    }
+
+    /**
+     * Re-encrypt the library with a different passphrase
+     */
+    async handleChangePassphrase(e) {
+        e.preventDefault();
+        const form = e.target;
+        const currentInput = document.getElementById('passphrase-current');
+        const newInput = document.getElementById('passphrase-new');
+
+        this.clearPassphraseErrors(form);
+        const problem = this.checkNewPassphrase(newInput.value, document.getElementById('passphrase-confirm').value);
+        if (problem) {
+            this.setPassphraseError('passphrase-change-error', problem, newInput);
+            return;
+        }
+
+        try {
+            await this.whileBusy(form, () => db.changePassphrase(currentInput.value, newInput.value));
+        } catch (error) {
+            if (error instanceof WrongPassphraseError) {
+                this.setPassphraseError('passphrase-change-error', 'The current passphrase is not correct.', currentInput);
+            } else {
+                console.error('Failed to change passphrase:', error);
+                alert('Failed to change the passphrase. Please try again.');
+            }
+            return;
+        }
+
+        this.announceSettingsChange('Passphrase changed.');
+    }
+
+    /**
+     * Store the library unencrypted again
+     */
+    async handleDisableEncryption(e) {
+        e.preventDefault();
+        const form = e.target;
+        const input = document.getElementById('encryption-disable-passphrase');
+
+        this.clearPassphraseErrors(form);
+        if (!confirm('Store your library unencrypted? Anyone who can use this browser profile will be able to read it.')) {
+            return;
+        }
+
+        try {
+            await this.whileBusy(form, () => db.disableEncryption(input.value));
+        } catch (error) {
+            if (error instanceof WrongPassphraseError) {
+                this.setPassphraseError('encryption-disable-error', error.message, input);
+            } else {
+                console.error('Failed to turn off encryption:', error);
+                alert('Failed to turn off encryption. Please try again.');
+            }
+            return;
+        }
+
+        this.startAutoLock();
+        this.announceSettingsChange('Your library is no longer encrypted.');
+    }
 
-            // Announce result to screen readers
-            if (tagToAdd) {
-                if (added) {
-                    liveRegion.textContent = `Tag "${tagToAdd}" added. ${this.currentTags.length} tag${this.currentTags.length !== 1 ? 's' : ''} total.`;
-                } else {
-                    liveRegion.textContent = `Tag "${tagToAdd}" already exists.`;
-                }
-            }
-        } else if (e.key === 'Escape') {
-            this.hideTagSuggestions();
-            this.selectedSuggestionIndex = -1;
-            liveRegion.textContent = 'Suggestions closed.';
-        } else if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            if (suggestions.length > 0) {
-                this.selectedSuggestionIndex = Math.min(
-                    this.selectedSuggestionIndex + 1,
-                    suggestions.length - 1
-                );
-                this.updateSelectedSuggestion();
-            }
-        } else if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            if (suggestions.length > 0) {
-                this.selectedSuggestionIndex = Math.max(this.selectedSuggestionIndex - 1, 0);
-                this.updateSelectedSuggestion();
-            }
+    /**
+     * Save the auto-lock period and restart the timer with it
+     */
+    handleAutoLockChange(e) {
+        db.setSetting('auto_lock_minutes', e.target.value);
+        this.startAutoLock();
+    }
+
+    /**
+     * Save whether single-key shortcuts are on
+     */
+    handleSingleKeyShortcutsChange(e) {
+        this.singleKeyShortcuts = e.target.checked;
+        db.setSetting('single_key_shortcuts', e.target.checked ? '1' : '0');
+    }
+
+    /**
+     * Check a new passphrase and its confirmation
+     * @returns {string} What is wrong, or '' when it can be used
+     */
+    checkNewPassphrase(passphrase, confirmation) {
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+        }
+        if (passphrase !== confirmation) {
+            return 'The passphrases do not match.';
         }
+        return '';
     }
 
     /**
-     * Handle tag input change (filter suggestions)
+     * Show an error in a passphrase form and move focus to the field it is about
      */
-    handleTagInputChange(e) {
-        const value = e.target.value.trim();
-        if (value) {
-            this.showTagSuggestions(value);
-        } else {
-            this.showTagSuggestions();
+    setPassphraseError(errorId, message, input) {
+        document.getElementById(errorId).textContent = message;
+        input.classList.add('invalid');
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+    }
+
+    /**
+     * Clear the errors of a passphrase form
+     */
+    clearPassphraseErrors(form) {
+        form.querySelectorAll('.error').forEach(el => {
+            el.textContent = '';
+        });
+        form.querySelectorAll('input').forEach(input => {
+            input.classList.remove('invalid');
+            input.removeAttribute('aria-invalid');
+        });
+    }
+
+    /**
+     * Disable a form's submit button while a slow task (such as key derivation) runs
+     * @param {HTMLFormElement} form
+     * @param {Function} task - Returns a promise
+     */
+    async whileBusy(form, task) {
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        form.setAttribute('aria-busy', 'true');
+        try {
+            return await task();
+        } finally {
+            button.disabled = false;
+            form.removeAttribute('aria-busy');
         }
     }
 
     /**
-     * Add a tag
-     * @returns {boolean} true if tag was added, false if empty or duplicate
+     * Show export view with every idea selected
      */
-    addTag(tag) {
-        const trimmedTag = tag.trim();
-        if (!trimmedTag) return false;
+    showExportView() {
+        // Coming from the list's batch actions, only the selected ideas start checked
+        this.exportSelection = this.pendingExportIds;
+        this.pendingExportIds = null;
+        document.getElementById('export-include-trashed').checked = false;
+        document.getElementById('export-encrypt').checked = false;
+        document.getElementById('export-passphrase').value = '';
+        document.getElementById('export-passphrase-confirm').value = '';
+        this.updateExportEncryption();
+        this.renderExportList();
+        this.showView('export-view');
+    }
 
-        // Don't add duplicates
-        if (this.currentTags.includes(trimmedTag)) return false;
+    /**
+     * Show the backup passphrase fields when encryption is chosen
+     * Only JSON backups can be encrypted.
+     */
+    updateExportEncryption() {
+        const isJson = document.querySelector('input[name="export-format"]:checked').value === 'json';
+        const checkbox = document.getElementById('export-encrypt');
+        checkbox.disabled = !isJson;
+        document.getElementById('export-passphrase-fields').hidden = !(isJson && checkbox.checked);
+    }
 
-        this.currentTags.push(trimmedTag);
-        this.renderTags();
-        return true;
+    /**
+     * List the exportable ideas, all selected unless the export started from a selection
+     */
+    renderExportList() {
+        const includeTrashed = document.getElementById('export-include-trashed').checked;
+        const ideas = db.getAllIdeas({ includeTrashed });
+        const container = document.getElementById('export-ideas');
+
+        container.innerHTML = ideas.length > 0 ? ideas.map(idea => `
+            <label>
+                <input type="checkbox" name="export-id" value="${this.escapeHtml(idea.id)}"${!this.exportSelection || this.exportSelection.has(idea.id) ? ' checked' : ''}>
+                ${this.escapeHtml(idea.title)}${idea.deleted_at ? ' <span class="help-text">(in trash)</span>' : ''}
+            </label>
+        `).join('') : '<p class="help-text">There are no ideas to export yet.</p>';
+
+        this.updateExportCount();
     }
 
     /**
-     * Remove a tag
-     * Announces the removal to screen readers
+     * Check or uncheck every idea in the export view
      */
-    removeTag(tag) {
-        const liveRegion = document.getElementById('tags-live-region');
-        this.currentTags = this.currentTags.filter(t => t !== tag);
-        this.renderTags();
+    setExportSelection(checked) {
+        document.querySelectorAll('input[name="export-id"]').forEach(box => {
+            box.checked = checked;
+        });
+        this.updateExportCount();
+    }
 
-        // Announce tag removal to screen readers
-        const remaining = this.currentTags.length;
-        if (remaining === 0) {
-            liveRegion.textContent = `Tag "${tag}" removed. No tags remaining.`;
-        } else {
-            liveRegion.textContent = `Tag "${tag}" removed. ${remaining} tag${remaining !== 1 ? 's' : ''} remaining.`;
+    /**
+     * Get the ids selected for export
+     */
+    getExportSelection() {
+        return Array.from(document.querySelectorAll('input[name="export-id"]:checked'))
+            .map(box => box.value);
+    }
+
+    /**
+     * Announce how many ideas will be exported
+     */
+    updateExportCount() {
+        const total = document.querySelectorAll('input[name="export-id"]').length;
+        const selected = this.getExportSelection().length;
+        document.getElementById('export-count').textContent = `${selected} of ${total} idea${total !== 1 ? 's' : ''} selected`;
+    }
+
+    /**
+     * Handle export
+     * Downloads the selected ideas as a JSON backup or a ZIP of Markdown files
+     */
+    async handleExport(e) {
+        e.preventDefault();
+
+        const ids = this.getExportSelection();
+        if (ids.length === 0) {
+            alert('Select at least one idea to export.');
+            return;
         }
 
-        // Return focus to the tags input for seamless flow
-        document.getElementById('idea-tags-input').focus();
+        const format = document.querySelector('input[name="export-format"]:checked').value;
+        const passphrase = format === 'json' && document.getElementById('export-encrypt').checked
+            ? document.getElementById('export-passphrase').value
+            : null;
+        if (passphrase !== null) {
+            const problem = this.checkNewPassphrase(passphrase, document.getElementById('export-passphrase-confirm').value);
+            if (problem) {
+                alert(problem);
+                document.getElementById('export-passphrase').focus();
+                return;
+            }
+        }
+
+        try {
+            const options = { includeTrashed: document.getElementById('export-include-trashed').checked };
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            let blob;
+            let filename;
+
+            if (format === 'markdown') {
+                blob = createZip(db.exportToMarkdown(ids, options));
+                filename = `idea-library-markdown-${timestamp}.zip`;
+            } else {
+                let backup = db.exportToJSON(ids, options);
+                if (passphrase !== null) {
+                    backup = await this.whileBusy(e.target, () => encryptBackup(backup, passphrase));
+                }
+                const json = JSON.stringify(backup, null, 2);
+                blob = new Blob([json], { type: 'application/json' });
+                filename = `idea-library-backup-${timestamp}${passphrase !== null ? '-encrypted' : ''}.json`;
+            }
+
+            this.downloadBlob(blob, filename);
+
+            alert(`Exported ${ids.length} ideas successfully!`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert('Failed to export ideas. Please try again.');
+        }
     }
 
     /**
-     * Render tags in the form
-     * Each tag has accessible remove functionality
+     * Offer a blob to the user as a file download
      */
-    renderTags() {
-        const display = document.getElementById('tags-display');
-        display.innerHTML = this.currentTags.map((tag, index) => `
-            <span class="tag" role="listitem" data-tag="${this.escapeHtml(tag)}">
-                <span class="tag-text">${this.escapeHtml(tag)}</span>
-                <button
-                    class="tag-remove"
-                    type="button"
-                    data-tag="${this.escapeHtml(tag)}"
-                    aria-label="Remove tag ${this.escapeHtml(tag)}"
-                >×</button>
-            </span>
-        `).join('');
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
 
-        // Add event listeners for remove buttons (click and touch for iOS VoiceOver)
-        display.querySelectorAll('.tag-remove').forEach(btn => {
-            const tagName = btn.getAttribute('data-tag');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
 
-            // Click handler
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.removeTag(tagName);
-            });
+        URL.revokeObjectURL(url);
+    }
 
-            // Touch handler for iOS
-            btn.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.removeTag(tagName);
-            });
-        });
+    /**
+     * Show import view with no file loaded yet
+     */
+    showImportView() {
+        this.pendingImport = null;
+        this.pendingEncryptedImport = null;
+        document.getElementById('import-preview-section').hidden = true;
+        document.getElementById('import-passphrase-form').hidden = true;
+        this.showView('import-view');
     }
 
     /**
-     * Show tag suggestions dropdown
-     * Implements WAI-ARIA combobox pattern for screen reader accessibility
+     * Handle files or a folder chosen for import
+     * A single .json file is read as a backup; anything else is searched for
+     * Markdown idea files (including inside .zip archives). Nothing is written
+     * until the preview is confirmed.
      */
-    showTagSuggestions(filter = '') {
-        const allTags = db.getAllTags();
-        const dropdown = document.getElementById('tags-dropdown');
-        const input = document.getElementById('idea-tags-input');
-        const liveRegion = document.getElementById('tags-live-region');
+    async handleImportFile(e) {
+        const files = Array.from(e.target.files);
+        // Reset so choosing the same file again still fires a change event
+        e.target.value = '';
+        if (files.length === 0) return;
 
-        // Filter out already selected tags and apply search filter
-        let suggestions = allTags.filter(tag =>
-            !this.currentTags.includes(tag) &&
-            tag.toLowerCase().includes(filter.toLowerCase())
-        );
+        const label = files.length === 1
+            ? files[0].name
+            : `${files.length} files`;
 
-        if (suggestions.length === 0) {
-            dropdown.style.display = 'none';
-            input.setAttribute('aria-expanded', 'false');
-            input.removeAttribute('aria-activedescendant');
-            // Announce no suggestions available
-            if (filter) {
-                liveRegion.textContent = 'No matching tags found. Type and press Enter to create a new tag.';
+        try {
+            let data;
+            if (files.length === 1 && /\.json$/i.test(files[0].name)) {
+                data = JSON.parse(await files[0].text());
             } else {
-                liveRegion.textContent = '';
+                data = db.parseMarkdownFiles(await this.readMarkdownFiles(files));
+                if (data.ideas.length === 0) {
+                    throw new Error('No Markdown idea files were found.');
+                }
+            }
+
+            if (isEncryptedBackup(data)) {
+                this.askImportPassphrase(data, label);
+                return;
+            }
+            this.showImportPreview(data, label);
+        } catch (error) {
+            console.error('Import failed:', error);
+            const reason = error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message;
+            alert(`Failed to read import. ${reason}`);
+        }
+    }
+
+    /**
+     * Ask for the passphrase of an encrypted backup before it can be previewed
+     */
+    askImportPassphrase(wrapper, label) {
+        const form = document.getElementById('import-passphrase-form');
+        const input = document.getElementById('import-passphrase');
+
+        this.pendingImport = null;
+        this.pendingEncryptedImport = { wrapper, fileName: label };
+        document.getElementById('import-preview-section').hidden = true;
+        document.getElementById('import-passphrase-label').textContent = `${label} is encrypted.`;
+        this.clearPassphraseErrors(form);
+        input.value = '';
+        form.hidden = false;
+        input.focus();
+    }
+
+    /**
+     * Decrypt the pending encrypted backup and preview it
+     */
+    async handleImportDecrypt(e) {
+        e.preventDefault();
+        if (!this.pendingEncryptedImport) return;
+
+        const form = e.target;
+        const input = document.getElementById('import-passphrase');
+        const { wrapper, fileName } = this.pendingEncryptedImport;
+        this.clearPassphraseErrors(form);
+
+        let data;
+        try {
+            data = await this.whileBusy(form, () => decryptBackup(wrapper, input.value));
+        } catch (error) {
+            if (error instanceof WrongPassphraseError) {
+                this.setPassphraseError('import-passphrase-error', error.message, input);
+            } else {
+                console.error('Import failed:', error);
+                alert(`Failed to read import. ${error.message}`);
             }
             return;
         }
 
-        // Build suggestions with unique IDs for aria-activedescendant
-        dropdown.innerHTML = suggestions.map((tag, index) => `
-            <div
-                id="tag-suggestion-${index}"
-                class="tag-suggestion"
-                role="option"
-                tabindex="-1"
-                data-tag="${this.escapeHtml(tag)}"
-                data-index="${index}"
-                aria-selected="false"
-            >
-                ${this.escapeHtml(tag)}
-            </div>
-        `).join('');
+        try {
+            this.showImportPreview(data, fileName);
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert(`Failed to read import. ${error.message}`);
+        }
+    }
 
-        // Add event listeners for suggestions (click and touch for iOS VoiceOver)
-        dropdown.querySelectorAll('.tag-suggestion').forEach(el => {
-            // Click handler for mouse and VoiceOver synthetic clicks
-            el.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const tag = el.getAttribute('data-tag');
-                this.selectSuggestion(tag);
-            });
+    /**
+     * Validate import data and preview what it will change
+     * @param {Object} data - Backup in exportToJSON() format
+     * @param {string} label - Where the data came from, for the preview heading
+     * @throws {Error} If the data is not a valid backup
+     */
+    showImportPreview(data, label) {
+        // Validate up front so a bad file is reported before the preview opens
+        db.normalizeImport(data);
 
-            // Touch handler for iOS - fires before blur timeout
-            el.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const tag = el.getAttribute('data-tag');
-                this.selectSuggestion(tag);
-            });
+        this.pendingImport = { data, fileName: label };
+        this.pendingEncryptedImport = null;
+        document.getElementById('import-passphrase').value = '';
+        document.getElementById('import-passphrase-form').hidden = true;
+        document.getElementById('import-file-name').textContent =
+            `Source: ${label} (${data.ideas.length} idea${data.ideas.length !== 1 ? 's' : ''})`;
+        document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+        this.renderImportPreview();
+        document.getElementById('import-preview-section').hidden = false;
+        document.getElementById('import-heading').focus();
+    }
 
-            // Focus handler for VoiceOver navigation
-            // Cancel blur timeout to keep dropdown open while navigating
-            el.addEventListener('focus', () => {
-                // Cancel any pending blur timeout - user is still in the widget
-                this.cancelBlurTimeout();
+    /**
+     * Read Markdown files, unpacking any .zip archives among them
+     * Files in an attachments/ folder, as written by a Markdown export, are read as bytes.
+     * @param {Array<File>} files
+     * @returns {Promise<Array<{name: string, text?: string, data?: Uint8Array}>>}
+     */
+    async readMarkdownFiles(files) {
+        const decoder = new TextDecoder();
+        const isAttachment = (path) => /(^|\/)attachments\//.test(path);
+        const result = [];
 
-                const index = parseInt(el.getAttribute('data-index'));
-                this.selectedSuggestionIndex = index;
-                this.updateSelectedSuggestion();
-            });
+        for (const file of files) {
+            const path = file.webkitRelativePath || file.name;
+            if (/\.zip$/i.test(file.name)) {
+                const entries = await readZip(await file.arrayBuffer());
+                entries.forEach(entry => {
+                    result.push(isAttachment(entry.name)
+                        ? { name: entry.name, data: entry.data }
+                        : { name: entry.name, text: decoder.decode(entry.data) });
+                });
+            } else if (isAttachment(path)) {
+                result.push({ name: path, data: new Uint8Array(await file.arrayBuffer()) });
+            } else if (/\.md$/i.test(file.name)) {
+                result.push({ name: path, text: await file.text() });
+            }
+        }
 
-            // Blur handler for widget-level focus tracking
-            // Only hide if focus is leaving the entire combobox widget
-            el.addEventListener('blur', (e) => {
-                // Check if focus is moving to another suggestion or back to input
-                const relatedTarget = e.relatedTarget;
-                const isMovingWithinWidget = relatedTarget && (
-                    relatedTarget.id === 'idea-tags-input' ||
-                    relatedTarget.classList.contains('tag-suggestion')
-                );
+        return result;
+    }
+
+    /**
+     * Get the import mode selected in the import view
+     */
+    getImportMode() {
+        return document.querySelector('input[name="import-mode"]:checked').value;
+    }
 
-                if (!isMovingWithinWidget) {
-                    // Focus is leaving the widget entirely - hide after short delay
-                    this.blurTimeoutId = setTimeout(() => {
-                        this.hideTagSuggestions();
-                        this.blurTimeoutId = null;
-                    }, 300);
-                }
-            });
-        });
+    /**
+     * Render what the pending import will create, update, skip and remove
+     */
+    renderImportPreview() {
+        if (!this.pendingImport) return;
 
-        dropdown.style.display = 'block';
-        input.setAttribute('aria-expanded', 'true');
-        this.selectedSuggestionIndex = -1;
+        const preview = db.previewImport(this.pendingImport.data, this.getImportMode());
+        const summary = document.getElementById('import-summary');
+        const container = document.getElementById('import-preview');
 
-        // Announce suggestions to screen readers
-        const count = suggestions.length;
-        const tagList = suggestions.slice(0, 3).join(', ');
-        const moreText = count > 3 ? ` and ${count - 3} more` : '';
-        liveRegion.textContent = `${count} tag suggestion${count !== 1 ? 's' : ''} available: ${tagList}${moreText}. Use arrow keys to navigate or swipe to explore.`;
+        const groups = [
+            { label: 'Will be created', items: preview.create.map(idea => ({ idea })) },
+            { label: 'Will be updated', items: preview.update.map(idea => ({ idea })) },
+            { label: 'Will be skipped', items: preview.skip },
+            { label: 'Will be removed from the library', items: preview.remove.map(idea => ({
+                idea,
+                reason: idea.deleted_at ? 'In the trash' : null
+            })) }
+        ].filter(group => group.items.length > 0);
+
+        summary.textContent = `${preview.create.length} to create, ${preview.update.length} to update, ` +
+            `${preview.skip.length} to skip` +
+            (preview.mode === 'replace' ? `, ${preview.remove.length} existing to remove` : '') +
+            (preview.attachments.length > 0
+                ? `, with ${preview.attachments.length} attachment${preview.attachments.length !== 1 ? 's' : ''}.`
+                : '.');
+
+        container.innerHTML = groups.map(group => `
+            <details>
+                <summary>${group.label} (${group.items.length})</summary>
+                <ul>
+                    ${group.items.map(({ idea, reason }) => `
+                        <li>
+                            ${this.escapeHtml(idea.title)}
+                            ${reason ? `<span class="help-text">— ${this.escapeHtml(reason)}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `).join('');
+
+        // Nothing to do means nothing to confirm
+        const hasChanges = preview.create.length + preview.update.length + preview.remove.length > 0;
+        document.getElementById('import-confirm-btn').disabled = !hasChanges;
     }
 
     /**
-     * Cancel any pending blur timeout
-     * Called when focus moves within the combobox widget (e.g., to a suggestion)
+     * Commit the pending import
      */
-    cancelBlurTimeout() {
-        if (this.blurTimeoutId) {
-            clearTimeout(this.blurTimeoutId);
-            this.blurTimeoutId = null;
+    handleImportConfirm() {
+        if (!this.pendingImport) return;
+
+        const mode = this.getImportMode();
+        if (mode === 'replace' &&
+            !confirm('Replace all ideas in your library with the contents of this backup? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const result = db.importFromJSON(this.pendingImport.data, mode);
+            this.pendingImport = null;
+            alert(`Imported ${result.create.length} new and ${result.update.length} updated ideas successfully!`);
+            this.navigate('#/');
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert('Failed to import ideas. Your library was not changed.');
         }
     }
 
     /**
-     * Get the localStorage key for draft storage
-     * @returns {string} The localStorage key
+     * Discard the pending import and start over
      */
-    getDraftKey() {
-        const id = document.getElementById('idea-id').value;
-        return id ? `idea-draft-${id}` : 'idea-draft-new';
+    cancelImport() {
+        this.showImportView();
+        document.getElementById('import-heading').focus();
     }
 
     /**
-     * Save current form state as draft to localStorage
-     * Called automatically via debounce on input events
+     * Handle shortcuts that work anywhere in the app
+     * Ctrl/Cmd+K and Ctrl/Cmd+Enter work while typing; the single-key ones only outside
+     * text fields, and not at all when turned off in Settings.
      */
-    saveDraft() {
-        const title = document.getElementById('idea-title').value;
-        const body = document.getElementById('idea-body').value;
+    handleGlobalKeydown(e) {
+        const modifier = e.ctrlKey || e.metaKey;
+        const dialogOpen = document.querySelector('dialog[open]') !== null;
 
-        // Only save if there's actual content
-        if (!title && !body) {
+        if (modifier && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (document.getElementById('palette').open) {
+                this.closeDialog('palette');
+            } else {
+                this.openCommandPalette();
+            }
             return;
         }
 
-        const draft = {
-            title: title,
-            body: body,
-            tags: this.currentTags,
-            savedAt: new Date().toISOString()
-        };
+        if (modifier && e.key === 'Enter' && !dialogOpen && this.currentView === 'form-view') {
+            e.preventDefault();
+            document.getElementById('idea-form').requestSubmit();
+            return;
+        }
 
-        try {
-            localStorage.setItem(this.getDraftKey(), JSON.stringify(draft));
-        } catch (error) {
-            // localStorage might be full or disabled - fail silently
-            console.warn('Failed to save draft:', error);
+        if (modifier || e.altKey || e.defaultPrevented || dialogOpen || !this.singleKeyShortcuts ||
+            this.isTextEntry(e.target)) {
+            return;
+        }
+
+        if (e.key === 'n') {
+            this.navigate('#/create');
+        } else if (e.key === '/') {
+            this.focusSearch();
+        } else if (e.key === 'e' && this.currentView === 'detail-view' && this.currentIdeaId) {
+            this.navigate(`#/edit/${this.currentIdeaId}`);
+        } else if (e.key === 'j' || e.key === 'k') {
+            if (!this.moveCardFocus(e.key === 'j' ? 1 : -1)) return;
+        } else if (e.key === 'x' && this.currentView === 'list-view') {
+            if (!this.toggleFocusedSelection()) return;
+        } else if (e.key === '?') {
+            this.openShortcutsHelp();
+        } else {
+            return;
         }
+        e.preventDefault();
     }
 
     /**
-     * Load draft from localStorage if it exists and is newer than database
-     * @returns {boolean} True if a draft was restored
+     * Check whether typing in an element enters text, so letters aren't shortcuts there
      */
-    loadDraft() {
-        const key = this.getDraftKey();
-        const draftJson = localStorage.getItem(key);
+    isTextEntry(element) {
+        if (!element || !element.tagName) return false;
+        if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+            return true;
+        }
+        return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type);
+    }
 
-        if (!draftJson) {
-            return false;
+    /**
+     * Go to the ideas list, if not there, and put the cursor in the search box
+     */
+    focusSearch() {
+        if (this.currentView !== 'list-view') {
+            // Routed here rather than on hashchange, so the box exists when focus moves
+            history.pushState(null, '', libraryHash(this.library.id, '/'));
+            this.handleRoute();
         }
+        const input = document.getElementById('search-input');
+        input.focus();
+        input.select();
+    }
 
-        try {
-            const draft = JSON.parse(draftJson);
-            const id = document.getElementById('idea-id').value;
+    /**
+     * Move focus to the next or previous idea card in the current view
+     * Past the last card, the next page is loaded when there is one.
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {boolean} Whether the view has cards to move through
+     */
+    moveCardFocus(step) {
+        const view = document.getElementById(this.currentView);
+        const cards = view ? Array.from(view.querySelectorAll('.idea-card')) : [];
+        if (cards.length === 0) return false;
 
-            // For existing ideas, compare timestamps
-            if (id) {
-                const idea = db.getIdea(id);
-                if (idea && new Date(idea.updated_at) > new Date(draft.savedAt)) {
-                    // Database is newer - discard outdated draft
-                    localStorage.removeItem(key);
-                    return false;
-                }
+        // In select mode focus may be on the card's checkbox rather than the card
+        const current = cards.findIndex(card =>
+            (card.closest('.idea-card-row') || card).contains(document.activeElement)
+        );
+        if (current === -1) {
+            cards[step > 0 ? 0 : cards.length - 1].focus();
+        } else if (step > 0 && current === cards.length - 1) {
+            if (this.currentView === 'list-view' && !document.getElementById('load-more-btn').hidden) {
+                this.handleLoadMore();
             }
+        } else {
+            cards[Math.max(current + step, 0)].focus();
+        }
+        return true;
+    }
 
-            // Restore draft values
-            document.getElementById('idea-title').value = draft.title || '';
-            document.getElementById('idea-body').value = draft.body || '';
+    /**
+     * Open the command palette, listing commands and recent ideas until something is typed
+     */
+    openCommandPalette() {
+        const palette = document.getElementById('palette');
+        if (palette.open) return;
+        if (document.getElementById('shortcuts-help').open) this.closeDialog('shortcuts-help');
 
-            // Restore tags if present
-            if (draft.tags && Array.isArray(draft.tags)) {
-                this.currentTags = draft.tags;
-                this.renderTags();
-            }
+        this.paletteIdeas = db.queryIdeas({ includeArchived: true }, { columns: 'ideas.id, ideas.title' });
+        this.dialogReturnFocus = document.activeElement;
 
-            return true;
-        } catch (error) {
-            // Invalid JSON - remove corrupted draft
-            console.warn('Failed to load draft:', error);
-            localStorage.removeItem(key);
-            return false;
-        }
+        const input = document.getElementById('palette-input');
+        input.value = '';
+        this.renderPaletteResults();
+        palette.showModal();
+        input.focus();
     }
 
     /**
-     * Clear draft from localStorage
-     * Called after successful form submission
+     * Open the keyboard shortcuts help
      */
-    clearDraft() {
-        try {
-            localStorage.removeItem(this.getDraftKey());
-        } catch (error) {
-            console.warn('Failed to clear draft:', error);
+    openShortcutsHelp() {
+        const help = document.getElementById('shortcuts-help');
+        if (help.open) return;
+        if (document.getElementById('palette').open) this.closeDialog('palette');
+
+        document.getElementById('shortcuts-off-note').hidden = this.singleKeyShortcuts;
+        this.dialogReturnFocus = document.activeElement;
+        help.showModal();
+        document.getElementById('shortcuts-close-btn').focus();
+    }
+
+    /**
+     * Close a dialog and put focus back where it was before it opened
+     * @param {string} id - The dialog element's id
+     */
+    closeDialog(id) {
+        const dialog = document.getElementById(id);
+        if (!dialog.open) return;
+
+        dialog.close();
+        const returnFocus = this.dialogReturnFocus;
+        this.dialogReturnFocus = null;
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) {
+            returnFocus.focus();
         }
     }
 
     /**
-     * Hide tag suggestions dropdown
-     * Resets all ARIA states for accessibility
+     * Keep Tab and Shift+Tab cycling through a dialog's own controls
      */
-    hideTagSuggestions() {
-        // Cancel any pending blur timeout first
-        this.cancelBlurTimeout();
+    trapFocus(e, dialog) {
+        if (e.key !== 'Tab') return;
 
-        const dropdown = document.getElementById('tags-dropdown');
-        const input = document.getElementById('idea-tags-input');
-        const liveRegion = document.getElementById('tags-live-region');
+        const focusable = Array.from(dialog.querySelectorAll('a[href], button:not([disabled]), input:not([disabled])'))
+            .filter(element => !element.closest('[hidden]'));
+        if (focusable.length === 0) return;
 
-        dropdown.style.display = 'none';
-        input.setAttribute('aria-expanded', 'false');
-        input.removeAttribute('aria-activedescendant');
-        this.selectedSuggestionIndex = -1;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
 
-        // Clear any previous announcements
-        liveRegion.textContent = '';
+    /**
+     * Check whether a click landed on a dialog's backdrop rather than the dialog
+     */
+    isOutside(e, dialog) {
+        const rect = dialog.getBoundingClientRect();
+        return e.clientX < rect.left || e.clientX > rect.right || e.clientY < rect.top || e.clientY > rect.bottom;
     }
 
     /**
-     * Select a suggestion from dropdown
-     * Announces the selection to screen readers
+     * Commands the palette offers in the current view; the ones about the open idea come first
+     * @returns {Array<{label: string, shortcut: string|null, run: Function}>}
      */
-    selectSuggestion(tag) {
-        const liveRegion = document.getElementById('tags-live-region');
-        const added = this.addTag(tag);
+    getPaletteCommands() {
+        const go = route => () => this.navigate(`#${route}`);
+        const command = (label, run, shortcut = null) => ({ label, run, shortcut });
+        const commands = [];
 
-        document.getElementById('idea-tags-input').value = '';
-        this.hideTagSuggestions();
-        document.getElementById('idea-tags-input').focus();
+        if (this.currentView === 'detail-view' && this.currentIdeaId) {
+            const id = this.currentIdeaId;
+            commands.push(
+                command('Edit this idea', go(`/edit/${id}`), 'e'),
+                command('Delete this idea', () => this.handleDelete())
+            );
+        }
+        if (this.currentView === 'form-view') {
+            commands.push(
+                command('Toggle preview', () => {
+                    const previewing = document.getElementById('idea-body').hidden;
+                    this.setBodyMode(previewing ? 'edit' : 'preview');
+                }),
+                command('Save idea', () => document.getElementById('idea-form').requestSubmit(), 'Ctrl Enter')
+            );
+        }
 
-        // Announce the tag was added
-        if (added) {
-            liveRegion.textContent = `Tag "${tag}" added. ${this.currentTags.length} tag${this.currentTags.length !== 1 ? 's' : ''} total.`;
-        } else {
-            liveRegion.textContent = `Tag "${tag}" already exists.`;
+        commands.push(
+            command('New idea', go('/create'), 'n'),
+            command('Quick capture', go('/capture')),
+            command('Search ideas', () => this.focusSearch(), '/'),
+            command('Go to ideas', go('/')),
+            command('Go to inbox', go('/inbox')),
+            command('Go to archive', go('/status/archived')),
+            command('Go to next actions', go('/actions')),
+            command('Go to tags', go('/tags')),
+            command('Go to trash', go('/trash')),
+            command('Import ideas', go('/import')),
+            command('Export ideas', go('/export')),
+            command('Folder sync', go('/sync')),
+            command('Manage libraries', go('/libraries')),
+            command('Manage templates', go('/templates')),
+            command('Settings', go('/settings')),
+            command('Keyboard shortcuts', () => this.openShortcutsHelp(), '?')
+        );
+        db.getTemplates().forEach(template => {
+            commands.push(command(`New idea from template: ${template.name}`, go(`/create?template=${encodeURIComponent(template.id)}`)));
+        });
+        if (db.isEncrypted()) {
+            commands.push(command('Lock library', () => this.lock()));
         }
+        getLibraries()
+            .filter(library => library.id !== this.library.id)
+            .forEach(library => commands.push(command(`Switch to library: ${library.name}`, () => this.switchLibrary(library.id))));
+
+        return commands;
     }
 
     /**
-     * Update selected suggestion visual state
-     * Sets aria-activedescendant for screen reader navigation
+     * List the palette results for what has been typed
+     * Commands, ideas (by title) and tags are matched fuzzily and ranked together; on a
+     * tie, commands come before ideas and ideas before tags.
      */
-    updateSelectedSuggestion() {
-        const dropdown = document.getElementById('tags-dropdown');
-        const input = document.getElementById('idea-tags-input');
-        const suggestions = dropdown.querySelectorAll('.tag-suggestion');
-        const liveRegion = document.getElementById('tags-live-region');
+    renderPaletteResults() {
+        const query = document.getElementById('palette-input').value.trim();
+        const commands = this.getPaletteCommands().map(({ label, run, shortcut }) => ({ kind: 'Command', label, run, shortcut }));
+        const ideas = this.paletteIdeas.map(idea => ({
+            kind: 'Idea', label: idea.title, run: () => this.navigate(`#/idea/${idea.id}`), shortcut: null
+        }));
 
-        suggestions.forEach((s, i) => {
-            if (i === this.selectedSuggestionIndex) {
-                s.classList.add('selected');
-                s.setAttribute('aria-selected', 'true');
-                s.scrollIntoView({ block: 'nearest' });
+        let results;
+        if (!query) {
+            results = [...commands, ...ideas.slice(0, PALETTE_RECENT_IDEAS)]
+                .map(item => ({ ...item, positions: [] }));
+        } else {
+            const tags = db.getAllTags().map(tag => ({
+                kind: 'Tag', label: tag, run: () => this.navigate(`#/tag/${encodeURIComponent(tag)}`), shortcut: null
+            }));
+            results = [...commands, ...ideas, ...tags]
+                .map((item, order) => ({ ...item, order, match: fuzzyMatch(query, item.label) }))
+                .filter(item => item.match)
+                .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+                .slice(0, PALETTE_LIMIT)
+                .map(({ match, order, ...item }) => ({ ...item, positions: match.positions }));
+        }
 
-                // Set aria-activedescendant to point to the selected option
-                input.setAttribute('aria-activedescendant', `tag-suggestion-${i}`);
+        this.paletteResults = results;
+        const list = document.getElementById('palette-results');
+        list.innerHTML = results.length === 0
+            ? '<li class="palette-empty" role="presentation">Nothing matches.</li>'
+            : results.map((item, i) => `
+                <li id="palette-option-${i}" class="palette-option" role="option" aria-selected="false" data-index="${i}">
+                    <span class="palette-label">${highlightMatch(item.label, item.positions, text => this.escapeHtml(text))}</span>
+                    ${item.shortcut ? `<kbd>${this.escapeHtml(item.shortcut)}</kbd>` : ''}
+                    <span class="palette-kind">${item.kind}</span>
+                </li>
+            `).join('');
 
-                // Announce the selected tag to screen readers
-                const tagName = s.getAttribute('data-tag');
-                liveRegion.textContent = `${tagName}, ${i + 1} of ${suggestions.length}`;
-            } else {
-                s.classList.remove('selected');
-                s.setAttribute('aria-selected', 'false');
-            }
+        document.getElementById('palette-live-region').textContent = results.length === 0
+            ? 'No results.'
+            : `${results.length} result${results.length !== 1 ? 's' : ''}.`;
+        this.selectPaletteResult(results.length > 0 ? 0 : -1);
+    }
+
+    /**
+     * Highlight a palette result and point the combobox at it
+     * @param {number} index - Result index, or -1 for none
+     */
+    selectPaletteResult(index) {
+        const input = document.getElementById('palette-input');
+        this.paletteIndex = index;
+
+        document.querySelectorAll('#palette-results [role="option"]').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+            if (i === index) option.scrollIntoView({ block: 'nearest' });
         });
 
-        // If nothing is selected, remove aria-activedescendant
-        if (this.selectedSuggestionIndex < 0) {
+        if (index >= 0) {
+            input.setAttribute('aria-activedescendant', `palette-option-${index}`);
+        } else {
             input.removeAttribute('aria-activedescendant');
         }
     }
 
     /**
-     * Handle export
+     * Keyboard navigation in the palette: arrows choose, Enter runs (Escape is the dialog's)
      */
-    handleExport() {
-        try {
-            const data = db.exportToJSON();
-            const json = JSON.stringify(data, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
+    handlePaletteKeydown(e) {
+        const count = this.paletteResults.length;
 
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `idea-library-backup-${timestamp}.json`;
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            this.selectPaletteResult((this.paletteIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            this.selectPaletteResult((this.paletteIndex - 1 + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.paletteIndex >= 0) this.runPaletteResult(this.paletteIndex);
+        }
+    }
 
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            link.click();
+    /**
+     * Close the palette and carry out a result
+     */
+    runPaletteResult(index) {
+        const result = this.paletteResults[index];
+        if (!result) return;
 
-            URL.revokeObjectURL(url);
+        this.closeDialog('palette');
+        result.run();
+    }
 
-            alert(`Exported ${data.ideas.length} ideas successfully!`);
-        } catch (error) {
-            console.error('Export failed:', error);
-            alert('Failed to export ideas. Please try again.');
+    /**
+     * Navigate to a hash route, re-rendering even if it is already the current one
+     */
+    navigate(hash) {
+        if (window.location.hash === hash) {
+            this.handleRoute();
+        } else {
+            window.location.hash = hash;
         }
     }
 
@@ -821,6 +5250,84 @@ class IdeaApp {
         this.showView('error-view');
     }
 
+    /**
+     * Show a persistent banner when changes could not be saved to storage
+     * The data is still in memory and will be retried on the next change.
+     */
+    showStorageError(error) {
+        const message = error instanceof StorageQuotaError
+            ? error.message
+            : 'Your latest changes could not be saved to browser storage. They will be retried on your next change.';
+
+        document.getElementById('storage-error-message').textContent = message;
+        document.getElementById('storage-error').hidden = false;
+    }
+
+    /**
+     * Register the service worker and watch for new versions of the app
+     * Browsers without service workers (or pages opened from file://) just run online.
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+
+            // Without a controller this is the first install, not an update
+            const isUpdate = () => Boolean(navigator.serviceWorker.controller);
+
+            // An update downloaded during an earlier visit is still waiting
+            if (registration.waiting && isUpdate()) {
+                this.showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && isUpdate()) {
+                        this.showUpdateBanner(worker);
+                    }
+                });
+            });
+
+            // Reload once the new version has taken over, but only when the user asked for it
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateRequested) window.location.reload();
+            });
+
+            // Installed apps can stay open for days, so also check when they come back into view
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    registration.update().catch(() => {});
+                }
+            });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Offer to reload into a newly downloaded version
+     * @param {ServiceWorker} worker - The installed, waiting worker
+     */
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        document.getElementById('update-banner').hidden = false;
+    }
+
+    /**
+     * Save pending changes, then let the waiting version take over
+     * The page reloads on controllerchange.
+     */
+    async applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        document.getElementById('update-reload-btn').disabled = true;
+        await db.flush();
+        this.updateRequested = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
     /**
      * Show field validation error
      */
@@ -878,6 +5385,30 @@ class IdeaApp {
         });
     }
 
+    /**
+     * Utility: Human-readable status name
+     */
+    formatStatus(status) {
+        return status.charAt(0).toUpperCase() + status.slice(1);
+    }
+
+    /**
+     * Utility: Format a duration in milliseconds, e.g. "3 days"
+     */
+    formatDuration(ms) {
+        const units = [
+            ['day', 86400000],
+            ['hour', 3600000],
+            ['min', 60000]
+        ];
+
+        for (const [unit, size] of units) {
+            const count = Math.floor(ms / size);
+            if (count >= 1) return `${count} ${unit}${count > 1 ? 's' : ''}`;
+        }
+        return 'less than a minute';
+    }
+
     /**
      * Utility: Get relative time
      */
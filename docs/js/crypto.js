@@ -0,0 +1,181 @@
+/**
+ * Encryption
+ * Passphrase-based encryption with WebCrypto: PBKDF2-SHA-256 derives an AES-GCM key,
+ * and every write uses a fresh random IV. Nothing here ever stores the passphrase or
+ * an extractable key.
+ *
+ * Encrypted databases are stored as a binary envelope:
+ *   MAGIC (4 bytes) | iterations (uint32, big-endian) | salt (16) | iv (12) | ciphertext
+ * Encrypted JSON backups use a JSON wrapper with the same fields in Base64.
+ */
+
+import { uint8ArrayToBase64, base64ToUint8Array } from './storage.js';
+
+const MAGIC = new TextEncoder().encode('ILV1');
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const HEADER_BYTES = MAGIC.length + 4 + SALT_BYTES + IV_BYTES;
+
+/**
+ * Marks an encrypted JSON backup
+ */
+export const ENCRYPTED_BACKUP_FORMAT = 'idea-library-encrypted';
+
+/**
+ * Raised when a passphrase does not decrypt the data
+ * AES-GCM can't tell a wrong key from tampered data, so both end up here.
+ */
+export class WrongPassphraseError extends Error {
+    constructor(message = 'That passphrase is not correct.') {
+        super(message);
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Decrypt with AES-GCM, reporting a failed authentication as a wrong passphrase
+ */
+async function decryptBytes(key, iv, ciphertext) {
+    try {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext));
+    } catch (error) {
+        throw new WrongPassphraseError();
+    }
+}
+
+/**
+ * Check whether stored database bytes are an encrypted envelope
+ * A plain SQLite file starts with "SQLite format 3", so the two can't be confused.
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function isEncryptedData(data) {
+    return data.length > HEADER_BYTES && MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * A passphrase-derived key for encrypting the stored database
+ * Created with Vault.create() for a new passphrase or Vault.open() to unlock existing data.
+ */
+export class Vault {
+    constructor(key, salt, iterations) {
+        this.key = key;
+        this.salt = salt;
+        this.iterations = iterations;
+    }
+
+    /**
+     * Make a vault for a new passphrase, with a fresh salt
+     * @param {string} passphrase
+     * @returns {Promise<Vault>}
+     */
+    static async create(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        return new Vault(await deriveKey(passphrase, salt, PBKDF2_ITERATIONS), salt, PBKDF2_ITERATIONS);
+    }
+
+    /**
+     * Unlock an encrypted envelope
+     * @param {string} passphrase
+     * @param {Uint8Array} envelope - Output of encrypt()
+     * @returns {Promise<{vault: Vault, data: Uint8Array}>} The vault (for later writes) and the plaintext
+     * @throws {WrongPassphraseError}
+     */
+    static async open(passphrase, envelope) {
+        const view = new DataView(envelope.buffer, envelope.byteOffset, envelope.byteLength);
+        const iterations = view.getUint32(MAGIC.length);
+        const saltStart = MAGIC.length + 4;
+        const salt = envelope.slice(saltStart, saltStart + SALT_BYTES);
+        const iv = envelope.slice(saltStart + SALT_BYTES, HEADER_BYTES);
+
+        const key = await deriveKey(passphrase, salt, iterations);
+        const data = await decryptBytes(key, iv, envelope.subarray(HEADER_BYTES));
+        return { vault: new Vault(key, salt, iterations), data };
+    }
+
+    /**
+     * Encrypt data into a self-describing envelope
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    async encrypt(data) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, data));
+
+        const envelope = new Uint8Array(HEADER_BYTES + ciphertext.length);
+        envelope.set(MAGIC, 0);
+        new DataView(envelope.buffer).setUint32(MAGIC.length, this.iterations);
+        envelope.set(this.salt, MAGIC.length + 4);
+        envelope.set(iv, MAGIC.length + 4 + SALT_BYTES);
+        envelope.set(ciphertext, HEADER_BYTES);
+        return envelope;
+    }
+}
+
+/**
+ * Encrypt a JSON backup with its own passphrase
+ * @param {Object} backup - Output of db.exportToJSON()
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Wrapper object to serialize as the backup file
+ */
+export async function encryptBackup(backup, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const plaintext = new TextEncoder().encode(JSON.stringify(backup));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: uint8ArrayToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: uint8ArrayToBase64(iv) },
+        data: uint8ArrayToBase64(ciphertext)
+    };
+}
+
+/**
+ * Check whether parsed JSON is an encrypted backup wrapper
+ */
+export function isEncryptedBackup(data) {
+    return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Decrypt a backup made by encryptBackup()
+ * @param {Object} wrapper - Parsed backup file
+ * @param {string} passphrase
+ * @returns {Promise<Object>} The backup in exportToJSON() format
+ * @throws {WrongPassphraseError}
+ */
+export async function decryptBackup(wrapper, passphrase) {
+    if (wrapper.version !== 1 || !wrapper.kdf || !wrapper.cipher) {
+        throw new Error('This encrypted backup was made by a newer version of the app.');
+    }
+
+    const salt = base64ToUint8Array(wrapper.kdf.salt);
+    const key = await deriveKey(passphrase, salt, wrapper.kdf.iterations);
+    const plaintext = await decryptBytes(key, base64ToUint8Array(wrapper.cipher.iv), base64ToUint8Array(wrapper.data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -3,37 +3,206 @@
  * Handles all database operations for the Idea Library
  */
 
+import { createStorage, LocalStorageStorage, uint8ArrayToBase64, base64ToUint8Array } from './storage.js';
+import { parseFrontmatter, stringifyFrontmatter } from './frontmatter.js';
+import { parseTaskItems, checkTaskItem, parseWikiLinks, replaceWikiLinkTarget } from './markdown.js';
+import { BUILTIN_TEMPLATES } from './templates.js';
+import { normalizeTag, buildTagTree, flattenTagTree, mergeTagLists, TAG_SEPARATOR } from './tags.js';
+import { Vault, isEncryptedData } from './crypto.js';
+import { mergeLines } from './diff.js';
+
 const DB_NAME = 'idea-library.db';
-const DB_VERSION = 2;  // Incremented for schema change (removed stage, essence, insight)
+const DB_VERSION = 6;  // Incremented for schema change (added attachments)
+const SAVE_DELAY_MS = 250;  // Writes within this window are coalesced into one
+
+/**
+ * Upgrades for ideas read from older JSON backups
+ * Keyed by the schema version they upgrade FROM; applied in order up to DB_VERSION
+ */
+const IMPORT_UPGRADES = {
+    // v1 -> v2: stage, essence and insight were dropped; tags were introduced
+    1: (idea) => {
+        const { stage, essence, insight, ...rest } = idea;
+        return { tags: [], ...rest };
+    },
+    // v2 -> v3: metadata holds frontmatter fields that have no column of their own
+    2: (idea) => ({ metadata: {}, ...idea }),
+    // v3 -> v4: status moved from metadata into its own column
+    3: (idea) => {
+        const { status, ...metadata } = idea.metadata || {};
+        return { ...idea, status, metadata };
+    },
+    // v4 -> v5: ideas can be in the trash
+    4: (idea) => ({ deleted_at: null, ...idea }),
+    // v5 -> v6: attachments are listed next to the ideas; the ideas themselves are unchanged
+    5: (idea) => idea
+};
+
+/**
+ * Types of attachments read back from a Markdown export, by file extension
+ * Anything else is imported as application/octet-stream.
+ */
+const ATTACHMENT_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    avif: 'image/avif', svg: 'image/svg+xml', pdf: 'application/pdf', txt: 'text/plain',
+    md: 'text/markdown', csv: 'text/csv', json: 'application/json', zip: 'application/zip'
+};
+
+// attachments/<idea id>/<attachment id>/<file name> in a Markdown export
+const ATTACHMENT_PATH = /(?:^|\/)attachments\/([^/]+)\/([^/]+)\/([^/]+)$/;
+
+/**
+ * Idea lifecycle, in order (matches the status field of .idea-template.md)
+ * Quick captures wait in the inbox until they are triaged; ideas otherwise start as captured.
+ */
+export const STATUSES = ['inbox', 'captured', 'developing', 'distilled', 'actionable', 'archived'];
+const DEFAULT_STATUS = 'captured';
+
+/**
+ * Values of the priority frontmatter field, highest first
+ */
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * ORDER BY clauses for queryIdeas(), keyed by the sort name used in list URLs
+ * Ties fall back to recency.
+ */
+export const SORT_ORDERS = {
+    updated: 'ideas.updated_at DESC',
+    created: 'ideas.created_at DESC, ideas.updated_at DESC',
+    title: 'ideas.title COLLATE NOCASE ASC, ideas.updated_at DESC',
+    status: `CASE ideas.status ${STATUSES.map((status, i) => `WHEN '${status}' THEN ${i}`).join(' ')}
+        ELSE ${STATUSES.length} END, ideas.updated_at DESC`,
+    priority: `CASE CASE WHEN json_valid(ideas.metadata) THEN json_extract(ideas.metadata, '$.priority') END
+        ${PRIORITIES.map((priority, i) => `WHEN '${priority}' THEN ${i}`).join(' ')}
+        ELSE ${PRIORITIES.length} END, ideas.updated_at DESC`
+};
+
+/**
+ * Days an idea stays in the trash before it is purged, unless changed in settings
+ * 0 keeps trashed ideas until they are deleted by hand.
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes of inactivity before an encrypted library locks, unless changed in settings
+ */
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+/**
+ * Largest file kept as an attachment; the whole database is rewritten on every save
+ */
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Columns stored as JSON text
+ */
+const JSON_COLUMNS = { tags: [], metadata: {} };
+
+/**
+ * Fields snapshotted in idea_revisions
+ */
+const REVISION_FIELDS = ['title', 'body', 'tags'];
+
+/**
+ * Frontmatter written for every exported idea, in .idea-template.md order
+ * Fields with a column are filled from it; the rest come from metadata or these defaults.
+ */
+const FRONTMATTER_DEFAULTS = {
+    id: null,
+    title: null,
+    created: null,
+    updated: null,
+    status: DEFAULT_STATUS,
+    tags: [],
+    category: null,
+    priority: 'medium',
+    visibility: 'private',
+    related_ideas: []
+};
+
+/**
+ * Idea columns a sync change carries; changing any of them is logged
+ * updated_at travels along but is not a change on its own.
+ */
+const SYNC_FIELDS = ['title', 'body', 'tags', 'next_action', 'metadata', 'status', 'created_at', 'deleted_at'];
+
+/**
+ * SQL pieces shared by the change log triggers and the methods that write to it
+ */
+const SYNC_DEVICE = "(SELECT value FROM settings WHERE key = 'sync_device_id')";
+const SYNC_CLOCK = "(SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'sync_clock')";
+const SYNC_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+const syncRow = table => `json_object(${[...SYNC_FIELDS, 'updated_at'].map(f => `'${f}', ${table}.${f}`).join(', ')})`;
+
+/**
+ * Order two sync changes by logical clock, then device id
+ * @returns {number} Negative, zero or positive, like a sort comparator
+ */
+function compareClocks(a, b) {
+    return a.clock - b.clock || (a.device_id < b.device_id ? -1 : a.device_id > b.device_id ? 1 : 0);
+}
+
+/**
+ * Markers wrapped around matched terms in search snippets
+ * Control characters never appear in typed text, so they can't collide with content
+ */
+const SNIPPET_START = '\u0002';
+const SNIPPET_END = '\u0003';
+
+/**
+ * Columns read for list cards; the body is cut to a preview
+ * Long enough to fill the card's two lines once Markdown syntax is stripped.
+ */
+const CARD_PREVIEW_LENGTH = 400;
+const CARD_COLUMNS = `ideas.id, ideas.title, ideas.tags, ideas.status, ideas.next_action,
+    ideas.created_at, ideas.updated_at, substr(ideas.body, 1, ${CARD_PREVIEW_LENGTH}) AS preview`;
+
+/**
+ * Relative weight of a match in each full-text column (title, body, tags)
+ */
+const SEARCH_WEIGHTS = [10, 1, 5];
 
 class IdeaDatabase {
     constructor() {
         this.db = null;
         this.SQL = null;
+        this.storage = null;
+        this.dirty = false;  // In-memory changes not yet persisted
+        this.saveTimer = null;
+        this.pendingWrite = null;  // Promise for the write in flight, if any
+        this.onStorageError = null;  // Callback(error) for failed background saves
+        this.onChange = null;  // Callback() whenever a change is scheduled to be saved
+        this.vault = null;  // Encrypts every write when the library has a passphrase
+        this.lockedData = null;  // Encrypted database waiting for unlock()
+        this.storageKey = DB_NAME;  // Where the open library is stored; see libraries.js
     }
 
     /**
      * Initialize the database
-     * Load existing DB from localStorage or create new one
+     * Load existing DB from storage or create new one
+     * @param {string} [storageKey] - Storage key of the library to open
      */
-    async init() {
+    async init(storageKey = DB_NAME) {
+        this.storageKey = storageKey;
         try {
-            // Initialize sql.js
+            // Initialize sql.js (vendored in docs/vendor so the app starts offline)
             this.SQL = await initSqlJs({
-                locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+                locateFile: file => `vendor/sql.js/${file}`
             });
 
-            // Try to load existing database from localStorage
-            const savedDb = localStorage.getItem(DB_NAME);
+            this.storage = await createStorage();
 
-            if (savedDb) {
-                // Load existing database
-                const uint8Array = this.base64ToUint8Array(savedDb);
-                this.db = new this.SQL.Database(uint8Array);
-                console.log('Loaded existing database from localStorage');
+            // Try to load existing database
+            const savedDb = await this.loadSavedDatabase();
 
-                // Run migrations for existing databases
-                this.runMigrations();
+            if (savedDb && isEncryptedData(savedDb)) {
+                // Stays closed until unlock() is called with the passphrase
+                this.lockedData = savedDb;
+                console.log('Database is encrypted; waiting for unlock');
+            } else if (savedDb) {
+                this.openDatabase(savedDb);
             } else {
                 // Create new database
                 this.db = new this.SQL.Database();
@@ -42,6 +211,12 @@ class IdeaDatabase {
                 console.log('Created new database');
             }
 
+            // Don't lose a pending debounced write when the tab is hidden or closed
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            window.addEventListener('pagehide', () => this.flush());
+
             return true;
         } catch (error) {
             console.error('Failed to initialize database:', error);
@@ -49,6 +224,120 @@ class IdeaDatabase {
         }
     }
 
+    /**
+     * Open a saved database, then bring it up to date
+     * @param {Uint8Array} data - Plain SQLite bytes
+     */
+    openDatabase(data) {
+        this.db = new this.SQL.Database(data);
+        console.log('Loaded existing database');
+
+        // Run migrations for existing databases
+        this.runMigrations();
+
+        // Ideas past the trash retention period are deleted for good
+        const purged = this.purgeExpiredTrash();
+        if (purged > 0) {
+            console.log(`Purged ${purged} idea${purged !== 1 ? 's' : ''} from the trash`);
+        }
+    }
+
+    /**
+     * Close the database without saving anything more
+     * Used before its stored copy is deleted, so a pending write can't bring it back.
+     */
+    close() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.dirty = false;
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Check whether the library is encrypted and still waiting for its passphrase
+     */
+    isLocked() {
+        return this.lockedData !== null;
+    }
+
+    /**
+     * Check whether the library is stored encrypted
+     */
+    isEncrypted() {
+        return this.vault !== null || this.isLocked();
+    }
+
+    /**
+     * Decrypt and open a locked library
+     * @param {string} passphrase
+     * @throws {WrongPassphraseError} The database stays locked
+     */
+    async unlock(passphrase) {
+        const { vault, data } = await Vault.open(passphrase, this.lockedData);
+        this.vault = vault;
+        this.lockedData = null;
+        this.openDatabase(data);
+    }
+
+    /**
+     * Encrypt the stored library from now on
+     * @param {string} passphrase
+     */
+    async enableEncryption(passphrase) {
+        await this.storeWithVault(await Vault.create(passphrase));
+    }
+
+    /**
+     * Re-encrypt the stored library with a new passphrase
+     * @param {string} currentPassphrase
+     * @param {string} newPassphrase
+     * @throws {WrongPassphraseError} If the current passphrase is wrong; nothing changes
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await this.verifyPassphrase(currentPassphrase);
+        await this.storeWithVault(await Vault.create(newPassphrase));
+    }
+
+    /**
+     * Store the library unencrypted again
+     * @param {string} passphrase - The current passphrase, as confirmation
+     * @throws {WrongPassphraseError}
+     */
+    async disableEncryption(passphrase) {
+        await this.verifyPassphrase(passphrase);
+        await this.storeWithVault(null);
+    }
+
+    /**
+     * Write the library out under a new vault, or unencrypted for null
+     * If the write fails the old vault is put back, since the stored copy is still under it.
+     * @param {Vault|null} vault
+     * @throws {Error} If the library could not be saved
+     */
+    async storeWithVault(vault) {
+        const previous = this.vault;
+        this.vault = vault;
+        this.dirty = true;
+        await this.flush();
+
+        if (this.dirty) {
+            this.vault = previous;
+            throw new Error('The library could not be saved.');
+        }
+    }
+
+    /**
+     * Check a passphrase against the stored, encrypted library
+     * @throws {WrongPassphraseError}
+     */
+    async verifyPassphrase(passphrase) {
+        await this.flush();
+        await Vault.open(passphrase, await this.storage.load(this.storageKey));
+    }
+
     /**
      * Create database schema
      */
@@ -60,17 +349,342 @@ class IdeaDatabase {
                 body TEXT NOT NULL,
                 tags TEXT DEFAULT '[]',
                 next_action TEXT,
+                metadata TEXT DEFAULT '{}',
+                status TEXT NOT NULL DEFAULT 'captured',
                 created_at TEXT NOT NULL,
-                updated_at TEXT NOT NULL
+                updated_at TEXT NOT NULL,
+                deleted_at TEXT
             );
 
             CREATE INDEX IF NOT EXISTS idx_updated_at ON ideas(updated_at DESC);
         `;
 
         this.db.run(schema);
+        this.createStatusSchema();
+        this.createActionSchema();
+        this.createLinkSchema();
+        this.createRevisionSchema();
+        this.createTrashSchema();
+        this.createTagSchema();
+        this.createSyncSchema();
+        this.createChangeLogSchema();
+        this.createAttachmentSchema();
+        this.createTemplateSchema();
+        this.createSearchIndex();
         console.log('Database schema created');
     }
 
+    /**
+     * Create the status index and the status transition log
+     * Every status an idea enters is recorded with a timestamp, so time spent
+     * in each phase can be derived from consecutive entries.
+     */
+    createStatusSchema() {
+        this.db.run(`
+            CREATE INDEX IF NOT EXISTS idx_status ON ideas(status);
+
+            CREATE TABLE IF NOT EXISTS status_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                idea_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                changed_at TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_status_history_idea ON status_history(idea_id, changed_at);
+        `);
+    }
+
+    /**
+     * Create the log of completed next actions and tasks
+     */
+    createActionSchema() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS action_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                idea_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                completed_at TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_action_log_idea ON action_log(idea_id, completed_at);
+        `);
+    }
+
+    /**
+     * Create the table of links between ideas
+     * Rows are derived from [[wiki links]] in bodies and related_ideas in metadata,
+     * and are rebuilt by syncLinks() whenever an idea is saved.
+     */
+    createLinkSchema() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS idea_links (
+                source_id TEXT NOT NULL,
+                target_id TEXT NOT NULL,
+                PRIMARY KEY (source_id, target_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_idea_links_target ON idea_links(target_id);
+        `);
+    }
+
+    /**
+     * Create the revision history table
+     * Each row is a snapshot of an idea's title, body and tags as saved at created_at.
+     */
+    createRevisionSchema() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS idea_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                idea_id TEXT NOT NULL,
+                title TEXT NOT NULL,
+                body TEXT NOT NULL,
+                tags TEXT DEFAULT '[]',
+                created_at TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_idea_revisions_idea ON idea_revisions(idea_id, id);
+        `);
+    }
+
+    /**
+     * Create the trash index and the settings table
+     * Trashed ideas keep their row with deleted_at set until they are purged.
+     */
+    createTrashSchema() {
+        this.db.run(`
+            CREATE INDEX IF NOT EXISTS idx_deleted_at ON ideas(deleted_at);
+
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `);
+    }
+
+    /**
+     * Create the folder sync state table
+     * One row per idea mirrored to a synced folder: the file it was written to or read
+     * from, and the file's modification time and the idea's updated_at at that moment.
+     * A later difference on either side means that side changed since the last sync.
+     */
+    createSyncSchema() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS sync_files (
+                idea_id TEXT PRIMARY KEY,
+                file_name TEXT NOT NULL,
+                file_modified INTEGER NOT NULL,
+                idea_updated_at TEXT NOT NULL
+            );
+        `);
+    }
+
+    /**
+     * Create the templates table
+     * Templates the library's users made; the built-in ones live in templates.js.
+     */
+    createTemplateSchema() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS templates (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                body TEXT NOT NULL DEFAULT '',
+                tags TEXT NOT NULL DEFAULT '[]',
+                next_action TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+    }
+
+    /**
+     * Create the attachments table
+     * Files kept with an idea, such as a pasted or shared image. The bytes live in the
+     * database as a BLOB, so they are saved and encrypted along with the rest of the library.
+     */
+    createAttachmentSchema() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id TEXT PRIMARY KEY,
+                idea_id TEXT NOT NULL,
+                filename TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                data BLOB NOT NULL,
+                created_at TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_attachments_idea ON attachments(idea_id, created_at);
+        `);
+    }
+
+    /**
+     * Create the server sync change log and the triggers that fill it
+     * While sync is on (settings.sync_logging = '1'), every insert, update and delete of
+     * an idea appends a change stamped with this device's id and the next value of its
+     * logical clock, and records that clock against each field it touched. Changes wait
+     * in change_log until the server has them; field_clocks decides which of two edits
+     * of a field is the later one. Like the search index, the triggers must be
+     * recreated if the ideas table is.
+     */
+    createChangeLogSchema() {
+        const logging = "(SELECT value FROM settings WHERE key = 'sync_logging') = '1'";
+        const tick = "UPDATE settings SET value = CAST(value AS INTEGER) + 1 WHERE key = 'sync_clock';";
+        const stamp = fields => `
+            INSERT OR REPLACE INTO field_clocks (idea_id, field, clock, device_id)
+                SELECT new.id, field, ${SYNC_CLOCK}, ${SYNC_DEVICE} FROM (${fields});`;
+        const allFields = SYNC_FIELDS.map(f => `SELECT '${f}' AS field`).join(' UNION ALL ');
+        const changedFields = SYNC_FIELDS.map(f => `SELECT '${f}' AS field WHERE new.${f} IS NOT old.${f}`).join(' UNION ALL ');
+        const changed = SYNC_FIELDS.map(f => `new.${f} IS NOT old.${f}`).join(' OR ');
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS change_log (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                op_id TEXT NOT NULL UNIQUE,
+                device_id TEXT NOT NULL,
+                clock INTEGER NOT NULL,
+                idea_id TEXT NOT NULL,
+                op TEXT NOT NULL,
+                fields TEXT NOT NULL,
+                base TEXT,
+                created_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS field_clocks (
+                idea_id TEXT NOT NULL,
+                field TEXT NOT NULL,
+                clock INTEGER NOT NULL,
+                device_id TEXT NOT NULL,
+                PRIMARY KEY (idea_id, field)
+            );
+
+            CREATE TRIGGER IF NOT EXISTS change_log_insert AFTER INSERT ON ideas WHEN ${logging} BEGIN
+                ${tick}
+                INSERT INTO change_log (op_id, device_id, clock, idea_id, op, fields, created_at)
+                VALUES (lower(hex(randomblob(16))), ${SYNC_DEVICE}, ${SYNC_CLOCK}, new.id, 'create', ${syncRow('new')}, ${SYNC_NOW});
+                DELETE FROM field_clocks WHERE idea_id = new.id;
+                ${stamp(allFields)}
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS change_log_update AFTER UPDATE ON ideas WHEN ${logging} AND (${changed}) BEGIN
+                ${tick}
+                INSERT INTO change_log (op_id, device_id, clock, idea_id, op, fields, base, created_at)
+                VALUES (lower(hex(randomblob(16))), ${SYNC_DEVICE}, ${SYNC_CLOCK}, new.id, 'update', ${syncRow('new')}, ${syncRow('old')}, ${SYNC_NOW});
+                ${stamp(changedFields)}
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS change_log_delete AFTER DELETE ON ideas WHEN ${logging} BEGIN
+                ${tick}
+                INSERT INTO change_log (op_id, device_id, clock, idea_id, op, fields, created_at)
+                VALUES (lower(hex(randomblob(16))), ${SYNC_DEVICE}, ${SYNC_CLOCK}, old.id, 'delete', '{}', ${SYNC_NOW});
+                DELETE FROM field_clocks WHERE idea_id = old.id;
+                INSERT INTO field_clocks (idea_id, field, clock, device_id) VALUES (old.id, '_deleted', ${SYNC_CLOCK}, ${SYNC_DEVICE});
+            END;
+        `);
+    }
+
+    /**
+     * Create the normalized tag tables and the triggers that keep them in sync
+     * ideas.tags (a JSON array) stays the source of truth; triggers mirror it into
+     * tags/idea_tags so counts and tag-wide changes don't have to parse every row.
+     * Like the search index, the triggers must be recreated if the ideas table is.
+     */
+    createTagSchema() {
+        // Rows with malformed tags JSON are treated as having no tags
+        const tagsOf = "json_each(CASE WHEN json_valid(new.tags) THEN new.tags ELSE '[]' END)";
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE
+            );
+
+            CREATE TABLE IF NOT EXISTS idea_tags (
+                idea_id TEXT NOT NULL,
+                tag_id INTEGER NOT NULL,
+                PRIMARY KEY (idea_id, tag_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_idea_tags_tag ON idea_tags(tag_id);
+
+            CREATE TRIGGER IF NOT EXISTS idea_tags_insert AFTER INSERT ON ideas BEGIN
+                INSERT OR IGNORE INTO tags (name) SELECT value FROM ${tagsOf};
+                INSERT OR IGNORE INTO idea_tags (idea_id, tag_id)
+                    SELECT new.id, tags.id FROM ${tagsOf} JOIN tags ON tags.name = value;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS idea_tags_update AFTER UPDATE OF tags ON ideas BEGIN
+                DELETE FROM idea_tags WHERE idea_id = old.id;
+                INSERT OR IGNORE INTO tags (name) SELECT value FROM ${tagsOf};
+                INSERT OR IGNORE INTO idea_tags (idea_id, tag_id)
+                    SELECT new.id, tags.id FROM ${tagsOf} JOIN tags ON tags.name = value;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS idea_tags_delete AFTER DELETE ON ideas BEGIN
+                DELETE FROM idea_tags WHERE idea_id = old.id;
+            END;
+        `);
+    }
+
+    /**
+     * Repopulate the normalized tag tables from ideas.tags
+     */
+    rebuildTagIndex() {
+        this.db.run('DELETE FROM idea_tags');
+        this.db.run('DELETE FROM tags');
+        this.db.run(`
+            INSERT OR IGNORE INTO tags (name)
+            SELECT DISTINCT json_each.value FROM ideas, json_each(ideas.tags)
+            WHERE json_valid(ideas.tags)
+        `);
+        this.db.run(`
+            INSERT OR IGNORE INTO idea_tags (idea_id, tag_id)
+            SELECT ideas.id, tags.id FROM ideas, json_each(ideas.tags)
+            JOIN tags ON tags.name = json_each.value
+            WHERE json_valid(ideas.tags)
+        `);
+    }
+
+    /**
+     * Create the full-text search index and the triggers that keep it in sync
+     * sql.js ships SQLite with FTS3/FTS4 (not FTS5), so this uses an FTS4 table.
+     * Rows are keyed by docid = ideas.rowid. Dropping the ideas table drops these
+     * triggers, so a migration that recreates it must call this again and then
+     * rebuildSearchIndex().
+     */
+    createSearchIndex() {
+        this.db.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS ideas_fts USING fts4(
+                title, body, tags,
+                tokenize=unicode61 "remove_diacritics=1"
+            );
+
+            CREATE TRIGGER IF NOT EXISTS ideas_fts_insert AFTER INSERT ON ideas BEGIN
+                INSERT INTO ideas_fts (docid, title, body, tags)
+                VALUES (new.rowid, new.title, new.body, new.tags);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS ideas_fts_update AFTER UPDATE OF title, body, tags ON ideas BEGIN
+                UPDATE ideas_fts SET title = new.title, body = new.body, tags = new.tags
+                WHERE docid = old.rowid;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS ideas_fts_delete AFTER DELETE ON ideas BEGIN
+                DELETE FROM ideas_fts WHERE docid = old.rowid;
+            END;
+        `);
+    }
+
+    /**
+     * Repopulate the full-text index from the ideas table
+     */
+    rebuildSearchIndex() {
+        this.db.run('DELETE FROM ideas_fts');
+        this.db.run(`
+            INSERT INTO ideas_fts (docid, title, body, tags)
+            SELECT rowid, title, body, tags FROM ideas
+        `);
+    }
+
     /**
      * Run migrations for existing databases
      */
@@ -127,73 +741,535 @@ class IdeaDatabase {
                 this.save();
                 console.log('Migration: Removed stage, essence, insight columns successfully');
             }
-        } catch (error) {
-            console.error('Migration failed:', error);
-            throw error;  // Re-throw to prevent app from continuing with broken state
-        }
-    }
 
-    /**
-     * Save database to localStorage
-     */
-    save() {
-        try {
-            const data = this.db.export();
-            const base64 = this.uint8ArrayToBase64(data);
-            localStorage.setItem(DB_NAME, base64);
-        } catch (error) {
-            console.error('Failed to save database:', error);
-            throw error;
-        }
-    }
+            // Migration 3: Add full-text search index and backfill existing ideas
+            const ftsTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'ideas_fts'"
+            );
+            if (ftsTable.length === 0) {
+                this.createSearchIndex();
+                this.rebuildSearchIndex();
+                this.save();
+                console.log('Migration: Added full-text search index');
+            }
 
-    /**
-     * Create a new idea
-     */
-    createIdea(title, body, tags = []) {
-        const id = this.generateUUID();
-        const now = new Date().toISOString();
-        const tagsJson = JSON.stringify(tags);
+            // Migration 4: Add metadata column for frontmatter fields without a column
+            if (!columns.includes('metadata')) {
+                this.db.run("ALTER TABLE ideas ADD COLUMN metadata TEXT DEFAULT '{}'");
+                this.save();
+                console.log('Migration: Added metadata column');
+            }
 
-        const stmt = this.db.prepare(`
-            INSERT INTO ideas (id, title, body, tags, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
+            // Migration 5: Add status column, taking values imported into metadata,
+            // and start each idea's status history at its creation time
+            if (!columns.includes('status')) {
+                this.db.run("ALTER TABLE ideas ADD COLUMN status TEXT NOT NULL DEFAULT 'captured'");
+                this.db.run(`
+                    UPDATE ideas
+                    SET status = json_extract(metadata, '$.status'),
+                        metadata = json_remove(metadata, '$.status')
+                    WHERE json_valid(metadata)
+                      AND json_extract(metadata, '$.status') IN (${STATUSES.map(() => '?').join(', ')})
+                `, STATUSES);
+                this.createStatusSchema();
+                this.db.run(`
+                    INSERT INTO status_history (idea_id, status, changed_at)
+                    SELECT id, status, created_at FROM ideas
+                `);
+                this.save();
+                console.log('Migration: Added status column');
+            }
 
-        stmt.bind([id, title, body, tagsJson, now, now]);
-        stmt.step();
-        stmt.free();
+            // Migration 6: Add completed action log
+            const actionLogTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'action_log'"
+            );
+            if (actionLogTable.length === 0) {
+                this.createActionSchema();
+                this.save();
+                console.log('Migration: Added action log');
+            }
 
-        this.save();
-        return id;
-    }
+            // Migration 7: Add links between ideas, backfilled from existing bodies
+            const linksTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'idea_links'"
+            );
+            if (linksTable.length === 0) {
+                this.createLinkSchema();
+                // Resolving links needs deleted_at; older databases are backfilled by migration 9
+                if (columns.includes('deleted_at')) this.rebuildLinks();
+                this.save();
+                console.log('Migration: Added idea links');
+            }
 
-    /**
-     * Get all ideas sorted by updated_at DESC
-     */
-    getAllIdeas() {
-        const stmt = this.db.prepare('SELECT * FROM ideas ORDER BY updated_at DESC');
-        const ideas = [];
+            // Migration 8: Add revision history, starting from each idea's current version
+            const revisionsTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'idea_revisions'"
+            );
+            if (revisionsTable.length === 0) {
+                this.createRevisionSchema();
+                this.db.run(`
+                    INSERT INTO idea_revisions (idea_id, title, body, tags, created_at)
+                    SELECT id, title, body, tags, updated_at FROM ideas ORDER BY updated_at
+                `);
+                this.save();
+                console.log('Migration: Added revision history');
+            }
+
+            // Migration 9: Add soft delete (trash) and settings
+            if (!columns.includes('deleted_at')) {
+                this.db.run('ALTER TABLE ideas ADD COLUMN deleted_at TEXT');
+                this.createTrashSchema();
+                this.rebuildLinks();
+                this.save();
+                console.log('Migration: Added trash');
+            }
+
+            // Migration 10: Add normalized tags, backfilled from ideas.tags
+            const tagsTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'idea_tags'"
+            );
+            if (tagsTable.length === 0) {
+                this.createTagSchema();
+                this.rebuildTagIndex();
+                this.save();
+                console.log('Migration: Added normalized tags');
+            }
+
+            // Migration 11: Add folder sync state
+            const syncTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sync_files'"
+            );
+            if (syncTable.length === 0) {
+                this.createSyncSchema();
+                this.save();
+                console.log('Migration: Added folder sync state');
+            }
+
+            // Migration 12: Add the server sync change log
+            const changeLogTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'change_log'"
+            );
+            if (changeLogTable.length === 0) {
+                this.createChangeLogSchema();
+                this.save();
+                console.log('Migration: Added sync change log');
+            }
+
+            // Migration 13: Add attachments
+            const attachmentTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'attachments'"
+            );
+            if (attachmentTable.length === 0) {
+                this.createAttachmentSchema();
+                this.save();
+                console.log('Migration: Added attachments');
+            }
+
+            // Migration 14: Add templates
+            const templateTable = this.db.exec(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'templates'"
+            );
+            if (templateTable.length === 0) {
+                this.createTemplateSchema();
+                this.save();
+                console.log('Migration: Added templates');
+            }
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;  // Re-throw to prevent app from continuing with broken state
+        }
+    }
+
+    /**
+     * Load the saved database bytes
+     * Databases saved by older versions live in localStorage as Base64; they are
+     * copied to the current backend once and then removed from localStorage.
+     * @returns {Promise<Uint8Array|null>}
+     */
+    async loadSavedDatabase() {
+        const saved = await this.storage.load(this.storageKey);
+        if (saved || this.storage instanceof LocalStorageStorage) {
+            return saved;
+        }
+
+        const legacy = await new LocalStorageStorage().load(this.storageKey);
+        if (legacy) {
+            // Only drop the old copy once the new backend has it
+            await this.storage.save(this.storageKey, legacy);
+            localStorage.removeItem(this.storageKey);
+            console.log('Migrated database from localStorage');
+        }
+        return legacy;
+    }
+
+    /**
+     * Schedule the database to be persisted
+     * Calls in quick succession are coalesced into a single write.
+     */
+    save() {
+        this.dirty = true;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Persist pending changes now
+     * Failures are reported through onStorageError and retried on the next save.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // Let an in-flight write finish; the latest state is written after it
+        if (this.pendingWrite) {
+            await this.pendingWrite;
+        }
+        if (!this.dirty || !this.db) return;
+
+        this.dirty = false;
+        const data = this.db.export();
+        const vault = this.vault;
+
+        this.pendingWrite = (vault ? vault.encrypt(data) : Promise.resolve(data))
+            .then(bytes => this.storage.save(this.storageKey, bytes))
+            .catch(error => {
+                this.dirty = true;
+                console.error('Failed to save database:', error);
+                if (this.onStorageError) this.onStorageError(error);
+            })
+            .finally(() => {
+                this.pendingWrite = null;
+            });
+
+        return this.pendingWrite;
+    }
+
+    /**
+     * Create a new idea
+     */
+    createIdea(title, body, tags = [], status = DEFAULT_STATUS, nextAction = null) {
+        const id = this.generateUUID();
+        const now = new Date().toISOString();
+        const tagsJson = JSON.stringify(tags);
+
+        const stmt = this.db.prepare(`
+            INSERT INTO ideas (id, title, body, tags, next_action, status, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.bind([id, title, body, tagsJson, nextAction, status, now, now]);
+        stmt.step();
+        stmt.free();
+
+        this.recordStatus(id, status, now);
+        this.recordRevision(id, now);
+        this.syncLinks(id);
+        this.syncLinksMentioning(title);
+
+        this.save();
+        return id;
+    }
+
+    /**
+     * Append an entry to an idea's status history
+     */
+    recordStatus(id, status, changedAt) {
+        this.db.run(
+            'INSERT INTO status_history (idea_id, status, changed_at) VALUES (?, ?, ?)',
+            [id, status, changedAt]
+        );
+    }
+
+    /**
+     * Get an idea's status transitions, oldest first
+     * @returns {Array<{status: string, changed_at: string, duration_ms: number, current: boolean}>}
+     *   duration_ms is the time spent in that status (until now for the current one)
+     */
+    getStatusHistory(id) {
+        const stmt = this.db.prepare(`
+            SELECT status, changed_at FROM status_history
+            WHERE idea_id = ?
+            ORDER BY changed_at, id
+        `);
+        stmt.bind([id]);
 
+        const entries = [];
         while (stmt.step()) {
-            const row = stmt.getAsObject();
-            // Parse tags from JSON
-            if (row.tags) {
-                try {
-                    row.tags = JSON.parse(row.tags);
-                } catch (e) {
-                    row.tags = [];
-                }
-            } else {
-                row.tags = [];
+            entries.push(stmt.getAsObject());
+        }
+        stmt.free();
+
+        const now = Date.now();
+        return entries.map((entry, i) => {
+            const next = entries[i + 1];
+            const end = next ? new Date(next.changed_at).getTime() : now;
+            return {
+                ...entry,
+                duration_ms: Math.max(0, end - new Date(entry.changed_at).getTime()),
+                current: !next
+            };
+        });
+    }
+
+    /**
+     * Get all ideas sorted by updated_at DESC
+     * @param {Object} filters
+     * @param {string|null} filters.status - Only ideas with this status
+     * @param {string|null} filters.tag - Only ideas with this tag or a tag below it (work matches work/acme)
+     * @param {boolean} filters.includeArchived - Include archived ideas when no status is given
+     * @param {boolean} filters.includeTrashed - Include ideas in the trash
+     */
+    getAllIdeas({ status = null, tag = null, includeArchived = true, includeTrashed = false } = {}) {
+        return this.queryIdeas({ status, tags: tag ? [tag] : [], includeArchived, includeTrashed });
+    }
+
+    /**
+     * Find ideas matching a combination of list filters
+     * @param {Object} filters - See buildIdeaFilter()
+     * @param {string} filters.sort - Key of SORT_ORDERS, or 'relevance' to rank text matches
+     * @param {Object} options
+     * @param {string} options.columns - Columns to read (defaults to the whole row)
+     * @param {number|null} options.limit - Page size; null reads every match
+     * @param {number} options.offset - Matches to skip before the page
+     * @returns {Array<Object>} Matching ideas; with text, each has a snippet given as
+     *   [{ text, highlight }] segments
+     */
+    queryIdeas(filters = {}, { columns = 'ideas.*', limit = null, offset = 0 } = {}) {
+        const filter = this.buildIdeaFilter(filters);
+        const sort = filters.sort === 'relevance' && filter.ftsQuery ? 'relevance' : filters.sort;
+        const order = SORT_ORDERS[sort] || SORT_ORDERS.updated;
+
+        let where = filter.where;
+        let params = filter.params;
+        let pageIds = null;
+        let page = '';
+        if (limit !== null && sort === 'relevance') {
+            // Rank can't be computed in SQL, so rank every match first and read just the page
+            pageIds = this.rankMatches(filter).slice(offset, offset + limit);
+            if (pageIds.length === 0) return [];
+            where += ` AND ideas.id IN (${pageIds.map(() => '?').join(', ')})`;
+            params = [...params, ...pageIds];
+        } else if (limit !== null) {
+            page = ' LIMIT ? OFFSET ?';
+            params = [...params, limit, offset];
+        }
+
+        const select = filter.ftsQuery
+            ? `${columns}, snippet(ideas_fts, ?, ?, '…', -1, 24) AS snippet, matchinfo(ideas_fts, 'pcx') AS match_info`
+            : columns;
+        const stmt = this.db.prepare(`SELECT ${select} FROM ${filter.from} ${where} ORDER BY ${order}${page}`);
+        stmt.bind(filter.ftsQuery ? [SNIPPET_START, SNIPPET_END, ...params] : params);
+
+        const ideas = [];
+        while (stmt.step()) {
+            const row = this.parseRow(stmt.getAsObject());
+            if (filter.ftsQuery) {
+                row.rank = this.rankMatch(row.match_info);
+                row.snippet = this.parseSnippet(row.snippet);
+                delete row.match_info;
             }
             ideas.push(row);
         }
-
         stmt.free();
+
+        if (pageIds) {
+            ideas.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
+        } else if (sort === 'relevance') {
+            // Rows arrive newest first, so equal ranks keep the default list order
+            ideas.sort((a, b) => b.rank - a.rank);
+        }
         return ideas;
     }
 
+    /**
+     * Rank full-text matches without reading their content
+     * @param {Object} filter - Output of buildIdeaFilter() with a text query
+     * @returns {Array<string>} Idea ids, best first; ties newest first
+     */
+    rankMatches(filter) {
+        const result = this.db.exec(`
+            SELECT ideas.id, matchinfo(ideas_fts, 'pcx') FROM ${filter.from} ${filter.where}
+            ORDER BY ${SORT_ORDERS.updated}
+        `, filter.params);
+        if (result.length === 0) return [];
+
+        return result[0].values
+            .map(([id, matchInfo]) => ({ id, rank: this.rankMatch(matchInfo) }))
+            .sort((a, b) => b.rank - a.rank)
+            .map(match => match.id);
+    }
+
+    /**
+     * Get one page of list cards
+     * Reads only what a card shows, with the start of the body as `preview`.
+     * @param {Object} filters - See queryIdeas()
+     * @param {Object} page
+     * @param {number} page.offset - Cards to skip
+     * @param {number} page.limit - Cards to return
+     * @returns {Array<Object>}
+     */
+    getIdeaCards(filters, { offset = 0, limit }) {
+        return this.queryIdeas(filters, { columns: CARD_COLUMNS, limit, offset });
+    }
+
+    /**
+     * Count the ideas matching a set of list filters
+     * @param {Object} filters - See buildIdeaFilter()
+     * @returns {number}
+     */
+    countIdeas(filters = {}) {
+        const filter = this.buildIdeaFilter(filters);
+        const result = this.db.exec(`SELECT COUNT(*) FROM ${filter.from} ${filter.where}`, filter.params);
+        return result[0].values[0][0];
+    }
+
+    /**
+     * Get the ids of every idea matching a set of list filters, in list order
+     * @param {Object} filters - See queryIdeas()
+     * @returns {Array<string>}
+     */
+    getIdeaIds(filters = {}) {
+        return this.queryIdeas(filters, { columns: 'ideas.id' }).map(idea => idea.id);
+    }
+
+    /**
+     * Count how many ideas each filter option would show
+     * A facet applies every filter except its own, so its counts say what picking
+     * each option would give.
+     * @param {Object} filters - See buildIdeaFilter()
+     * @returns {{tags: Array<{path: string, depth: number, count: number}>,
+     *   status: Object<string, number>, nextAction: {with: number, without: number}}}
+     */
+    getFacetCounts(filters = {}) {
+        const select = (columns, overrides = {}, join = '') => {
+            const filter = this.buildIdeaFilter({ ...filters, ...overrides });
+            const result = this.db.exec(`SELECT ${columns} FROM ${filter.from} ${join} ${filter.where}`, filter.params);
+            return result.length ? result[0].values : [];
+        };
+
+        const status = Object.fromEntries(STATUSES.map(name => [name, 0]));
+        select('ideas.status', { status: null, includeArchived: true }).forEach(([name]) => {
+            if (name in status) status[name]++;
+        });
+
+        const nextAction = { with: 0, without: 0 };
+        select('ideas.next_action', { hasNextAction: null }).forEach(([action]) => {
+            nextAction[action ? 'with' : 'without']++;
+        });
+
+        const usages = select('tags.name, ideas.id', {}, `
+            JOIN idea_tags ON idea_tags.idea_id = ideas.id
+            JOIN tags ON tags.id = idea_tags.tag_id
+        `).map(([name, ideaId]) => ({ name, ideaId }));
+
+        return { tags: flattenTagTree(buildTagTree(usages)), status, nextAction };
+    }
+
+    /**
+     * Build the FROM and WHERE clauses shared by queryIdeas() and getFacetCounts()
+     * @param {Object} filters
+     * @param {string} filters.text - Free text; every word must match (see searchIdeas())
+     * @param {Array<string>} filters.tags - Each must be on the idea, or a tag below it
+     * @param {Array<string>} filters.excludeTags - None may be on the idea, nor tags below them
+     * @param {string|null} filters.status - Only ideas with this status
+     * @param {string} filters.dateField - 'created' or 'updated': the date from/to apply to
+     * @param {string|null} filters.from - First day included (YYYY-MM-DD)
+     * @param {string|null} filters.to - Last day included (YYYY-MM-DD)
+     * @param {boolean|null} filters.hasNextAction - Only ideas with (true) or without (false) one
+     * @param {boolean} filters.includeArchived - Include archived ideas when no status is given
+     * @param {boolean} filters.includeTrashed - Include ideas in the trash
+     * @returns {{from: string, where: string, params: Array, ftsQuery: string}}
+     */
+    buildIdeaFilter({
+        text = '',
+        tags = [],
+        excludeTags = [],
+        status = null,
+        dateField = 'updated',
+        from = null,
+        to = null,
+        hasNextAction = null,
+        includeArchived = true,
+        includeTrashed = false
+    } = {}) {
+        const conditions = [];
+        const params = [];
+
+        const ftsQuery = this.buildSearchQuery(text);
+        if (ftsQuery) {
+            conditions.push('ideas_fts MATCH ?');
+            params.push(ftsQuery);
+        }
+
+        // A tag matches itself and every tag below it
+        const tagged = `ideas.id IN (
+            SELECT idea_tags.idea_id FROM idea_tags
+            JOIN tags ON tags.id = idea_tags.tag_id
+            WHERE tags.name = ? OR substr(tags.name, 1, ?) = ?
+        )`;
+        const tagParams = (tag) => {
+            const prefix = tag + TAG_SEPARATOR;
+            return [tag, prefix.length, prefix];
+        };
+        tags.forEach(tag => {
+            conditions.push(tagged);
+            params.push(...tagParams(tag));
+        });
+        excludeTags.forEach(tag => {
+            conditions.push(`NOT ${tagged}`);
+            params.push(...tagParams(tag));
+        });
+
+        if (status) {
+            conditions.push('ideas.status = ?');
+            params.push(status);
+        } else if (!includeArchived) {
+            conditions.push("ideas.status != 'archived'");
+        }
+
+        const dateColumn = dateField === 'created' ? 'ideas.created_at' : 'ideas.updated_at';
+        if (from) {
+            conditions.push(`substr(${dateColumn}, 1, 10) >= ?`);
+            params.push(from);
+        }
+        if (to) {
+            conditions.push(`substr(${dateColumn}, 1, 10) <= ?`);
+            params.push(to);
+        }
+
+        if (hasNextAction !== null) {
+            conditions.push(`COALESCE(ideas.next_action, '') ${hasNextAction ? '!=' : '='} ''`);
+        }
+        if (!includeTrashed) {
+            conditions.push('ideas.deleted_at IS NULL');
+        }
+
+        return {
+            from: ftsQuery ? 'ideas_fts JOIN ideas ON ideas.rowid = ideas_fts.docid' : 'ideas',
+            where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+            params,
+            ftsQuery
+        };
+    }
+
+    /**
+     * Parse the JSON columns of a row into arrays and objects
+     */
+    parseRow(row) {
+        for (const [column, fallback] of Object.entries(JSON_COLUMNS)) {
+            if (!(column in row)) continue;
+            try {
+                row[column] = row[column] ? JSON.parse(row[column]) : fallback;
+            } catch (e) {
+                row[column] = fallback;
+            }
+        }
+        return row;
+    }
+
     /**
      * Get a single idea by ID
      */
@@ -203,17 +1279,7 @@ class IdeaDatabase {
 
         let idea = null;
         if (stmt.step()) {
-            idea = stmt.getAsObject();
-            // Parse tags from JSON
-            if (idea.tags) {
-                try {
-                    idea.tags = JSON.parse(idea.tags);
-                } catch (e) {
-                    idea.tags = [];
-                }
-            } else {
-                idea.tags = [];
-            }
+            idea = this.parseRow(stmt.getAsObject());
         }
 
         stmt.free();
@@ -228,11 +1294,18 @@ class IdeaDatabase {
         const fields = [];
         const values = [];
 
+        const current = this.getIdea(id);
+
+        // Log status transitions before the row is overwritten
+        if ('status' in updates && current && current.status !== updates.status) {
+            this.recordStatus(id, updates.status, now);
+        }
+
         // Build dynamic UPDATE query
         for (const [key, value] of Object.entries(updates)) {
             if (key !== 'id' && key !== 'created_at') {
-                // Convert tags array to JSON string
-                const finalValue = key === 'tags' ? JSON.stringify(value) : value;
+                // Convert tags array and metadata object to JSON strings
+                const finalValue = key in JSON_COLUMNS ? JSON.stringify(value) : value;
                 fields.push(`${key} = ?`);
                 values.push(finalValue);
             }
@@ -249,93 +1322,1791 @@ class IdeaDatabase {
         stmt.step();
         stmt.free();
 
+        // Snapshot the new version when its content changed
+        const contentChanged = current && REVISION_FIELDS.some(key =>
+            key in updates && JSON.stringify(updates[key]) !== JSON.stringify(current[key])
+        );
+        if (contentChanged) {
+            this.recordRevision(id, now);
+        }
+
+        this.syncLinks(id);
+        if (current && 'title' in updates && updates.title !== current.title) {
+            this.renameLinks(id, current.title, updates.title);
+            this.syncLinksMentioning(updates.title);
+        }
+
         this.save();
         return true;
     }
 
     /**
-     * Delete an idea
+     * Move an idea to the trash
+     * It disappears from lists, search, tags and exports but can be restored
+     * until it is purged.
      */
     deleteIdea(id) {
-        const stmt = this.db.prepare('DELETE FROM ideas WHERE id = ?');
-        stmt.bind([id]);
-        stmt.step();
-        stmt.free();
+        this.db.run('UPDATE ideas SET deleted_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+        this.save();
+        return true;
+    }
 
+    /**
+     * Take an idea out of the trash
+     */
+    restoreIdea(id) {
+        this.db.run('UPDATE ideas SET deleted_at = NULL WHERE id = ?', [id]);
         this.save();
         return true;
     }
 
     /**
-     * Export all ideas as JSON
+     * Run a change to several ideas as one transaction, saved once
+     * @param {Function} change - Does the work; its return value is passed on
      */
-    exportToJSON() {
-        const ideas = this.getAllIdeas();
+    runBatch(change) {
+        this.db.run('BEGIN TRANSACTION');
+        let result;
+        try {
+            result = change(new Date().toISOString());
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
 
-        return {
-            schema_version: DB_VERSION,
-            exported_at: new Date().toISOString(),
-            ideas: ideas
-        };
+        this.save();
+        return result;
     }
 
     /**
-     * Get all unique tags from all ideas
+     * Change the tags of several ideas; each changed idea gets a new revision
+     * @param {Array<string>} ids
+     * @param {Function} transform - Maps an idea's tag array to its new tag array
+     * @returns {number} Number of ideas changed
      */
-    getAllTags() {
-        const ideas = this.getAllIdeas();
-        const tagSet = new Set();
+    retagIdeas(ids, transform) {
+        return this.runBatch((now) => {
+            let changed = 0;
+            ids.forEach(id => {
+                const idea = this.getIdea(id);
+                if (!idea) return;
 
-        ideas.forEach(idea => {
-            if (Array.isArray(idea.tags)) {
-                idea.tags.forEach(tag => tagSet.add(tag));
-            }
+                const tags = transform(idea.tags);
+                if (JSON.stringify(tags) === JSON.stringify(idea.tags)) return;
+                this.db.run('UPDATE ideas SET tags = ?, updated_at = ? WHERE id = ?', [JSON.stringify(tags), now, id]);
+                this.recordRevision(id, now);
+                changed++;
+            });
+
+            // Drop tags no idea uses any more
+            this.db.run('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM idea_tags)');
+            return changed;
         });
+    }
+
+    /**
+     * Add a tag to several ideas, in a single transaction
+     * @returns {number} Number of ideas that didn't have it yet
+     */
+    addTagToIdeas(ids, name) {
+        const tag = normalizeTag(name);
+        if (!tag) {
+            throw new Error('Tag name cannot be empty.');
+        }
 
-        return Array.from(tagSet).sort();
+        return this.retagIdeas(ids, tags => tags.includes(tag) ? tags : [...tags, tag]);
     }
 
     /**
-     * Generate UUID v4
+     * Remove a tag from several ideas, in a single transaction
+     * @returns {number} Number of ideas that had it
      */
-    generateUUID() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c === 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
+    removeTagFromIdeas(ids, name) {
+        const tag = normalizeTag(name);
+        return this.retagIdeas(ids, tags => tags.filter(t => t !== tag));
+    }
+
+    /**
+     * Move several ideas to a status, in a single transaction
+     * @returns {number} Number of ideas whose status changed
+     */
+    setIdeasStatus(ids, status) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Unknown status: ${status}`);
+        }
+
+        return this.runBatch((now) => {
+            let changed = 0;
+            ids.forEach(id => {
+                const idea = this.getIdea(id);
+                if (!idea || idea.status === status) return;
+
+                this.recordStatus(id, status, now);
+                this.db.run('UPDATE ideas SET status = ?, updated_at = ? WHERE id = ?', [status, now, id]);
+                changed++;
+            });
+            return changed;
+        });
+    }
+
+    /**
+     * Move several ideas to the trash, in a single transaction
+     * @returns {number} Number of ideas moved
+     */
+    trashIdeas(ids) {
+        return this.runBatch((now) => ids.reduce((moved, id) => {
+            this.db.run('UPDATE ideas SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL', [now, id]);
+            return moved + this.db.getRowsModified();
+        }, 0));
+    }
+
+    /**
+     * Take several ideas out of the trash, in a single transaction
+     */
+    restoreIdeas(ids) {
+        this.runBatch(() => {
+            ids.forEach(id => this.db.run('UPDATE ideas SET deleted_at = NULL WHERE id = ?', [id]));
+        });
+        return true;
+    }
+
+    /**
+     * Merge ideas into one, in a single transaction
+     * The kept idea gets each other idea's description under a heading with its title, all
+     * of their tags, and their attachments; its own next action wins, else the first one
+     * found. Links to the merged ideas are pointed at the kept one, and the merged ideas
+     * go to the trash, so nothing is lost for good.
+     * @param {string} targetId - Idea to keep
+     * @param {Array<string>} sourceIds - Ideas to merge into it
+     * @returns {number} Number of ideas merged into it
+     */
+    mergeIdeas(targetId, sourceIds) {
+        const target = this.getIdea(targetId);
+        if (!target) {
+            throw new Error('The idea to merge into no longer exists.');
+        }
+        const sources = sourceIds
+            .filter(id => id !== targetId)
+            .map(id => this.getIdea(id))
+            .filter(Boolean);
+        if (sources.length === 0) return 0;
+
+        const body = sources.reduce(
+            (text, source) => replaceWikiLinkTarget(text, source.title, target.title),
+            [target.body.trimEnd(), ...sources.map(source =>
+                `## ${source.title}\n\n${source.body.trim()}`.trimEnd()
+            )].filter(Boolean).join('\n\n')
+        );
+        const tags = [...new Set([target.tags, ...sources.map(source => source.tags)].flat())];
+        const nextAction = target.next_action ||
+            sources.map(source => source.next_action).find(Boolean) || null;
+
+        return this.runBatch((now) => {
+            const linking = new Set();
+            sources.forEach(source => {
+                this.getBacklinks(source.id).forEach(idea => linking.add(idea.id));
+                this.renameLinks(source.id, source.title, target.title);
+            });
+            sources.forEach(source => {
+                this.db.run('UPDATE attachments SET idea_id = ? WHERE idea_id = ?', [targetId, source.id]);
+                this.db.run('UPDATE ideas SET deleted_at = ? WHERE id = ?', [now, source.id]);
+                linking.delete(source.id);
+            });
+
+            this.db.run(
+                'UPDATE ideas SET body = ?, tags = ?, next_action = ?, updated_at = ? WHERE id = ?',
+                [body, JSON.stringify(tags), nextAction, now, targetId]
+            );
+            this.recordRevision(targetId, now);
+
+            this.syncLinks(targetId);
+            linking.forEach(id => this.syncLinks(id));
+            return sources.length;
         });
     }
 
     /**
-     * Convert Uint8Array to Base64
+     * Get the ideas waiting in the inbox, oldest first, the order they are triaged in
      */
-    uint8ArrayToBase64(uint8Array) {
-        let binary = '';
-        const len = uint8Array.byteLength;
-        for (let i = 0; i < len; i++) {
-            binary += String.fromCharCode(uint8Array[i]);
+    getInboxIdeas() {
+        const stmt = this.db.prepare(
+            "SELECT * FROM ideas WHERE status = 'inbox' AND deleted_at IS NULL ORDER BY created_at ASC, rowid ASC"
+        );
+        const ideas = [];
+
+        while (stmt.step()) {
+            ideas.push(this.parseRow(stmt.getAsObject()));
         }
-        return btoa(binary);
+
+        stmt.free();
+        return ideas;
     }
 
     /**
-     * Convert Base64 to Uint8Array
+     * Get the ideas in the trash, most recently deleted first
      */
-    base64ToUint8Array(base64) {
-        const binary = atob(base64);
-        const len = binary.length;
-        const uint8Array = new Uint8Array(len);
-        for (let i = 0; i < len; i++) {
-            uint8Array[i] = binary.charCodeAt(i);
+    getTrashedIdeas() {
+        const stmt = this.db.prepare('SELECT * FROM ideas WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC');
+        const ideas = [];
+
+        while (stmt.step()) {
+            ideas.push(this.parseRow(stmt.getAsObject()));
         }
-        return uint8Array;
+
+        stmt.free();
+        return ideas;
+    }
+
+    /**
+     * Permanently delete every trashed idea deleted before a given time
+     * @param {string|null} before - ISO timestamp; null empties the whole trash
+     * @returns {number} Number of ideas deleted
+     */
+    purgeTrash(before = null) {
+        const result = before
+            ? this.db.exec('SELECT id FROM ideas WHERE deleted_at IS NOT NULL AND deleted_at < ?', [before])
+            : this.db.exec('SELECT id FROM ideas WHERE deleted_at IS NOT NULL');
+        if (result.length === 0) return 0;
+
+        const ids = result[0].values.map(([id]) => id);
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            ids.forEach(id => this.deleteIdeaRows(id));
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.save();
+        return ids.length;
+    }
+
+    /**
+     * Purge trashed ideas older than the retention period
+     * @returns {number} Number of ideas deleted
+     */
+    purgeExpiredTrash() {
+        const days = this.getTrashRetentionDays();
+        if (days <= 0) return 0;
+
+        return this.purgeTrash(new Date(Date.now() - days * DAY_MS).toISOString());
+    }
+
+    /**
+     * Days trashed ideas are kept; 0 means forever
+     */
+    getTrashRetentionDays() {
+        const setting = this.getSetting('trash_retention_days');
+        const value = Number(setting);
+        return setting !== null && Number.isInteger(value) && value >= 0 ? value : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * Minutes of inactivity before an encrypted library locks itself; 0 means never
+     */
+    getAutoLockMinutes() {
+        const setting = this.getSetting('auto_lock_minutes');
+        const value = Number(setting);
+        return setting !== null && Number.isInteger(value) && value >= 0 ? value : DEFAULT_AUTO_LOCK_MINUTES;
+    }
+
+    /**
+     * Whether single-key shortcuts (n, /, e, j, k, ?) are on; they are unless turned off
+     */
+    getSingleKeyShortcuts() {
+        return this.getSetting('single_key_shortcuts') !== '0';
+    }
+
+    /**
+     * Read a value from the settings table
+     * @returns {string|null}
+     */
+    getSetting(key) {
+        const result = this.db.exec('SELECT value FROM settings WHERE key = ?', [key]);
+        return result.length ? result[0].values[0][0] : null;
+    }
+
+    /**
+     * Write a value to the settings table
+     */
+    setSetting(key, value) {
+        this.db.run(
+            'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+            [key, String(value)]
+        );
+        this.save();
+    }
+
+    /**
+     * Permanently delete an idea and everything recorded about it
+     */
+    purgeIdea(id) {
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            this.deleteIdeaRows(id);
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Delete an idea's rows from every table, within the caller's transaction
+     * Its folder sync record stays: it is how the next folder sync knows to remove the
+     * idea's file rather than import it again, and that sync clears it.
+     */
+    deleteIdeaRows(id) {
+        this.db.run('DELETE FROM ideas WHERE id = ?', [id]);
+        this.db.run('DELETE FROM status_history WHERE idea_id = ?', [id]);
+        this.db.run('DELETE FROM action_log WHERE idea_id = ?', [id]);
+        this.db.run('DELETE FROM idea_links WHERE source_id = ? OR target_id = ?', [id, id]);
+        this.db.run('DELETE FROM idea_revisions WHERE idea_id = ?', [id]);
+        this.db.run('DELETE FROM attachments WHERE idea_id = ?', [id]);
+    }
+
+    /**
+     * Attach a file to an idea
+     * @param {string} ideaId
+     * @param {{id?: string, filename: string, mime_type: string, data: Uint8Array}} file - id is
+     *   given when the description already refers to the file, e.g. one pasted into the form
+     * @returns {string} The attachment's id
+     * @throws {RangeError} When the file is larger than MAX_ATTACHMENT_BYTES
+     */
+    addAttachment(ideaId, { id = this.generateUUID(), filename, mime_type, data }) {
+        if (data.byteLength > MAX_ATTACHMENT_BYTES) {
+            throw new RangeError(`"${filename}" is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`);
+        }
+
+        this.db.run(`
+            INSERT INTO attachments (id, idea_id, filename, mime_type, size, data, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [id, ideaId, filename, mime_type, data.byteLength, data, new Date().toISOString()]);
+
+        this.save();
+        return id;
+    }
+
+    /**
+     * List an idea's attachments, oldest first, without their contents
+     * @returns {Array<{id: string, filename: string, mime_type: string, size: number, created_at: string}>}
+     */
+    getAttachments(ideaId) {
+        const stmt = this.db.prepare(`
+            SELECT id, filename, mime_type, size, created_at FROM attachments
+            WHERE idea_id = ? ORDER BY created_at ASC, rowid ASC
+        `);
+        stmt.bind([ideaId]);
+
+        const attachments = [];
+        while (stmt.step()) {
+            attachments.push(stmt.getAsObject());
+        }
+        stmt.free();
+        return attachments;
+    }
+
+    /**
+     * Get one attachment with its contents
+     * @returns {{id: string, idea_id: string, filename: string, mime_type: string, size: number,
+     *   data: Uint8Array, created_at: string}|null}
+     */
+    getAttachment(id) {
+        const stmt = this.db.prepare('SELECT * FROM attachments WHERE id = ?');
+        stmt.bind([id]);
+
+        const attachment = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        return attachment;
+    }
+
+    /**
+     * Remove an attachment
+     */
+    deleteAttachment(id) {
+        this.db.run('DELETE FROM attachments WHERE id = ?', [id]);
+        this.save();
+    }
+
+    /**
+     * Count the library's attachments and the space they take
+     * @returns {{count: number, bytes: number}}
+     */
+    getAttachmentUsage() {
+        const [row] = this.db.exec('SELECT COUNT(*), COALESCE(SUM(size), 0) FROM attachments')[0].values;
+        return { count: row[0], bytes: row[1] };
+    }
+
+    /**
+     * Get the attachments of some ideas, with their contents, for an export
+     * @param {Array<string>} ideaIds
+     * @returns {Array<Object>} Attachments as stored, data as a Uint8Array
+     */
+    getAttachmentsForExport(ideaIds) {
+        const wanted = new Set(ideaIds);
+        const stmt = this.db.prepare('SELECT * FROM attachments ORDER BY idea_id, created_at, rowid');
+
+        const attachments = [];
+        while (stmt.step()) {
+            const attachment = stmt.getAsObject();
+            if (wanted.has(attachment.idea_id)) attachments.push(attachment);
+        }
+        stmt.free();
+        return attachments;
+    }
+
+    /**
+     * Get every template: the built-in ones first, then the library's own by name
+     * @returns {Array<{id: string, name: string, body: string, tags: Array<string>,
+     *   next_action: string|null, builtin: boolean}>}
+     */
+    getTemplates() {
+        const stmt = this.db.prepare('SELECT * FROM templates ORDER BY name COLLATE NOCASE, created_at');
+        const templates = [];
+        while (stmt.step()) {
+            templates.push({ ...this.parseRow(stmt.getAsObject()), builtin: false });
+        }
+        stmt.free();
+        return [...BUILTIN_TEMPLATES, ...templates];
+    }
+
+    /**
+     * Get one template, built-in or the library's own
+     * @returns {Object|null}
+     */
+    getTemplate(id) {
+        return this.getTemplates().find(template => template.id === id) || null;
+    }
+
+    /**
+     * Create a template, or update one of the library's own
+     * @param {{id?: string, name: string, body: string, tags: Array<string>, next_action: string|null}} template
+     * @returns {string} The template's id
+     * @throws {Error} When the name is empty or the template is built in
+     */
+    saveTemplate({ id = null, name, body = '', tags = [], next_action = null }) {
+        name = name.trim();
+        if (!name) {
+            throw new Error('A template needs a name.');
+        }
+        if (BUILTIN_TEMPLATES.some(template => template.id === id)) {
+            throw new Error('Built-in templates can\'t be changed; make a copy instead.');
+        }
+
+        const cleanTags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+        const now = new Date().toISOString();
+        if (id && this.getTemplate(id)) {
+            this.db.run(`
+                UPDATE templates SET name = ?, body = ?, tags = ?, next_action = ?, updated_at = ?
+                WHERE id = ?
+            `, [name, body, JSON.stringify(cleanTags), next_action || null, now, id]);
+        } else {
+            id = this.generateUUID();
+            this.db.run(`
+                INSERT INTO templates (id, name, body, tags, next_action, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [id, name, body, JSON.stringify(cleanTags), next_action || null, now, now]);
+        }
+
+        this.save();
+        return id;
+    }
+
+    /**
+     * Delete one of the library's own templates
+     */
+    deleteTemplate(id) {
+        this.db.run('DELETE FROM templates WHERE id = ?', [id]);
+        this.save();
+    }
+
+    /**
+     * Snapshot an idea's current title, body and tags into its revision history
+     * @param {string} id - Idea id
+     * @param {string} savedAt - Timestamp of the save that produced this version
+     */
+    recordRevision(id, savedAt) {
+        this.db.run(`
+            INSERT INTO idea_revisions (idea_id, title, body, tags, created_at)
+            SELECT id, title, body, tags, ? FROM ideas WHERE id = ?
+        `, [savedAt, id]);
+    }
+
+    /**
+     * Get an idea's revisions, newest first
+     * The first entry is the current version.
+     * @returns {Array<{id: number, title: string, body: string, tags: Array<string>, created_at: string}>}
+     */
+    getRevisions(id) {
+        const stmt = this.db.prepare(`
+            SELECT id, title, body, tags, created_at FROM idea_revisions
+            WHERE idea_id = ?
+            ORDER BY id DESC
+        `);
+        stmt.bind([id]);
+
+        const revisions = [];
+        while (stmt.step()) {
+            revisions.push(this.parseRow(stmt.getAsObject()));
+        }
+        stmt.free();
+        return revisions;
+    }
+
+    /**
+     * Restore an earlier revision as a new update
+     * The version being replaced stays in the history, so a restore can itself be undone.
+     * @returns {boolean} false if the revision doesn't belong to the idea
+     */
+    restoreRevision(id, revisionId) {
+        const revision = this.getRevisions(id).find(r => r.id === revisionId);
+        if (!revision) return false;
+
+        return this.updateIdea(id, { title: revision.title, body: revision.body, tags: revision.tags });
+    }
+
+    /**
+     * Find the idea a [[wiki link]] points to
+     * An exact id wins; otherwise titles match case-insensitively, most recently updated first.
+     * @param {string} target - Idea id or title
+     * @returns {{id: string, title: string}|null}
+     */
+    resolveLinkTarget(target) {
+        const stmt = this.db.prepare(`
+            SELECT id, title FROM ideas
+            WHERE deleted_at IS NULL AND (id = ?1 OR title = ?1 COLLATE NOCASE)
+            ORDER BY id = ?1 DESC, updated_at DESC
+            LIMIT 1
+        `);
+        stmt.bind([target]);
+
+        const idea = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        return idea;
+    }
+
+    /**
+     * Rebuild an idea's outgoing links from its body and metadata.related_ideas
+     * Links that don't resolve to an idea yet are left out; they are picked up
+     * by syncLinksMentioning() once an idea with that title exists.
+     */
+    syncLinks(id) {
+        const idea = this.getIdea(id);
+        this.db.run('DELETE FROM idea_links WHERE source_id = ?', [id]);
+        if (!idea) return;
+
+        const related = Array.isArray(idea.metadata.related_ideas) ? idea.metadata.related_ideas : [];
+        const targets = [...parseWikiLinks(idea.body), ...related.filter(Boolean).map(String)];
+
+        targets.forEach(target => {
+            const linked = this.resolveLinkTarget(target);
+            if (linked && linked.id !== id) {
+                this.db.run(
+                    'INSERT OR IGNORE INTO idea_links (source_id, target_id) VALUES (?, ?)',
+                    [id, linked.id]
+                );
+            }
+        });
+    }
+
+    /**
+     * Re-sync the links of every idea whose body mentions [[title]]
+     * Used when an idea is created or renamed, so dangling links start resolving.
+     */
+    syncLinksMentioning(title) {
+        const result = this.db.exec(
+            "SELECT id FROM ideas WHERE instr(lower(body), lower(?)) > 0",
+            [`[[${title}`]
+        );
+        if (result.length === 0) return;
+
+        result[0].values.forEach(([id]) => this.syncLinks(id));
+    }
+
+    /**
+     * Rebuild every idea's links
+     */
+    rebuildLinks() {
+        this.db.run('DELETE FROM idea_links');
+        const result = this.db.exec('SELECT id FROM ideas');
+        if (result.length === 0) return;
+
+        result[0].values.forEach(([id]) => this.syncLinks(id));
+    }
+
+    /**
+     * Rewrite [[Old Title]] references after an idea is renamed, so links keep working
+     * Only ideas that link to the renamed idea are touched; [[id]] links need no change.
+     */
+    renameLinks(id, oldTitle, newTitle) {
+        const now = new Date().toISOString();
+
+        this.getBacklinks(id).forEach(source => {
+            const { body } = this.getIdea(source.id);
+            const updated = replaceWikiLinkTarget(body, oldTitle, newTitle);
+            if (updated !== body) {
+                this.db.run('UPDATE ideas SET body = ?, updated_at = ? WHERE id = ?', [updated, now, source.id]);
+                this.recordRevision(source.id, now);
+            }
+        });
+    }
+
+    /**
+     * Get the ideas that link to an idea
+     * @returns {Array<{id: string, title: string, status: string}>} Most recently updated first
+     */
+    getBacklinks(id) {
+        const stmt = this.db.prepare(`
+            SELECT ideas.id, ideas.title, ideas.status FROM idea_links
+            JOIN ideas ON ideas.id = idea_links.source_id
+            WHERE idea_links.target_id = ? AND ideas.deleted_at IS NULL
+            ORDER BY ideas.updated_at DESC
+        `);
+        stmt.bind([id]);
+
+        const ideas = [];
+        while (stmt.step()) {
+            ideas.push(stmt.getAsObject());
+        }
+        stmt.free();
+        return ideas;
+    }
+
+    /**
+     * Find ideas whose title contains some text, for [[ link autocomplete
+     * @param {string} filter - Text to look for
+     * @param {string|null} excludeId - Idea being edited, which shouldn't link to itself
+     * @returns {Array<{id: string, title: string}>}
+     */
+    findIdeasByTitle(filter, excludeId = null, limit = 8) {
+        const stmt = this.db.prepare(`
+            SELECT id, title FROM ideas
+            WHERE instr(lower(title), lower(?)) > 0 AND id IS NOT ? AND deleted_at IS NULL
+            ORDER BY instr(lower(title), lower(?)) = 1 DESC, updated_at DESC
+            LIMIT ?
+        `);
+        stmt.bind([filter, excludeId, filter, limit]);
+
+        const ideas = [];
+        while (stmt.step()) {
+            ideas.push(stmt.getAsObject());
+        }
+        stmt.free();
+        return ideas;
+    }
+
+    /**
+     * Get every pending action across ideas that aren't archived
+     * Includes each idea's next_action and the open task items (- [ ]) in its body.
+     * A task with the same text as the next action is listed only once.
+     * @returns {Array<Object>} { idea_id, title, action, source: 'next_action'|'task', line }
+     */
+    getPendingActions() {
+        const stmt = this.db.prepare(`
+            SELECT id, title, body, next_action FROM ideas
+            WHERE status != 'archived' AND deleted_at IS NULL
+              AND ((next_action IS NOT NULL AND next_action != '') OR body LIKE '%[ ]%')
+            ORDER BY updated_at DESC
+        `);
+
+        const actions = [];
+        while (stmt.step()) {
+            const idea = stmt.getAsObject();
+            if (idea.next_action) {
+                actions.push({ idea_id: idea.id, title: idea.title, action: idea.next_action, source: 'next_action', line: null });
+            }
+            parseTaskItems(idea.body)
+                .filter(task => !task.done && task.text !== idea.next_action)
+                .forEach(task => {
+                    actions.push({ idea_id: idea.id, title: idea.title, action: task.text, source: 'task', line: task.line });
+                });
+        }
+        stmt.free();
+
+        return actions;
+    }
+
+    /**
+     * Mark an idea's next action done
+     * The completion is logged, a matching task in the body is ticked, and the
+     * next action rotates to the next open task (or is cleared if there is none).
+     * @returns {string|null} The new next action
+     */
+    completeNextAction(id) {
+        const idea = this.getIdea(id);
+        if (!idea || !idea.next_action) return null;
+
+        const task = parseTaskItems(idea.body).find(t => !t.done && t.text === idea.next_action);
+        return this.completeAction(idea, idea.next_action, task ? task.line : null);
+    }
+
+    /**
+     * Mark a task item in an idea's body done
+     * @param {string} id - Idea id
+     * @param {number} line - Line of the task, as returned by getPendingActions()
+     * @returns {string|null} The idea's next action afterwards
+     */
+    completeTask(id, line) {
+        const idea = this.getIdea(id);
+        const task = idea && parseTaskItems(idea.body).find(t => t.line === line && !t.done);
+        if (!task) return idea ? idea.next_action : null;
+
+        return this.completeAction(idea, task.text, line);
+    }
+
+    /**
+     * Log a completed action, tick its task line and rotate the next action
+     * @returns {string|null} The idea's next action afterwards
+     */
+    completeAction(idea, action, taskLine) {
+        const now = new Date().toISOString();
+        const body = taskLine === null ? idea.body : checkTaskItem(idea.body, taskLine);
+
+        // Completing the current next action moves on to the next open task
+        let nextAction = idea.next_action;
+        if (action === idea.next_action) {
+            const nextTask = parseTaskItems(body).find(t => !t.done);
+            nextAction = nextTask ? nextTask.text : null;
+        }
+
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            this.db.run(
+                'INSERT INTO action_log (idea_id, action, completed_at) VALUES (?, ?, ?)',
+                [idea.id, action, now]
+            );
+            this.db.run(
+                'UPDATE ideas SET body = ?, next_action = ?, updated_at = ? WHERE id = ?',
+                [body, nextAction, now, idea.id]
+            );
+            if (body !== idea.body) {
+                this.recordRevision(idea.id, now);
+            }
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.save();
+        return nextAction;
+    }
+
+    /**
+     * Get an idea's completed actions, most recent first
+     * @returns {Array<{action: string, completed_at: string}>}
+     */
+    getCompletedActions(id, limit = 10) {
+        const stmt = this.db.prepare(`
+            SELECT action, completed_at FROM action_log
+            WHERE idea_id = ?
+            ORDER BY completed_at DESC, id DESC
+            LIMIT ?
+        `);
+        stmt.bind([id, limit]);
+
+        const actions = [];
+        while (stmt.step()) {
+            actions.push(stmt.getAsObject());
+        }
+        stmt.free();
+        return actions;
+    }
+
+    /**
+     * Full-text search over title, body and tags
+     * Every word must match; the last word also matches as a prefix so results
+     * update while typing.
+     * @param {string} query - Free text typed by the user
+     * @returns {Array<Object>} Matching ideas, best first, each with a snippet
+     *   given as [{ text, highlight }] segments
+     */
+    searchIdeas(query) {
+        if (!this.buildSearchQuery(query)) return [];
+        return this.queryIdeas({ text: query, sort: 'relevance' });
+    }
+
+    /**
+     * Turn free text into a safe FTS4 MATCH expression
+     * Words are quoted so FTS operators typed by the user are treated as text.
+     * @returns {string} MATCH expression, or '' if there is nothing to search for
+     */
+    buildSearchQuery(query) {
+        const terms = (query || '')
+            .replace(/"/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        return terms.map((term, i) =>
+            i === terms.length - 1 ? `"${term}*"` : `"${term}"`
+        ).join(' ');
+    }
+
+    /**
+     * Score a match from FTS4 matchinfo('pcx') output
+     * For each phrase and column: hits in this row relative to hits across all rows,
+     * weighted by SEARCH_WEIGHTS.
+     */
+    rankMatch(matchInfo) {
+        const view = new DataView(matchInfo.buffer, matchInfo.byteOffset, matchInfo.byteLength);
+        const read = (i) => view.getUint32(i * 4, true);
+        const phraseCount = read(0);
+        const columnCount = read(1);
+        let score = 0;
+
+        for (let p = 0; p < phraseCount; p++) {
+            for (let c = 0; c < columnCount; c++) {
+                const base = 2 + (p * columnCount + c) * 3;
+                const hitsThisRow = read(base);
+                const hitsAllRows = read(base + 1);
+                if (hitsThisRow > 0) {
+                    score += (hitsThisRow / hitsAllRows) * (SEARCH_WEIGHTS[c] || 1);
+                }
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Split a marked-up snippet into plain and highlighted segments
+     */
+    parseSnippet(snippet) {
+        const segments = [];
+        const pattern = new RegExp(`${SNIPPET_START}(.*?)${SNIPPET_END}`, 'gs');
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(snippet || '')) !== null) {
+            if (match.index > lastIndex) {
+                segments.push({ text: snippet.slice(lastIndex, match.index), highlight: false });
+            }
+            segments.push({ text: match[1], highlight: true });
+            lastIndex = pattern.lastIndex;
+        }
+        if (snippet && lastIndex < snippet.length) {
+            segments.push({ text: snippet.slice(lastIndex), highlight: false });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Get all ideas, or only those with the given ids
+     * @param {Array<string>|null} ids
+     */
+    getIdeasForExport(ids = null, { includeTrashed = false } = {}) {
+        const ideas = this.getAllIdeas({ includeTrashed });
+        if (!ids) return ideas;
+
+        const wanted = new Set(ids);
+        return ideas.filter(idea => wanted.has(idea.id));
+    }
+
+    /**
+     * Export all ideas as JSON
+     * @param {Array<string>|null} ids - Export only these ideas
+     * @param {Object} options
+     * @param {boolean} options.includeTrashed - Also export ideas in the trash
+     */
+    exportToJSON(ids = null, options = {}) {
+        const ideas = this.getIdeasForExport(ids, options);
+        const attachments = this.getAttachmentsForExport(ideas.map(idea => idea.id))
+            .map(attachment => ({ ...attachment, data: uint8ArrayToBase64(attachment.data) }));
+
+        return {
+            schema_version: DB_VERSION,
+            exported_at: new Date().toISOString(),
+            ideas: ideas,
+            attachments
+        };
+    }
+
+    /**
+     * Validate a JSON backup and upgrade its ideas to the current schema
+     * @param {Object} data - Parsed contents of a file produced by exportToJSON()
+     * @returns {Array<Object>} Ideas normalized to the current schema
+     * @throws {Error} If the file is not a usable backup
+     */
+    normalizeImport(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.ideas)) {
+            throw new Error('This file is not an Idea Library backup.');
+        }
+
+        const version = Number(data.schema_version);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error('Backup file has no valid schema_version.');
+        }
+        if (version > DB_VERSION) {
+            throw new Error(`Backup uses schema version ${version}, but this app only supports up to version ${DB_VERSION}. Please update the app first.`);
+        }
+
+        return data.ideas.map((raw, index) => {
+            if (!raw || typeof raw !== 'object') {
+                throw new Error(`Idea #${index + 1} in the backup is not an object.`);
+            }
+
+            // Upgrade step by step from the backup's version to the current one
+            let idea = { ...raw };
+            for (let v = version; v < DB_VERSION; v++) {
+                idea = IMPORT_UPGRADES[v](idea);
+            }
+
+            if (typeof idea.title !== 'string' || !idea.title.trim()) {
+                throw new Error(`Idea #${index + 1} in the backup has no title.`);
+            }
+
+            // Tags may come through as the raw JSON column value
+            let tags = idea.tags;
+            if (typeof tags === 'string') {
+                try {
+                    tags = JSON.parse(tags);
+                } catch (e) {
+                    tags = [];
+                }
+            }
+
+            const now = new Date().toISOString();
+            const createdAt = idea.created_at || now;
+            const metadata = idea.metadata && typeof idea.metadata === 'object' && !Array.isArray(idea.metadata)
+                ? idea.metadata
+                : {};
+
+            return {
+                id: typeof idea.id === 'string' && idea.id ? idea.id : this.generateUUID(),
+                title: idea.title,
+                body: typeof idea.body === 'string' ? idea.body : '',
+                tags: Array.isArray(tags)
+                    ? [...new Set(tags.filter(tag => typeof tag === 'string').map(normalizeTag).filter(Boolean))]
+                    : [],
+                next_action: idea.next_action ?? null,
+                metadata,
+                status: STATUSES.includes(idea.status) ? idea.status : DEFAULT_STATUS,
+                created_at: createdAt,
+                updated_at: idea.updated_at || createdAt,
+                deleted_at: idea.deleted_at || null
+            };
+        });
+    }
+
+    /**
+     * Validate the attachments of a backup
+     * Their data may be Base64 (JSON backups) or bytes (read from a Markdown export).
+     * @param {Object} data - Parsed backup file
+     * @returns {Array<Object>} Attachments with their data as a Uint8Array
+     * @throws {Error} If an attachment is unusable
+     */
+    normalizeAttachments(data) {
+        if (!Array.isArray(data.attachments)) return [];
+
+        return data.attachments.map((raw, index) => {
+            const valid = raw && typeof raw === 'object' &&
+                typeof raw.id === 'string' && raw.id &&
+                typeof raw.idea_id === 'string' && raw.idea_id &&
+                typeof raw.filename === 'string' && raw.filename;
+            if (!valid) {
+                throw new Error(`Attachment #${index + 1} in the backup is missing its id, idea or file name.`);
+            }
+
+            let bytes = raw.data;
+            if (typeof bytes === 'string') {
+                try {
+                    bytes = base64ToUint8Array(bytes);
+                } catch (e) {
+                    bytes = null;
+                }
+            }
+            if (!(bytes instanceof Uint8Array)) {
+                throw new Error(`Attachment "${raw.filename}" in the backup has no readable contents.`);
+            }
+
+            return {
+                id: raw.id,
+                idea_id: raw.idea_id,
+                filename: raw.filename,
+                mime_type: typeof raw.mime_type === 'string' && raw.mime_type ? raw.mime_type : 'application/octet-stream',
+                size: bytes.byteLength,
+                data: bytes,
+                created_at: raw.created_at || new Date().toISOString()
+            };
+        });
+    }
+
+    /**
+     * Work out what importing a backup would do, without changing anything
+     * Merge mode matches ideas by id and keeps whichever copy has the newer updated_at.
+     * Replace mode removes every existing idea and creates everything in the file.
+     * Attachments come along with the ideas that are created or updated.
+     * @param {Object} data - Parsed backup file
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} Preview with create, update, skip and remove lists, and the attachments to add
+     */
+    previewImport(data, mode = 'merge') {
+        const incoming = this.normalizeImport(data);
+        const attachments = this.normalizeAttachments(data);
+        const preview = { mode, create: [], update: [], skip: [], remove: [], attachments: [] };
+        const seen = new Set();
+
+        // Replacing deletes the trash too, so trashed ideas are listed with the rest
+        if (mode === 'replace') {
+            preview.remove = this.getAllIdeas({ includeTrashed: true });
+        }
+
+        incoming.forEach(idea => {
+            if (seen.has(idea.id)) {
+                preview.skip.push({ idea, reason: 'Duplicate id in backup' });
+                return;
+            }
+            seen.add(idea.id);
+
+            if (mode === 'replace') {
+                preview.create.push(idea);
+                return;
+            }
+
+            const existing = this.getIdea(idea.id);
+            if (!existing) {
+                preview.create.push(idea);
+            } else if (new Date(idea.updated_at) > new Date(existing.updated_at)) {
+                preview.update.push(idea);
+            } else {
+                preview.skip.push({ idea, reason: 'Library version is the same or newer' });
+            }
+        });
+
+        const imported = new Set([...preview.create, ...preview.update].map(idea => idea.id));
+        preview.attachments = attachments.filter(attachment => imported.has(attachment.idea_id));
+
+        return preview;
+    }
+
+    /**
+     * Import a backup in a single transaction
+     * @param {Object} data - Parsed backup file
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} The preview that was applied
+     */
+    importFromJSON(data, mode = 'merge') {
+        const preview = this.previewImport(data, mode);
+
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            if (mode === 'replace') {
+                this.db.run('DELETE FROM ideas');
+                this.db.run('DELETE FROM status_history');
+                this.db.run('DELETE FROM action_log');
+                this.db.run('DELETE FROM idea_revisions');
+                this.db.run('DELETE FROM attachments');
+                // sync_files is kept, so a synced folder drops the replaced ideas' files too
+            }
+
+            preview.create.forEach(idea => {
+                this.db.run(`
+                    INSERT INTO ideas (id, title, body, tags, next_action, metadata, status, created_at, updated_at, deleted_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [idea.id, idea.title, idea.body, JSON.stringify(idea.tags), idea.next_action,
+                    JSON.stringify(idea.metadata), idea.status, idea.created_at, idea.updated_at, idea.deleted_at]);
+                this.recordStatus(idea.id, idea.status, idea.created_at);
+                this.recordRevision(idea.id, idea.updated_at);
+            });
+
+            // Imported timestamps are kept as-is, so updateIdea() is not used here
+            preview.update.forEach(idea => {
+                const existing = this.getIdea(idea.id);
+                if (existing.status !== idea.status) {
+                    this.recordStatus(idea.id, idea.status, idea.updated_at);
+                }
+                this.db.run(`
+                    UPDATE ideas
+                    SET title = ?, body = ?, tags = ?, next_action = ?, metadata = ?, status = ?,
+                        created_at = ?, updated_at = ?, deleted_at = ?
+                    WHERE id = ?
+                `, [idea.title, idea.body, JSON.stringify(idea.tags), idea.next_action,
+                    JSON.stringify(idea.metadata), idea.status, idea.created_at, idea.updated_at,
+                    idea.deleted_at, idea.id]);
+                this.recordRevision(idea.id, idea.updated_at);
+            });
+
+            preview.attachments.forEach(attachment => {
+                this.db.run(`
+                    INSERT OR REPLACE INTO attachments (id, idea_id, filename, mime_type, size, data, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [attachment.id, attachment.idea_id, attachment.filename, attachment.mime_type,
+                    attachment.size, attachment.data, attachment.created_at]);
+            });
+
+            // Imported ideas may link to each other or resolve links that were dangling
+            this.rebuildLinks();
+
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            console.error('Import failed:', error);
+            throw error;
+        }
+
+        this.save();
+        return preview;
+    }
+
+    /**
+     * Convert an idea to a Markdown file with .idea-template.md frontmatter
+     * @returns {string} File contents
+     */
+    ideaToMarkdown(idea) {
+        const data = {
+            ...FRONTMATTER_DEFAULTS,
+            ...idea.metadata,
+            id: idea.id,
+            title: idea.title,
+            created: idea.created_at,
+            updated: idea.updated_at,
+            status: idea.status,
+            tags: idea.tags
+        };
+        if (idea.next_action) {
+            data.next_action = idea.next_action;
+        }
+        if (idea.deleted_at) {
+            data.deleted = idea.deleted_at;
+        }
+
+        return stringifyFrontmatter(data, idea.body, ['title']);
+    }
+
+    /**
+     * Convert a Markdown file with frontmatter into an idea in backup format
+     * Frontmatter fields without a column of their own are kept in metadata.
+     * @param {string} text - File contents
+     * @param {string} fileName - Used for the id and title when frontmatter lacks them
+     * @returns {Object} Idea ready for normalizeImport()
+     */
+    markdownToIdea(text, fileName) {
+        const { data, body } = parseFrontmatter(text);
+        const { id, title, created, updated, deleted, status, tags, next_action, ...metadata } = data;
+        const stem = fileName.split('/').pop().replace(/\.md$/i, '');
+
+        // Normalize timestamps to the ISO format used by the rest of the database
+        const toIso = (value) => {
+            const date = new Date(value);
+            return value && !isNaN(date) ? date.toISOString() : null;
+        };
+
+        return {
+            id: id ? String(id) : stem,
+            title: title ? String(title) : stem,
+            body,
+            tags: (Array.isArray(tags) ? tags.map(String) : (tags ? [String(tags)] : []))
+                .map(normalizeTag)
+                .filter(Boolean),
+            next_action: next_action ? String(next_action) : null,
+            metadata,
+            status: status ? String(status) : DEFAULT_STATUS,
+            created_at: toIso(created),
+            updated_at: toIso(updated),
+            deleted_at: toIso(deleted)
+        };
+    }
+
+    /**
+     * Create or update an idea from a Markdown file in a synced folder
+     * An edit made outside the app is saved like one made in it: updated_at moves
+     * to now and a revision is recorded. A trashed idea is restored.
+     * @param {string} text - File contents
+     * @param {string} fileName
+     * @returns {Object} The saved idea
+     * @throws {Error} If the file has no usable title
+     */
+    saveIdeaFromMarkdown(text, fileName) {
+        const [idea] = this.normalizeImport({
+            schema_version: DB_VERSION,
+            ideas: [this.markdownToIdea(text, fileName)]
+        });
+
+        if (this.getIdea(idea.id)) {
+            this.updateIdea(idea.id, {
+                title: idea.title,
+                body: idea.body,
+                tags: idea.tags,
+                next_action: idea.next_action,
+                metadata: idea.metadata,
+                status: idea.status,
+                deleted_at: null
+            });
+        } else {
+            this.importFromJSON({ schema_version: DB_VERSION, ideas: [{ ...idea, deleted_at: null }] }, 'merge');
+        }
+        return this.getIdea(idea.id);
+    }
+
+    /**
+     * Get the folder sync state of every mirrored idea
+     * @returns {Map<string, {file_name: string, file_modified: number, idea_updated_at: string}>} By idea id
+     */
+    getSyncRecords() {
+        const result = this.db.exec('SELECT idea_id, file_name, file_modified, idea_updated_at FROM sync_files');
+        const records = new Map();
+        (result[0]?.values || []).forEach(([ideaId, fileName, fileModified, ideaUpdatedAt]) => {
+            records.set(ideaId, { file_name: fileName, file_modified: fileModified, idea_updated_at: ideaUpdatedAt });
+        });
+        return records;
+    }
+
+    /**
+     * Record that an idea and its file are in step
+     */
+    setSyncRecord(ideaId, fileName, fileModified, ideaUpdatedAt) {
+        this.db.run(`
+            INSERT INTO sync_files (idea_id, file_name, file_modified, idea_updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(idea_id) DO UPDATE SET file_name = excluded.file_name,
+                file_modified = excluded.file_modified, idea_updated_at = excluded.idea_updated_at
+        `, [ideaId, fileName, fileModified, ideaUpdatedAt]);
+        this.save();
+    }
+
+    /**
+     * Forget the sync state of one idea, or of every idea when the folder is disconnected
+     * @param {string|null} ideaId
+     */
+    clearSyncRecords(ideaId = null) {
+        if (ideaId) {
+            this.db.run('DELETE FROM sync_files WHERE idea_id = ?', [ideaId]);
+        } else {
+            this.db.run('DELETE FROM sync_files');
+        }
+        this.save();
+    }
+
+    /**
+     * Get the sync server this library is connected to
+     * storage_key is the library that connected; a duplicated library has the original's.
+     * @returns {{url: string, library: string, token: string, storage_key: string}|null}
+     */
+    getSyncServer() {
+        const setting = this.getSetting('sync_server');
+        try {
+            return setting ? JSON.parse(setting) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Start logging changes for a sync server
+     * Every idea already in the library is logged as created, so the server receives
+     * the whole library on the first sync. Each connection gets a new device id.
+     * @param {{url: string, library: string, token: string}} server
+     */
+    startChangeLog(server) {
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            this.db.run("INSERT OR REPLACE INTO settings (key, value) VALUES ('sync_device_id', ?)", [this.generateUUID()]);
+            this.db.run("INSERT OR IGNORE INTO settings (key, value) VALUES ('sync_clock', '0')");
+            this.db.run(
+                "INSERT OR REPLACE INTO settings (key, value) VALUES ('sync_server', ?)",
+                [JSON.stringify({ ...server, storage_key: this.storageKey })]
+            );
+            this.db.run("INSERT OR REPLACE INTO settings (key, value) VALUES ('sync_cursor', '0')");
+            this.db.run('DELETE FROM change_log');
+            this.db.run('DELETE FROM field_clocks');
+
+            this.db.run("UPDATE settings SET value = CAST(value AS INTEGER) + 1 WHERE key = 'sync_clock'");
+            this.db.run(`
+                INSERT INTO change_log (op_id, device_id, clock, idea_id, op, fields, created_at)
+                SELECT lower(hex(randomblob(16))), ${SYNC_DEVICE}, ${SYNC_CLOCK}, id, 'create', ${syncRow('ideas')}, ${SYNC_NOW}
+                FROM ideas ORDER BY created_at
+            `);
+            this.db.run(`
+                INSERT INTO field_clocks (idea_id, field, clock, device_id)
+                SELECT ideas.id, fields.field, ${SYNC_CLOCK}, ${SYNC_DEVICE}
+                FROM ideas, (${SYNC_FIELDS.map(f => `SELECT '${f}' AS field`).join(' UNION ALL ')}) AS fields
+            `);
+            this.db.run("INSERT OR REPLACE INTO settings (key, value) VALUES ('sync_logging', '1')");
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.save();
+    }
+
+    /**
+     * Stop logging changes and forget the sync server
+     * The clock is kept, so changes made after reconnecting still come after
+     * everything this device sent before.
+     */
+    stopChangeLog() {
+        this.db.run("DELETE FROM settings WHERE key IN ('sync_server', 'sync_cursor', 'sync_logging')");
+        this.db.run('DELETE FROM change_log');
+        this.db.run('DELETE FROM field_clocks');
+        this.save();
+    }
+
+    /**
+     * Get logged changes the server doesn't have yet, oldest first
+     * @param {number} limit
+     * @param {Array<string>} skipIdeaIds - Ideas whose changes are left out
+     * @returns {Array<Object>} Changes in the sync protocol format (see sync.js)
+     */
+    getPendingChanges(limit, skipIdeaIds = []) {
+        const stmt = this.db.prepare(`
+            SELECT op_id, device_id, clock, idea_id, op, fields, base, created_at
+            FROM change_log WHERE idea_id NOT IN (${skipIdeaIds.map(() => '?').join(', ')})
+            ORDER BY seq LIMIT ?
+        `);
+        stmt.bind([...skipIdeaIds, limit]);
+
+        const changes = [];
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            changes.push({
+                ...row,
+                fields: this.parseRow(JSON.parse(row.fields)),
+                base: row.base ? this.parseRow(JSON.parse(row.base)) : null
+            });
+        }
+
+        stmt.free();
+        return changes;
+    }
+
+    /**
+     * Count the logged changes the server doesn't have yet
+     */
+    countPendingChanges() {
+        const result = this.db.exec('SELECT COUNT(*) FROM change_log');
+        return result[0].values[0][0];
+    }
+
+    /**
+     * Drop a change in favour of the next one waiting for the same idea
+     * The later change takes over its base, so it still says what the server last had.
+     * @param {string} opId
+     * @returns {boolean} false when no later change to the idea is waiting
+     */
+    supersedeChange(opId) {
+        const result = this.db.exec(`
+            SELECT later.seq, dropped.base FROM change_log AS dropped
+            JOIN change_log AS later ON later.idea_id = dropped.idea_id AND later.seq > dropped.seq
+            WHERE dropped.op_id = ?
+            ORDER BY later.seq
+            LIMIT 1
+        `, [opId]);
+        if (result.length === 0) return false;
+
+        const [seq, base] = result[0].values[0];
+        this.db.run('UPDATE change_log SET base = ? WHERE seq = ?', [base, seq]);
+        this.db.run('DELETE FROM change_log WHERE op_id = ?', [opId]);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Drop changes the server has stored
+     * @param {Array<string>} opIds
+     */
+    removePendingChanges(opIds) {
+        if (opIds.length === 0) return;
+        this.db.run(`DELETE FROM change_log WHERE op_id IN (${opIds.map(() => '?').join(', ')})`, opIds);
+        this.save();
+    }
+
+    /**
+     * Position in the server's log up to which changes have been pulled
+     */
+    getSyncCursor() {
+        return Number(this.getSetting('sync_cursor')) || 0;
+    }
+
+    setSyncCursor(cursor) {
+        this.setSetting('sync_cursor', cursor);
+    }
+
+    /**
+     * Apply changes pulled from the sync server, in the server's order
+     * Each field keeps the value from the change with the highest logical clock (the
+     * device id breaks ties), so every device ends up with the same values whatever
+     * order it saw the changes in. Concurrent edits of a body or of the tags are merged
+     * instead when they touch different lines or tags; the merged value is logged as a
+     * new change so the other devices get it too. Changes from this device are skipped.
+     * @param {Array<Object>} changes
+     * @returns {{applied: number, merged: number}} Changes that altered an idea, and ideas merged
+     */
+    applyRemoteChanges(changes) {
+        const deviceId = this.getSetting('sync_device_id');
+        const result = { applied: 0, merged: 0 };
+        const merges = new Map();  // Idea id -> fields whose value came from a merge
+        let clock = Number(this.getSetting('sync_clock')) || 0;
+
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            // Applying a change is not a change of our own
+            this.db.run("UPDATE settings SET value = '0' WHERE key = 'sync_logging'");
+            changes.forEach(change => {
+                clock = Math.max(clock, change.clock);
+                if (change.device_id !== deviceId && this.applyRemoteChange(change, merges)) {
+                    result.applied++;
+                }
+            });
+            this.db.run("UPDATE settings SET value = ? WHERE key = 'sync_clock'", [String(clock)]);
+            this.db.run("UPDATE settings SET value = '1' WHERE key = 'sync_logging'");
+
+            merges.forEach((fields, id) => this.logMergedFields(id, fields));
+            result.merged = merges.size;
+
+            if (result.applied > 0) {
+                this.rebuildLinks();
+            }
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            console.error('Applying synced changes failed:', error);
+            throw error;
+        }
+
+        this.save();
+        return result;
+    }
+
+    /**
+     * Apply one pulled change; see applyRemoteChanges()
+     * @param {Object} change
+     * @param {Map<string, Set<string>>} merges - Collects fields that were merged
+     * @returns {boolean} Whether the idea changed
+     */
+    applyRemoteChange(change, merges) {
+        const id = change.idea_id;
+        const clocks = this.getFieldClocks(id);
+        const isNewer = local => !local || compareClocks(change, local) > 0;
+
+        // Nothing that happened before an idea was deleted can bring it back
+        if (clocks._deleted && !isNewer(clocks._deleted)) return false;
+        const current = this.getIdea(id);
+
+        if (change.op === 'delete') {
+            // A later edit on this device wins over the delete, as it will on the others
+            if (!current || Object.values(clocks).some(local => !isNewer(local))) return false;
+            this.deleteIdeaRows(id);
+            this.db.run('DELETE FROM field_clocks WHERE idea_id = ?', [id]);
+            this.setFieldClock(id, '_deleted', change);
+            return true;
+        }
+
+        // Every change carries the whole idea, so one for a missing idea recreates it
+        if (!current) {
+            const [idea] = this.normalizeImport({ schema_version: DB_VERSION, ideas: [{ ...change.fields, id }] });
+            this.db.run(`
+                INSERT INTO ideas (id, title, body, tags, next_action, metadata, status, created_at, updated_at, deleted_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [idea.id, idea.title, idea.body, JSON.stringify(idea.tags), idea.next_action,
+                JSON.stringify(idea.metadata), idea.status, idea.created_at, idea.updated_at, idea.deleted_at]);
+            this.recordStatus(id, idea.status, idea.updated_at);
+            this.recordRevision(id, idea.updated_at);
+            this.db.run('DELETE FROM field_clocks WHERE idea_id = ?', [id]);
+            SYNC_FIELDS.forEach(field => this.setFieldClock(id, field, change));
+            return true;
+        }
+
+        const { fields, base } = change;
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+        const updates = {};
+
+        SYNC_FIELDS
+            .filter(field => field in fields && (!base || !(field in base) || !same(fields[field], base[field])))
+            .forEach(field => {
+                const remoteWins = isNewer(clocks[field]);
+                if (remoteWins) {
+                    this.setFieldClock(id, field, change);
+                }
+                if (same(current[field], fields[field])) return;
+
+                // Both devices changed the field since the version this change started from
+                let value = remoteWins ? fields[field] : current[field];
+                if (base && field in base && !same(current[field], base[field])) {
+                    const merged = field === 'body'
+                        ? mergeLines(base.body, current.body, fields.body)
+                        : field === 'tags' ? mergeTagLists(base.tags, current.tags, fields.tags) : null;
+                    if (merged !== null) {
+                        value = merged;
+                        if (!same(merged, fields[field])) {
+                            merges.set(id, (merges.get(id) || new Set()).add(field));
+                        }
+                    }
+                }
+
+                if (!same(value, current[field])) {
+                    updates[field] = value;
+                }
+            });
+
+        if (Object.keys(updates).length === 0) return false;
+
+        const updatedAt = fields.updated_at > current.updated_at ? fields.updated_at : current.updated_at;
+        if ('status' in updates) {
+            this.recordStatus(id, updates.status, updatedAt);
+        }
+        const columns = Object.keys(updates);
+        this.db.run(
+            `UPDATE ideas SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+            [...columns.map(column => column in JSON_COLUMNS ? JSON.stringify(updates[column]) : updates[column]), updatedAt, id]
+        );
+        if (REVISION_FIELDS.some(field => field in updates)) {
+            this.recordRevision(id, updatedAt);
+        }
+        return true;
+    }
+
+    /**
+     * Log the result of merging concurrent edits as a change of this device
+     * Its base leaves out the merged fields, so other devices take them as they are.
+     * @param {string} id - Idea id
+     * @param {Set<string>} fields - Merged fields
+     */
+    logMergedFields(id, fields) {
+        const paths = [...fields].map(field => `'$.${field}'`).join(', ');
+        this.db.run("UPDATE settings SET value = CAST(value AS INTEGER) + 1 WHERE key = 'sync_clock'");
+        this.db.run(`
+            INSERT INTO change_log (op_id, device_id, clock, idea_id, op, fields, base, created_at)
+            SELECT lower(hex(randomblob(16))), ${SYNC_DEVICE}, ${SYNC_CLOCK}, id, 'update',
+                ${syncRow('ideas')}, json_remove(${syncRow('ideas')}, ${paths}), ${SYNC_NOW}
+            FROM ideas WHERE id = ?
+        `, [id]);
+        this.db.run(`
+            UPDATE field_clocks SET clock = ${SYNC_CLOCK}, device_id = ${SYNC_DEVICE}
+            WHERE idea_id = ? AND field IN (${[...fields].map(() => '?').join(', ')})
+        `, [id, ...fields]);
+    }
+
+    /**
+     * Get the clock of the last change to each field of an idea
+     * @returns {Object<string, {clock: number, device_id: string}>} By field; _deleted for a deleted idea
+     */
+    getFieldClocks(id) {
+        const result = this.db.exec('SELECT field, clock, device_id FROM field_clocks WHERE idea_id = ?', [id]);
+        const clocks = {};
+        (result[0]?.values || []).forEach(([field, clock, deviceId]) => {
+            clocks[field] = { clock, device_id: deviceId };
+        });
+        return clocks;
+    }
+
+    setFieldClock(id, field, change) {
+        this.db.run(
+            'INSERT OR REPLACE INTO field_clocks (idea_id, field, clock, device_id) VALUES (?, ?, ?, ?)',
+            [id, field, change.clock, change.device_id]
+        );
+    }
+
+    /**
+     * Export ideas as Markdown files laid out like the repo's ideas/ folder
+     * @param {Array<string>|null} ids - Export only these ideas
+     * @param {Object} options
+     * @param {boolean} options.includeTrashed - Also export ideas in the trash
+     * Attachments go in attachments/<idea id>/<attachment id>/<file name>.
+     * @returns {Array<{name: string, data: string|Uint8Array, modified: Date}>} Files for createZip()
+     */
+    exportToMarkdown(ids = null, options = {}) {
+        const safeName = (value) => String(value).replace(/[^\w.-]+/g, '-');
+        const ideas = this.getIdeasForExport(ids, options);
+
+        const files = ideas.map(idea => ({
+            name: `ideas/${safeName(idea.status)}/${safeName(idea.id)}.md`,
+            data: this.ideaToMarkdown(idea),
+            modified: new Date(idea.updated_at)
+        }));
+        this.getAttachmentsForExport(ideas.map(idea => idea.id)).forEach(attachment => {
+            files.push({
+                name: `attachments/${safeName(attachment.idea_id)}/${safeName(attachment.id)}/${safeName(attachment.filename)}`,
+                data: attachment.data,
+                modified: new Date(attachment.created_at)
+            });
+        });
+        return files;
+    }
+
+    /**
+     * Build backup data from Markdown files so they can go through previewImport()
+     * Hidden files such as .idea-template.md are ignored. When a file's modification
+     * time is given and is later than its frontmatter's updated date, it is used as
+     * updated_at, so an edit that didn't touch the frontmatter still counts as newer.
+     * Files with data instead of text are attachments laid out as by exportToMarkdown().
+     * @param {Array<{name: string, text?: string, data?: Uint8Array, modified?: number}>} files
+     * @returns {Object} Data in exportToJSON() format
+     */
+    parseMarkdownFiles(files) {
+        const attachments = files
+            .filter(file => file.data && ATTACHMENT_PATH.test(file.name))
+            .map(file => {
+                const [, ideaId, id, filename] = file.name.match(ATTACHMENT_PATH);
+                const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+                return {
+                    id,
+                    idea_id: ideaId,
+                    filename,
+                    mime_type: ATTACHMENT_TYPES[extension] || 'application/octet-stream',
+                    data: file.data,
+                    created_at: file.modified ? new Date(file.modified).toISOString() : null
+                };
+            });
+
+        const ideas = files
+            .filter(file => typeof file.text === 'string' && /\.md$/i.test(file.name))
+            .filter(file => !file.name.split('/').some(part => part.startsWith('.')))
+            .map(file => {
+                const idea = this.markdownToIdea(file.text, file.name);
+                const modified = file.modified ? new Date(file.modified).toISOString() : null;
+                if (modified && (!idea.updated_at || modified > idea.updated_at)) {
+                    idea.updated_at = modified;
+                }
+                return idea;
+            });
+
+        return {
+            schema_version: DB_VERSION,
+            exported_at: new Date().toISOString(),
+            ideas,
+            attachments
+        };
+    }
+
+    /**
+     * Get all unique tags from all ideas
+     */
+    getAllTags({ includeTrashed = false } = {}) {
+        return this.getTagCounts({ includeTrashed }).map(tag => tag.name);
+    }
+
+    /**
+     * Get every tag with the number of ideas using it, sorted by name
+     * @returns {Array<{name: string, count: number}>}
+     */
+    getTagCounts({ includeTrashed = false } = {}) {
+        const result = this.db.exec(`
+            SELECT tags.name, COUNT(*) AS count FROM tags
+            JOIN idea_tags ON idea_tags.tag_id = tags.id
+            JOIN ideas ON ideas.id = idea_tags.idea_id
+            ${includeTrashed ? '' : 'WHERE ideas.deleted_at IS NULL'}
+            GROUP BY tags.id
+            ORDER BY tags.name COLLATE NOCASE
+        `);
+        if (result.length === 0) return [];
+
+        return result[0].values.map(([name, count]) => ({ name, count }));
+    }
+
+    /**
+     * Get the tag hierarchy with the number of ideas under each path
+     * A parent's count includes ideas tagged with any of its descendants.
+     * @returns {Array<{name: string, path: string, count: number, children: Array}>}
+     */
+    getTagTree({ includeTrashed = false } = {}) {
+        const result = this.db.exec(`
+            SELECT tags.name, idea_tags.idea_id FROM tags
+            JOIN idea_tags ON idea_tags.tag_id = tags.id
+            JOIN ideas ON ideas.id = idea_tags.idea_id
+            ${includeTrashed ? '' : 'WHERE ideas.deleted_at IS NULL'}
+        `);
+        if (result.length === 0) return [];
+
+        return buildTagTree(result[0].values.map(([name, ideaId]) => ({ name, ideaId })));
+    }
+
+    /**
+     * Rename a tag on every idea
+     * Renaming to a tag that already exists merges the two.
+     * @returns {number} Number of ideas changed
+     */
+    renameTag(oldName, newName) {
+        return this.mergeTags([oldName], newName);
+    }
+
+    /**
+     * Replace several tags with one on every idea, in a single transaction
+     * @param {Array<string>} sourceNames - Tags to merge away
+     * @param {string} targetName - Tag they become
+     * @returns {number} Number of ideas changed
+     */
+    mergeTags(sourceNames, targetName) {
+        const target = normalizeTag(targetName);
+        if (!target) {
+            throw new Error('Tag name cannot be empty.');
+        }
+
+        return this.rewriteTags(sourceNames, (tags) => {
+            const merged = tags.map(tag => sourceNames.includes(tag) ? target : tag);
+            return [...new Set(merged)];
+        });
+    }
+
+    /**
+     * Remove a tag from every idea, in a single transaction
+     * @returns {number} Number of ideas changed
+     */
+    deleteTag(name) {
+        return this.rewriteTags([name], (tags) => tags.filter(tag => tag !== name));
+    }
+
+    /**
+     * Apply a change to the tags of every idea (trashed ones included) that uses
+     * any of the given tags. Each changed idea gets a new revision.
+     * @param {Array<string>} names - Tags whose ideas are affected
+     * @param {Function} transform - Maps an idea's tag array to its new tag array
+     * @returns {number} Number of ideas changed
+     */
+    rewriteTags(names, transform) {
+        const placeholders = names.map(() => '?').join(', ');
+        const result = this.db.exec(`
+            SELECT DISTINCT ideas.id, ideas.tags FROM ideas
+            JOIN idea_tags ON idea_tags.idea_id = ideas.id
+            JOIN tags ON tags.id = idea_tags.tag_id
+            WHERE tags.name IN (${placeholders})
+        `, names);
+        if (result.length === 0) return 0;
+
+        const now = new Date().toISOString();
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            result[0].values.forEach(([id, tagsJson]) => {
+                const tags = transform(JSON.parse(tagsJson));
+                this.db.run('UPDATE ideas SET tags = ?, updated_at = ? WHERE id = ?', [JSON.stringify(tags), now, id]);
+                this.recordRevision(id, now);
+            });
+
+            // Drop tags no idea uses any more
+            this.db.run('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM idea_tags)');
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.save();
+        return result[0].values.length;
+    }
+
+    /**
+     * Generate UUID v4
+     */
+    generateUUID() {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            const r = Math.random() * 16 | 0;
+            const v = c === 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
     }
 
     /**
-     * Clear all data (for testing/reset)
+     * Move every idea to the trash (for testing/reset)
+     * Use purgeTrash() afterwards to delete them permanently.
      */
     clearAll() {
-        this.db.run('DELETE FROM ideas');
+        this.db.run('UPDATE ideas SET deleted_at = ? WHERE deleted_at IS NULL', [new Date().toISOString()]);
         this.save();
     }
 }
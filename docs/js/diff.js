@@ -0,0 +1,142 @@
+/**
+ * Line Diff
+ * Compares two texts line by line using a longest-common-subsequence table.
+ * Idea bodies are short, so the quadratic table is fine; the common prefix and
+ * suffix are trimmed first to keep it small for typical edits. The same diff drives a
+ * three-way merge for edits of one body made on two devices.
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Lines in display order
+ */
+export function diffLines(oldText, newText) {
+    const oldLines = (oldText || '').replace(/\r\n?/g, '\n').split('\n');
+    const newLines = (newText || '').replace(/\r\n?/g, '\n').split('\n');
+
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+
+    // lengths[i][j] = length of the LCS of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const changes = oldLines.slice(0, start).map(text => ({ type: 'same', text }));
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            changes.push({ type: 'removed', text: a[i++] });
+        } else {
+            changes.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) changes.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) changes.push({ type: 'added', text: b[j++] });
+
+    oldLines.slice(oldEnd).forEach(text => changes.push({ type: 'same', text }));
+    return changes;
+}
+
+/**
+ * Group a diff into the runs of lines it replaces in the old text
+ * @returns {Array<{start: number, end: number, lines: Array<string>}>} Old lines start..end-1 become lines
+ */
+function toHunks(changes) {
+    const hunks = [];
+    let hunk = null;
+    let index = 0;
+
+    for (const change of changes) {
+        if (change.type === 'same') {
+            if (hunk) hunks.push(hunk);
+            hunk = null;
+            index++;
+            continue;
+        }
+
+        hunk = hunk || { start: index, end: index, lines: [] };
+        if (change.type === 'removed') {
+            hunk.end++;
+            index++;
+        } else {
+            hunk.lines.push(change.text);
+        }
+    }
+    if (hunk) hunks.push(hunk);
+    return hunks;
+}
+
+/**
+ * Merge two edits of the same text line by line
+ * Changes to different lines are combined. When both sides changed the same lines
+ * differently, or inserted different lines at the same place, there is no merge.
+ * @param {string} baseText - The version both edits started from
+ * @param {string} oursText
+ * @param {string} theirsText
+ * @returns {string|null} The merged text, or null when the edits overlap
+ */
+export function mergeLines(baseText, oursText, theirsText) {
+    if (oursText === theirsText || baseText === theirsText) return oursText;
+    if (baseText === oursText) return theirsText;
+
+    const base = (baseText || '').replace(/\r\n?/g, '\n').split('\n');
+    const ours = toHunks(diffLines(baseText, oursText));
+    const theirs = toHunks(diffLines(baseText, theirsText));
+    const merged = [];
+    let position = 0;
+    let i = 0;
+    let j = 0;
+
+    while (i < ours.length || j < theirs.length) {
+        const a = ours[i];
+        const b = theirs[j];
+        let next;
+
+        if (a && b && (a.start === b.start || (a.start < b.end && b.start < a.end))) {
+            const same = a.start === b.start && a.end === b.end && a.lines.join('\n') === b.lines.join('\n');
+            if (!same) return null;
+            next = a;
+            i++;
+            j++;
+        } else if (!b || (a && a.start < b.start)) {
+            next = a;
+            i++;
+        } else {
+            next = b;
+            j++;
+        }
+
+        merged.push(...base.slice(position, next.start), ...next.lines);
+        position = next.end;
+    }
+
+    merged.push(...base.slice(position));
+    return merged.join('\n');
+}
@@ -0,0 +1,422 @@
+/**
+ * Folder Sync
+ * Mirrors a library to a folder of Markdown files through the File System Access API.
+ * Each idea is written to <id>.md with the frontmatter of .idea-template.md, so the
+ * folder can be the repo's ideas/captured/ and be edited in any text editor.
+ *
+ * Every sync compares each file's modification time, and each idea's updated_at, with
+ * what they were at the last sync (the sync_files table). Whichever side moved is copied
+ * to the other; when both did, the idea is left alone and reported as a conflict until
+ * the user picks a version. Deleting a file moves its idea to the trash, and trashing an
+ * idea deletes its file.
+ */
+
+const SYNC_DELAY_MS = 1000;  // Changes in the app are written out after this pause
+const POLL_INTERVAL_MS = 30000;  // How often the folder is checked for outside edits
+
+/**
+ * Check whether this browser can keep a folder in sync
+ */
+export function isFolderSyncSupported() {
+    return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * File name an idea is mirrored to
+ */
+export function getSyncFileName(id) {
+    return `${String(id).replace(/[^\w.-]+/g, '-')}.md`;
+}
+
+/**
+ * Markdown files directly in the folder take part in sync; hidden files such as
+ * .idea-template.md and files in subfolders don't
+ */
+function isSyncedFile(name) {
+    return /^[^./][^/]*\.md$/i.test(name);
+}
+
+/**
+ * Check whether an idea parsed from a file says the same as the library's copy
+ * Formatting differences in the file don't count.
+ */
+function hasSameContent(idea, parsed) {
+    return idea.title === parsed.title &&
+        idea.body.trimEnd() === parsed.body.trimEnd() &&
+        JSON.stringify(idea.tags) === JSON.stringify(parsed.tags) &&
+        idea.status === parsed.status &&
+        (idea.next_action || null) === (parsed.next_action || null);
+}
+
+/**
+ * Keeps one library and one folder in step
+ * States: 'off' (no folder), 'paused' (the browser needs permission again, which
+ * requires a click) and 'on'.
+ */
+export class FolderSync {
+    /**
+     * @param {IdeaDatabase} database - The open library
+     */
+    constructor(database) {
+        this.db = database;
+        this.folder = null;  // FileSystemDirectoryHandle
+        this.state = 'off';
+        this.conflicts = [];  // Ideas changed on both sides, see compare()
+        this.lastSyncedAt = null;
+        this.lastResult = null;  // Counts from the last sync
+        this.lastError = null;
+        this.running = null;  // Promise of the sync in progress
+        this.rerun = false;  // Something changed while a sync was running
+        this.syncTimer = null;
+        this.pollTimer = null;
+        this.onStatusChange = null;  // Callback() after each sync and state change
+    }
+
+    /**
+     * Reconnect to the folder chosen in an earlier session
+     */
+    async restore() {
+        const handle = await this.db.storage.loadHandle(this.db.storageKey);
+        if (!handle) return;
+
+        this.folder = handle;
+        const permission = await handle.queryPermission({ mode: 'readwrite' });
+        this.setState(permission === 'granted' ? 'on' : 'paused');
+        await this.sync();
+    }
+
+    /**
+     * Ask the user for a folder and sync with it
+     * Must be called from a click. Picking a different folder starts over, so nothing is
+     * deleted because it was missing from the new folder.
+     * @throws {DOMException} AbortError when the picker is cancelled
+     */
+    async connect() {
+        const handle = await window.showDirectoryPicker({ id: 'idea-library-sync', mode: 'readwrite' });
+        if (!this.folder || !(await this.folder.isSameEntry(handle))) {
+            this.db.clearSyncRecords();
+            this.conflicts = [];
+        }
+
+        this.folder = handle;
+        await this.db.storage.saveHandle(this.db.storageKey, handle);
+        this.setState('on');
+        return this.sync();
+    }
+
+    /**
+     * Ask again for access to the folder after a restart
+     * Must be called from a click.
+     * @returns {Promise<boolean>} Whether access was granted
+     */
+    async resume() {
+        if (await this.folder.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+            return false;
+        }
+        this.setState('on');
+        await this.sync();
+        return true;
+    }
+
+    /**
+     * Stop syncing; the files in the folder are kept
+     */
+    async disconnect() {
+        this.setState('off');
+        this.folder = null;
+        this.conflicts = [];
+        this.lastSyncedAt = null;
+        this.lastResult = null;
+        this.lastError = null;
+        await this.db.storage.removeHandle(this.db.storageKey);
+        this.db.clearSyncRecords();
+        this.notify();
+    }
+
+    /**
+     * Switch state, polling the folder only while syncing
+     */
+    setState(state) {
+        this.state = state;
+        clearInterval(this.pollTimer);
+        this.pollTimer = state === 'on' ? setInterval(() => this.sync(), POLL_INTERVAL_MS) : null;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onStatusChange) this.onStatusChange();
+    }
+
+    /**
+     * Sync shortly, coalescing changes made in quick succession
+     */
+    scheduleSync() {
+        if (this.state !== 'on') return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.sync(), SYNC_DELAY_MS);
+    }
+
+    /**
+     * Sync now
+     * A request while a sync is running makes it run once more when it finishes.
+     * @returns {Promise<void>}
+     */
+    sync() {
+        if (this.state !== 'on') return Promise.resolve();
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        clearTimeout(this.syncTimer);
+        this.running = (async () => {
+            do {
+                this.rerun = false;
+                await this.syncOnce();
+            } while (this.rerun && this.state === 'on');
+        })().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    /**
+     * Run one sync, recording the outcome for the status display
+     */
+    async syncOnce() {
+        try {
+            this.lastResult = await this.compare();
+            this.lastSyncedAt = new Date();
+            this.lastError = null;
+        } catch (error) {
+            if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+                // Access was revoked; a click is needed to ask for it again
+                this.setState('paused');
+            } else {
+                console.error('Folder sync failed:', error);
+                this.lastError = error;
+            }
+        }
+        this.notify();
+    }
+
+    /**
+     * Compare the library with the folder and copy whatever changed
+     * @returns {Promise<{toFolder: number, fromFolder: number, removed: number, trashed: number, errors: Array<string>}>}
+     */
+    async compare() {
+        const result = { toFolder: 0, fromFolder: 0, removed: 0, trashed: 0, errors: [] };
+        const records = this.db.getSyncRecords();
+        const ideas = new Map(this.db.getIdeasForExport(null, { includeTrashed: true }).map(idea => [idea.id, idea]));
+        const files = await this.readFolder();
+
+        // Pair files with ideas: known files by the last sync, others by their frontmatter id
+        const fileFor = new Map();
+        const known = new Set();
+        records.forEach((record, id) => {
+            if (files.has(record.file_name)) {
+                fileFor.set(id, files.get(record.file_name));
+                known.add(record.file_name);
+            }
+        });
+        for (const [name, entry] of files) {
+            if (known.has(name)) continue;
+            entry.text = await entry.file.text();
+            const { id } = this.db.markdownToIdea(entry.text, name);
+            if (!fileFor.has(id)) fileFor.set(id, entry);
+        }
+
+        const conflicts = [];
+        const ids = new Set([...ideas.keys(), ...records.keys(), ...fileFor.keys()]);
+        for (const id of ids) {
+            const idea = ideas.get(id);
+            const live = idea && !idea.deleted_at ? idea : null;
+            const entry = fileFor.get(id) || null;
+            const record = records.get(id) || null;
+            const appChanged = !!live && (!record || live.updated_at !== record.idea_updated_at);
+            const folderChanged = !!entry && (!record || entry.file.lastModified !== record.file_modified);
+
+            try {
+                if (live && entry) {
+                    if (appChanged && folderChanged) {
+                        entry.text ??= await entry.file.text();
+                        if (hasSameContent(live, this.db.markdownToIdea(entry.text, entry.name))) {
+                            this.db.setSyncRecord(id, entry.name, entry.file.lastModified, live.updated_at);
+                        } else {
+                            conflicts.push(this.describeConflict('changed', id, live, entry));
+                        }
+                    } else if (appChanged) {
+                        await this.writeIdea(live, entry.name);
+                        result.toFolder++;
+                    } else if (folderChanged) {
+                        await this.readIdea(entry);
+                        result.fromFolder++;
+                    }
+                } else if (live) {
+                    if (!record) {
+                        await this.writeIdea(live);
+                        result.toFolder++;
+                    } else if (appChanged) {
+                        conflicts.push(this.describeConflict('deleted-in-folder', id, live, null, record.file_name));
+                    } else {
+                        // The file was deleted outside the app
+                        this.db.deleteIdea(id);
+                        this.db.clearSyncRecords(id);
+                        result.trashed++;
+                    }
+                } else if (entry) {
+                    if (record && !folderChanged) {
+                        // The idea was trashed or deleted in the app
+                        await this.folder.removeEntry(entry.name);
+                        this.db.clearSyncRecords(id);
+                        result.removed++;
+                    } else if (record || idea) {
+                        entry.text ??= await entry.file.text();
+                        conflicts.push(this.describeConflict('deleted-in-app', id, idea, entry));
+                    } else {
+                        await this.readIdea(entry);
+                        result.fromFolder++;
+                    }
+                } else if (record) {
+                    this.db.clearSyncRecords(id);
+                }
+            } catch (error) {
+                if (error.name === 'NotAllowedError' || error.name === 'SecurityError') throw error;
+                console.error(`Failed to sync ${id}:`, error);
+                result.errors.push(`${entry ? entry.name : getSyncFileName(id)}: ${error.message}`);
+            }
+        }
+
+        this.conflicts = conflicts;
+        return result;
+    }
+
+    /**
+     * List the Markdown files in the folder
+     * @returns {Promise<Map<string, {name: string, handle: FileSystemFileHandle, file: File, text?: string}>>} By file name
+     */
+    async readFolder() {
+        const files = new Map();
+        for await (const [name, handle] of this.folder.entries()) {
+            if (handle.kind === 'file' && isSyncedFile(name)) {
+                files.set(name, { name, handle, file: await handle.getFile() });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Write an idea to its file and remember both versions as in step
+     */
+    async writeIdea(idea, fileName = getSyncFileName(idea.id)) {
+        const handle = await this.folder.getFileHandle(fileName, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(this.db.ideaToMarkdown(idea));
+        await writable.close();
+
+        const file = await handle.getFile();
+        this.db.setSyncRecord(idea.id, fileName, file.lastModified, idea.updated_at);
+    }
+
+    /**
+     * Save a file's contents to the library and remember both versions as in step
+     * The file itself is left as the user wrote it.
+     */
+    async readIdea(entry) {
+        const text = entry.text ?? await entry.file.text();
+        const idea = this.db.saveIdeaFromMarkdown(text, entry.name);
+        this.db.setSyncRecord(idea.id, entry.name, entry.file.lastModified, idea.updated_at);
+    }
+
+    /**
+     * Describe a conflict with both versions as Markdown, for comparing
+     * @param {string} kind - 'changed', 'deleted-in-folder' or 'deleted-in-app'
+     */
+    describeConflict(kind, id, idea, entry, fileName = entry.name) {
+        const parsed = entry ? this.db.markdownToIdea(entry.text, entry.name) : null;
+        return {
+            id,
+            kind,
+            fileName,
+            title: idea ? idea.title : parsed.title,
+            appText: idea && !idea.deleted_at ? this.db.ideaToMarkdown(idea) : '',
+            folderText: entry ? entry.text : ''
+        };
+    }
+
+    /**
+     * Settle a conflict by keeping one side
+     * @param {string} id - Idea id
+     * @param {'app'|'folder'} keep - Which version wins; the other is overwritten
+     */
+    async resolveConflict(id, keep) {
+        const conflict = this.conflicts.find(c => c.id === id);
+        if (!conflict || this.state !== 'on') return;
+        if (this.running) await this.running;
+
+        const idea = this.db.getIdea(id);
+        const live = idea && !idea.deleted_at ? idea : null;
+        let handle = null;
+        try {
+            handle = await this.folder.getFileHandle(conflict.fileName);
+        } catch (error) {
+            if (error.name !== 'NotFoundError') throw error;
+        }
+
+        if (keep === 'app') {
+            if (live) {
+                await this.writeIdea(live, conflict.fileName);
+            } else if (handle) {
+                await this.folder.removeEntry(conflict.fileName);
+                this.db.clearSyncRecords(id);
+            }
+        } else if (handle) {
+            await this.readIdea({ name: conflict.fileName, handle, file: await handle.getFile() });
+        } else if (live) {
+            this.db.deleteIdea(id);
+            this.db.clearSyncRecords(id);
+        }
+
+        this.conflicts = this.conflicts.filter(c => c.id !== id);
+        this.notify();
+    }
+}
+
+/**
+ * Files for a ZIP laid out like a synced folder
+ * The fallback for browsers without folder access: unpack it over the folder.
+ * @returns {Array<{name: string, data: string, modified: Date}>} Files for createZip()
+ */
+export function buildFolderFiles(database) {
+    return database.getIdeasForExport(null).map(idea => ({
+        name: getSyncFileName(idea.id),
+        data: database.ideaToMarkdown(idea),
+        modified: new Date(idea.updated_at)
+    }));
+}
+
+/**
+ * Read the changes in a folder chosen with a folder input, as import data
+ * The fallback for browsers without folder access. A file edited after its idea was
+ * last saved counts as newer even if its frontmatter still has the old date; files that
+ * say the same as the library are left out. Conflicts show up in the import preview.
+ * @param {Array<File>} files
+ * @returns {Promise<Object>} Data in exportToJSON() format
+ */
+export async function readFolderChanges(database, files) {
+    const markdownFiles = [];
+    for (const file of files) {
+        // webkitRelativePath starts with the chosen folder's own name
+        const name = file.webkitRelativePath ? file.webkitRelativePath.replace(/^[^/]*\//, '') : file.name;
+        if (isSyncedFile(name)) {
+            markdownFiles.push({ name, text: await file.text(), modified: file.lastModified });
+        }
+    }
+
+    const data = database.parseMarkdownFiles(markdownFiles);
+    data.ideas = data.ideas.filter(parsed => {
+        const idea = database.getIdea(parsed.id);
+        return !idea || idea.deleted_at || !hasSameContent(idea, parsed);
+    });
+    return data;
+}
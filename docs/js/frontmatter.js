@@ -0,0 +1,182 @@
+/**
+ * YAML Frontmatter
+ * Reads and writes the small subset of YAML used by idea files:
+ * scalars, quoted strings, inline lists ([a, b]), block lists (- a) and comments.
+ * Values are returned as strings, arrays, booleans or null - never numbers,
+ * so ids and dates like 2026-01-01 keep their exact text.
+ */
+
+const FENCE = '---';
+const RESERVED_WORDS = ['true', 'false', 'null', '~', 'yes', 'no', 'on', 'off'];
+
+/**
+ * Split a frontmatter document into data and body
+ * @param {string} text - File contents
+ * @returns {{data: Object, body: string}} Parsed fields and the Markdown after the closing fence
+ */
+export function parseFrontmatter(text) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const lines = normalized.split('\n');
+
+    if (lines[0].trim() !== FENCE) {
+        return { data: {}, body: normalized };
+    }
+
+    const closing = lines.findIndex((line, i) => i > 0 && line.trim() === FENCE);
+    if (closing < 0) {
+        return { data: {}, body: normalized };
+    }
+
+    const data = {};
+    let listKey = null;  // Key whose block list items are being collected
+
+    lines.slice(1, closing).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey] = data[listKey] || [];
+            data[listKey].push(parseScalar(item[1]));
+            return;
+        }
+
+        const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (!field) return;
+
+        const [, key, rawValue] = field;
+        data[key] = parseValue(rawValue);
+
+        // "key:" with nothing after it may introduce a block list on the following lines
+        listKey = data[key] === null ? key : null;
+    });
+
+    return { data, body: lines.slice(closing + 1).join('\n').replace(/^\n/, '') };
+}
+
+/**
+ * Parse a value: inline list or scalar
+ */
+function parseValue(raw) {
+    const value = stripComment(raw).trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return splitFlowList(value.slice(1, -1)).map(parseScalar);
+    }
+    return parseScalar(value);
+}
+
+/**
+ * Parse a scalar: quoted string, boolean, null or plain text
+ */
+function parseScalar(raw) {
+    const value = stripComment(raw).trim();
+
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    return value;
+}
+
+/**
+ * Remove a trailing "# comment" that is outside quotes
+ */
+function stripComment(raw) {
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+        const ch = raw[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+            return raw.slice(0, i);
+        }
+    }
+    return raw;
+}
+
+/**
+ * Split the inside of [a, "b, c", d] on commas outside quotes
+ */
+function splitFlowList(inner) {
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < inner.length; i++) {
+        const ch = inner[i];
+        if (quote) {
+            current += ch;
+            if (ch === '\\' && quote === '"') current += inner[++i] ?? '';
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            current += ch;
+        } else if (ch === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    items.push(current);
+
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a string must be quoted to survive a YAML round trip
+ */
+function needsQuotes(value) {
+    return value === '' ||
+        value !== value.trim() ||
+        /[\n"]/.test(value) ||
+        /^[-?:,[\]{}#&*!|>'%@`]/.test(value) ||
+        /:\s|\s#|[,[\]{}]/.test(value) ||
+        RESERVED_WORDS.includes(value.toLowerCase()) ||
+        /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value);
+}
+
+/**
+ * Format a single value for output
+ * @param {*} value
+ * @param {boolean} forceQuotes - Always quote strings (used for titles, as in .idea-template.md)
+ */
+function formatValue(value, forceQuotes = false) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    if (Array.isArray(value)) {
+        return `[${value.map(item => formatValue(item)).join(', ')}]`;
+    }
+
+    const text = String(value);
+    return forceQuotes || needsQuotes(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Build a frontmatter document
+ * @param {Object} data - Fields in the order they should be written
+ * @param {string} body - Markdown body
+ * @param {Array<string>} quotedKeys - Keys whose string values are always quoted
+ * @returns {string} File contents
+ */
+export function stringifyFrontmatter(data, body, quotedKeys = []) {
+    const lines = Object.entries(data).map(([key, value]) => {
+        const formatted = formatValue(value, quotedKeys.includes(key));
+        return formatted ? `${key}: ${formatted}` : `${key}:`;
+    });
+
+    return `${FENCE}\n${lines.join('\n')}\n${FENCE}\n\n${body.replace(/\s+$/, '')}\n`;
+}
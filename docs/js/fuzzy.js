@@ -0,0 +1,125 @@
+/**
+ * Fuzzy Matching
+ * Scores how well a short query matches a piece of text, for the command palette.
+ * Every character of the query has to appear in the text, in order; matches that are
+ * contiguous, start a word or start the text score higher, and shorter texts win ties.
+ *   fuzzyMatch('nwi', 'New idea')  -> { score, positions: [0, 2, 4] }
+ *   fuzzyMatch('xyz', 'New idea')  -> null
+ */
+
+const WORD_START_BONUS = 8;
+const CONTIGUOUS_BONUS = 5;
+const PREFIX_BONUS = 10;
+const SUBSTRING_BONUS = 15;
+
+/**
+ * Check whether a text position starts a word
+ */
+function isWordStart(text, index) {
+    if (index === 0) return true;
+    const previous = text[index - 1];
+    return !/[\p{L}\p{N}]/u.test(previous) ||
+        (previous === previous.toLowerCase() && text[index] !== text[index].toLowerCase());
+}
+
+/**
+ * Score a set of matched positions
+ */
+function scorePositions(text, positions) {
+    let score = 0;
+    positions.forEach((position, i) => {
+        score += 1;
+        if (isWordStart(text, position)) score += WORD_START_BONUS;
+        if (i > 0 && positions[i - 1] === position - 1) score += CONTIGUOUS_BONUS;
+    });
+    if (positions[0] === 0) score += PREFIX_BONUS;
+    return score - text.length * 0.1;
+}
+
+/**
+ * Match a query against a text, ignoring case
+ * A query found as one piece is preferred (at a word start when it can be); otherwise
+ * each character takes the first place after the previous one, jumping ahead to a
+ * word start when the rest of the query still fits after it.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, positions: Array<number>}|null} Indices of the matched
+ *   characters in text, or null when the text doesn't contain the query
+ */
+export function fuzzyMatch(query, text) {
+    const needle = query.trim().toLowerCase();
+    const haystack = text.toLowerCase();
+    if (!needle) return { score: 0, positions: [] };
+    // Lowercasing keeps positions aligned only when it keeps the length (it nearly always does)
+    if (haystack.length !== text.length) return null;
+
+    // Contiguous match, preferring one that starts a word
+    let start = -1;
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+        if (start === -1) start = index;
+        if (isWordStart(text, index)) {
+            start = index;
+            break;
+        }
+    }
+    if (start !== -1) {
+        const positions = Array.from({ length: needle.length }, (_, i) => start + i);
+        return { score: scorePositions(text, positions) + SUBSTRING_BONUS, positions };
+    }
+
+    // Scattered match
+    const positions = [];
+    let from = 0;
+    for (let i = 0; i < needle.length; i++) {
+        let index = haystack.indexOf(needle[i], from);
+        if (index === -1) return null;
+
+        // A later word start for the same character reads better (e.g. "ni" in "New idea")
+        for (let next = index; next !== -1; next = haystack.indexOf(needle[i], next + 1)) {
+            if (isWordStart(text, next)) {
+                if (fitsAfter(haystack, needle, i + 1, next + 1)) index = next;
+                break;
+            }
+        }
+        positions.push(index);
+        from = index + 1;
+    }
+    return { score: scorePositions(text, positions), positions };
+}
+
+/**
+ * Check whether the query from character i on still matches the text from a position
+ */
+function fitsAfter(haystack, needle, i, from) {
+    for (; i < needle.length; i++) {
+        from = haystack.indexOf(needle[i], from);
+        if (from === -1) return false;
+        from++;
+    }
+    return true;
+}
+
+/**
+ * Wrap the matched characters of a text in <mark>, escaping the rest
+ * @param {string} text
+ * @param {Array<number>} positions - From fuzzyMatch()
+ * @param {Function} escape - HTML escaping function
+ * @returns {string} HTML
+ */
+export function highlightMatch(text, positions, escape) {
+    const matched = new Set(positions);
+    let html = '';
+    let run = '';
+    let inMark = false;
+
+    for (let i = 0; i <= text.length; i++) {
+        const isMatch = i < text.length && matched.has(i);
+        if (i === text.length || isMatch !== inMark) {
+            if (run) html += inMark ? `<mark>${escape(run)}</mark>` : escape(run);
+            run = '';
+            inMark = isMatch;
+        }
+        if (i < text.length) run += text[i];
+    }
+    return html;
+}
@@ -0,0 +1,260 @@
+/**
+ * Libraries
+ * A browser profile can hold several named libraries, each a separate SQLite database
+ * with its own storage key, drafts, settings and passphrase. The list of libraries and
+ * the last one opened live in localStorage, outside any one database.
+ *
+ * Routes carry the library they belong to: #/@work/idea/123 is idea 123 in "work".
+ */
+
+const REGISTRY_KEY = 'idea-libraries';
+
+/**
+ * The library every existing install starts with; it keeps the original storage key
+ */
+export const DEFAULT_LIBRARY_ID = 'default';
+const DEFAULT_LIBRARY_NAME = 'My Ideas';
+const LEGACY_DRAFT_PREFIX = 'idea-draft-';
+
+/**
+ * Read the registry, creating it on first use
+ * @returns {{active: string, libraries: Array<{id: string, name: string, created_at: string}>}}
+ */
+function loadRegistry() {
+    try {
+        const registry = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+        if (registry && Array.isArray(registry.libraries) && registry.libraries.length > 0) {
+            return registry;
+        }
+    } catch (error) {
+        console.warn('Library list is unreadable; starting over:', error);
+    }
+
+    const registry = {
+        active: DEFAULT_LIBRARY_ID,
+        libraries: [{ id: DEFAULT_LIBRARY_ID, name: DEFAULT_LIBRARY_NAME, created_at: new Date().toISOString() }]
+    };
+    moveLegacyDrafts();
+    saveRegistry(registry);
+    return registry;
+}
+
+/**
+ * Write the registry back to localStorage
+ */
+function saveRegistry(registry) {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+}
+
+/**
+ * Move drafts saved before libraries existed into the default library
+ */
+function moveLegacyDrafts() {
+    Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+        .filter(key => key.startsWith(LEGACY_DRAFT_PREFIX))
+        .forEach(key => {
+            const id = key.slice(LEGACY_DRAFT_PREFIX.length);
+            localStorage.setItem(getDraftPrefix(DEFAULT_LIBRARY_ID) + id, localStorage.getItem(key));
+            localStorage.removeItem(key);
+        });
+}
+
+/**
+ * Turn a name into an id for URLs and storage keys, unique among the existing libraries
+ * Ids never change afterwards, so renaming a library keeps its links working.
+ */
+function makeLibraryId(name, libraries) {
+    const base = name.toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'library';
+
+    let id = base;
+    for (let n = 2; libraries.some(library => library.id === id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+/**
+ * Check a library name and make sure no other library uses it
+ * @throws {Error} With a message to show next to the name field
+ */
+function validateName(name, libraries, exceptId = null) {
+    if (!name) {
+        throw new Error('Library name cannot be empty.');
+    }
+    const taken = libraries.some(library =>
+        library.id !== exceptId && library.name.toLowerCase() === name.toLowerCase());
+    if (taken) {
+        throw new Error(`There is already a library called "${name}".`);
+    }
+}
+
+/**
+ * List every library, oldest first
+ * @returns {Array<{id: string, name: string, created_at: string}>}
+ */
+export function getLibraries() {
+    return loadRegistry().libraries;
+}
+
+/**
+ * Find a library by id
+ * @returns {Object|null}
+ */
+export function getLibrary(id) {
+    return getLibraries().find(library => library.id === id) || null;
+}
+
+/**
+ * Id of the library opened last, used when a route doesn't name one
+ */
+export function getActiveLibraryId() {
+    const registry = loadRegistry();
+    return registry.libraries.some(library => library.id === registry.active)
+        ? registry.active
+        : registry.libraries[0].id;
+}
+
+/**
+ * Remember the library being opened
+ */
+export function setActiveLibraryId(id) {
+    const registry = loadRegistry();
+    registry.active = id;
+    saveRegistry(registry);
+}
+
+/**
+ * Add an empty library
+ * Its database is created the first time it is opened.
+ * @param {string} name
+ * @returns {Object} The new library
+ * @throws {Error} If the name is empty or taken
+ */
+export function createLibrary(name) {
+    const registry = loadRegistry();
+    const trimmed = name.trim();
+    validateName(trimmed, registry.libraries);
+
+    const library = { id: makeLibraryId(trimmed, registry.libraries), name: trimmed, created_at: new Date().toISOString() };
+    registry.libraries.push(library);
+    saveRegistry(registry);
+    return library;
+}
+
+/**
+ * Rename a library; its id, and so its URLs and stored data, stay the same
+ * @throws {Error} If the name is empty or taken
+ */
+export function renameLibrary(id, name) {
+    const registry = loadRegistry();
+    const trimmed = name.trim();
+    validateName(trimmed, registry.libraries, id);
+
+    const library = registry.libraries.find(l => l.id === id);
+    if (!library) throw new Error('Library not found.');
+    library.name = trimmed;
+    saveRegistry(registry);
+    return library;
+}
+
+/**
+ * Copy a library's stored database into a new library named "<name> (copy)"
+ * An encrypted library stays encrypted with the same passphrase. Flush the open
+ * database first when duplicating it.
+ * @param {Object} storage - Storage backend (see storage.js)
+ * @param {string} id - Library to copy
+ * @returns {Promise<Object>} The new library
+ */
+export async function duplicateLibrary(storage, id) {
+    const source = getLibrary(id);
+    if (!source) throw new Error('Library not found.');
+
+    const names = getLibraries().map(library => library.name.toLowerCase());
+    let name = `${source.name} (copy)`;
+    for (let n = 2; names.includes(name.toLowerCase()); n++) {
+        name = `${source.name} (copy ${n})`;
+    }
+
+    const data = await storage.load(getStorageKey(id));
+    const library = createLibrary(name);
+    if (data) {
+        try {
+            await storage.save(getStorageKey(library.id), data);
+        } catch (error) {
+            await deleteLibrary(storage, library.id);
+            throw error;
+        }
+    }
+    return library;
+}
+
+/**
+ * Delete a library with its stored database and drafts
+ * A synced folder is disconnected; the files in it are kept.
+ * @param {Object} storage - Storage backend (see storage.js)
+ * @param {string} id
+ * @throws {Error} When it is the only library
+ */
+export async function deleteLibrary(storage, id) {
+    const registry = loadRegistry();
+    if (registry.libraries.length === 1) {
+        throw new Error('The last library cannot be deleted.');
+    }
+
+    registry.libraries = registry.libraries.filter(library => library.id !== id);
+    if (registry.active === id) {
+        registry.active = registry.libraries[0].id;
+    }
+    saveRegistry(registry);
+
+    const draftPrefix = getDraftPrefix(id);
+    Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+        .filter(key => key.startsWith(draftPrefix))
+        .forEach(key => localStorage.removeItem(key));
+    await storage.remove(getStorageKey(id));
+    await storage.removeHandle(getStorageKey(id));
+}
+
+/**
+ * Storage key of a library's database
+ * The default library uses the key from before libraries existed, so its data is found.
+ */
+export function getStorageKey(id) {
+    return id === DEFAULT_LIBRARY_ID ? 'idea-library.db' : `idea-library-${id}.db`;
+}
+
+/**
+ * localStorage key prefix for a library's unsaved drafts
+ */
+export function getDraftPrefix(id) {
+    return `idea-draft/${id}/`;
+}
+
+/**
+ * Split a route into the library it names and the rest
+ * "#/@work/tags" gives { libraryId: 'work', route: '/tags' }; "#/tags" has no library.
+ * @param {string} hash - window.location.hash
+ * @returns {{libraryId: string|null, route: string}}
+ */
+export function parseLibraryRoute(hash) {
+    const route = hash.replace(/^#/, '') || '/';
+    const match = route.match(/^\/@([^/?]+)(.*)$/);
+    if (!match) {
+        return { libraryId: null, route };
+    }
+    return { libraryId: match[1], route: match[2].startsWith('/') ? match[2] : '/' + match[2] };
+}
+
+/**
+ * Build a hash for a route in a library
+ * @param {string} id - Library id
+ * @param {string} [route='/'] - Route without a library, e.g. '/idea/123'
+ */
+export function libraryHash(id, route = '/') {
+    const path = route.replace(/^#/, '');
+    return `#/@${id}${path.startsWith('/') ? path : '/' + path}`;
+}
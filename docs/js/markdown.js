@@ -0,0 +1,599 @@
+/**
+ * Markdown Rendering
+ * Converts idea bodies to HTML for the detail view and form preview.
+ * Supports headings, paragraphs, emphasis, inline code, fenced code blocks,
+ * blockquotes, nested lists, task lists, links, tables and horizontal rules.
+ * [[Wiki links]] to other ideas are resolved through a caller-supplied function, and
+ * so are images stored with the idea, written ![alt](attachment:<id>).
+ *
+ * Safety: raw HTML in the source is never passed through - all text is escaped
+ * while rendering - and the result is then run through an allowlist sanitizer.
+ */
+
+const ALLOWED_TAGS = {
+    P: [], BR: [], HR: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    EM: [], STRONG: [], DEL: [], CODE: ['class'], PRE: [],
+    BLOCKQUOTE: [],
+    UL: ['class'], OL: ['start', 'class'], LI: ['class'],
+    INPUT: ['type', 'checked', 'disabled', 'aria-label'],
+    A: ['href', 'title', 'target', 'rel', 'class'],
+    SPAN: ['class', 'title'],
+    IMG: ['src', 'alt', 'title', 'class'],
+    TABLE: [], THEAD: [], TBODY: [], TR: [], TH: ['class'], TD: ['class']
+};
+
+// Elements whose content must never be shown, even as text
+const DROP_WITH_CONTENT = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT'];
+
+const SAFE_URL = /^(https?:|mailto:|#|\/|\.\/|\.\.\/)/i;
+// Images only ever show attachments, through object URLs made by the app
+const SAFE_IMAGE_URL = /^blob:/i;
+const ATTACHMENT_URL = /^attachment:(\S+)$/i;
+
+const PLACEHOLDER = '\u0000';
+let nextTokenId = 0;  // Placeholder ids are unique across nested renderInline() calls
+let resolveWikiLink = null;  // Set by renderMarkdown() for the duration of one render
+let findAttachment = null;  // Likewise
+
+// [[Target]] or [[Target|label]]; the target is an idea title or id
+const WIKI_LINK = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+
+/**
+ * Escape text for use in HTML content or attribute values
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether a link target is safe to render
+ */
+function isSafeUrl(url) {
+    return SAFE_URL.test(url.trim());
+}
+
+/**
+ * Render a link, falling back to plain text for unsafe targets
+ */
+function renderLink(text, url, title) {
+    if (!isSafeUrl(url)) return text;
+
+    const external = /^https?:/i.test(url);
+    return `<a href="${escapeHtml(url)}"` +
+        (title ? ` title="${escapeHtml(title)}"` : '') +
+        (external ? ' target="_blank" rel="noopener noreferrer"' : '') +
+        `>${text}</a>`;
+}
+
+/**
+ * Render a [[wiki link]] as a link to the idea it names, or as a marked-up
+ * placeholder when no idea matches yet
+ */
+function renderWikiLink(target, label) {
+    const idea = resolveWikiLink ? resolveWikiLink(target.trim()) : null;
+    const text = escapeHtml((label || (idea ? idea.title : target)).trim());
+
+    if (!idea) {
+        return `<span class="wiki-link wiki-link-missing" title="No idea named &quot;${escapeHtml(target.trim())}&quot; yet">${text}</span>`;
+    }
+    return `<a href="#/idea/${encodeURIComponent(idea.id)}" class="wiki-link">${text}</a>`;
+}
+
+/**
+ * Render an image; only attachments are shown, other images become links
+ */
+function renderImage(alt, url, title) {
+    const reference = url.match(ATTACHMENT_URL);
+    if (!reference) return renderLink(escapeHtml(alt || url), url, title);
+
+    const attachment = findAttachment ? findAttachment(reference[1]) : null;
+    if (!attachment) {
+        return `<span class="attachment-missing" title="Missing attachment">${escapeHtml(alt || 'Missing attachment')}</span>`;
+    }
+    if (!attachment.url) {
+        // Not an image: named here, downloadable from the attachment list
+        return `<span class="attachment-ref" title="Attachment">${escapeHtml(alt || attachment.filename)}</span>`;
+    }
+    return `<img src="${escapeHtml(attachment.url)}" alt="${escapeHtml(alt)}"` +
+        (title ? ` title="${escapeHtml(title)}"` : '') + '>';
+}
+
+/**
+ * Render inline Markdown: code, links, emphasis and line breaks
+ */
+function renderInline(source) {
+    const tokens = new Map();
+    const hold = (html) => {
+        const id = nextTokenId++;
+        tokens.set(id, html);
+        return `${PLACEHOLDER}${id}${PLACEHOLDER}`;
+    };
+
+    let text = source
+        // Backslash escapes
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (m, ch) => hold(escapeHtml(ch)))
+        // Code spans
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        // Wiki links to other ideas
+        .replace(WIKI_LINK, (m, target, label) => hold(renderWikiLink(target, label)))
+        // Images other than attachments are shown as links to keep the page free of external requests
+        .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g,
+            (m, alt, url, title) => hold(renderImage(alt, url, title)))
+        // Links
+        .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g,
+            (m, label, url, title) => hold(renderLink(renderInline(label), url, title)))
+        // Autolinks <https://...>
+        .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, (m, url) => hold(renderLink(escapeHtml(url), url)))
+        // Bare URLs
+        .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]]/g, (url) => hold(renderLink(escapeHtml(url), url)));
+
+    text = escapeHtml(text)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        // Hard line breaks: two trailing spaces or a trailing backslash
+        .replace(/( {2,}|\\)\n/g, '<br>\n');
+
+    // Restore held tokens; they may nest, e.g. a code span inside a link label
+    const placeholderPattern = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(placeholderPattern, (m, id) => tokens.has(Number(id)) ? tokens.get(Number(id)) : m);
+    } while (text !== previous);
+    return text;
+}
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const HR = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Count leading spaces, treating tabs as four spaces
+ */
+function indentOf(line) {
+    return line.replace(/\t/g, '    ').match(/^ */)[0].length;
+}
+
+/**
+ * Remove up to `count` columns of indentation
+ */
+function dedent(line, count) {
+    const expanded = line.replace(/\t/g, '    ');
+    return expanded.slice(Math.min(count, indentOf(expanded)));
+}
+
+/**
+ * Check whether a line begins a block that interrupts a paragraph
+ */
+function startsBlock(line, nextLine) {
+    return FENCE.test(line) || HEADING.test(line) || HR.test(line) ||
+        BLOCKQUOTE.test(line) || LIST_ITEM.test(line) ||
+        (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER.test(nextLine));
+}
+
+/**
+ * Split a table row into cells
+ */
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    // Split on pipes that are not escaped as \|
+    const cells = [''];
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            cells[cells.length - 1] += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push('');
+        } else {
+            cells[cells.length - 1] += row[i];
+        }
+    }
+    return cells.map(cell => cell.trim());
+}
+
+/**
+ * Render a GFM pipe table
+ */
+function renderTable(headerLine, dividerLine, bodyLines) {
+    const alignments = splitRow(dividerLine).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'align-center';
+        if (right) return 'align-right';
+        if (left) return 'align-left';
+        return '';
+    });
+    const cell = (tag, content, i) => {
+        const align = alignments[i] ? ` class="${alignments[i]}"` : '';
+        return `<${tag}${align}>${renderInline(content || '')}</${tag}>`;
+    };
+
+    const headers = splitRow(headerLine);
+    const head = `<thead><tr>${headers.map((h, i) => cell('th', h, i)).join('')}</tr></thead>`;
+    const rows = bodyLines.map(line => {
+        const cells = splitRow(line);
+        return `<tr>${headers.map((h, i) => cell('td', cells[i], i)).join('')}</tr>`;
+    });
+
+    return `<table>${head}${rows.length ? `<tbody>${rows.join('')}</tbody>` : ''}</table>`;
+}
+
+/**
+ * Render a list starting at lines[start]
+ * @returns {{html: string, next: number}} Rendered list and the index after it
+ */
+function renderList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const baseIndent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        // Continuation lines belong to the item while they are indented past its marker
+        const contentIndent = baseIndent + match[2].length + 1;
+        const content = [match[3]];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                // A blank line continues the item only if indented content follows
+                const next = lines.slice(i + 1).find(l => l.trim());
+                if (next === undefined || indentOf(next) < contentIndent) break;
+                content.push('');
+            } else if (indentOf(line) >= contentIndent || (indentOf(line) > baseIndent && LIST_ITEM.test(line))) {
+                content.push(dedent(line, contentIndent));
+            } else if (!startsBlock(line) && content[content.length - 1] !== '') {
+                content.push(line.trim());  // Lazy paragraph continuation
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        items.push(content);
+
+        // Skip blank lines between sibling items
+        let j = i;
+        while (j < lines.length && !lines[j].trim()) j++;
+        const nextItem = j < lines.length && lines[j].match(LIST_ITEM);
+        if (nextItem && indentOf(nextItem[1]) === baseIndent) i = j;
+        else break;
+    }
+
+    const isTaskList = items.some(content => /^\[[ xX]\]\s/.test(content[0]));
+    const itemsHtml = items.map(content => {
+        const task = content[0].match(/^\[([ xX])\]\s+(.*)$/);
+        if (task) {
+            const checked = task[1] !== ' ';
+            const body = renderBlocks([task[2], ...content.slice(1)], true);
+            return `<li class="task-list-item"><input type="checkbox" disabled${checked ? ' checked' : ''}` +
+                ` aria-label="${checked ? 'Completed' : 'Not completed'}"> ${body}</li>`;
+        }
+        return `<li>${renderBlocks(content, true)}</li>`;
+    }).join('');
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const attrs = (ordered && startNumber !== 1 ? ` start="${startNumber}"` : '') +
+        (isTaskList ? ' class="task-list"' : '');
+
+    return { html: `<${tag}${attrs}>${itemsHtml}</${tag}>`, next: i };
+}
+
+/**
+ * Render block-level Markdown
+ * @param {Array<string>} lines
+ * @param {boolean} tight - Render a lone paragraph without <p> (list items)
+ */
+function renderBlocks(lines, tight = false) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;  // Skip the closing fence
+            const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            blocks.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (HR.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() && (BLOCKQUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+                const match = lines[i].match(BLOCKQUOTE);
+                quoted.push(match ? match[1] : lines[i]);
+                i++;
+            }
+            blocks.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = renderList(lines, i);
+            blocks.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+            const header = line;
+            const divider = lines[i + 1];
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                rows.push(lines[i]);
+                i++;
+            }
+            blocks.push(renderTable(header, divider, rows));
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1])) {
+            paragraph.push(lines[i].replace(/^\s+/, ''));
+            i++;
+        }
+        blocks.push({ paragraph: renderInline(paragraph.join('\n')) });
+    }
+
+    const toHtml = (block) => typeof block === 'object' ? `<p>${block.paragraph}</p>` : block;
+
+    // In a list item the leading paragraph stays inline, so tight lists don't gain spacing
+    if (tight && typeof blocks[0] === 'object') {
+        return [blocks[0].paragraph, ...blocks.slice(1).map(toHtml)].join('');
+    }
+
+    return blocks.map(toHtml).join('');
+}
+
+/**
+ * Remove every element and attribute that is not explicitly allowed
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const clean = (parent) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const allowedAttrs = ALLOWED_TAGS[node.tagName];
+            if (!allowedAttrs) {
+                if (DROP_WITH_CONTENT.includes(node.tagName)) {
+                    node.remove();
+                } else {
+                    // Keep the text of unknown elements, drop the element itself
+                    clean(node);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                const unsafeHref = name === 'href' && !isSafeUrl(attr.value);
+                const unsafeSrc = name === 'src' && !SAFE_IMAGE_URL.test(attr.value.trim());
+                const unsafeInput = node.tagName === 'INPUT' && name === 'type' && attr.value !== 'checkbox';
+                if (!allowedAttrs.includes(name) || unsafeHref || unsafeSrc || unsafeInput) {
+                    node.removeAttribute(attr.name);
+                }
+            });
+
+            // Inputs are only ever display-only task checkboxes
+            if (node.tagName === 'INPUT') {
+                node.setAttribute('type', 'checkbox');
+                node.setAttribute('disabled', '');
+            }
+
+            // Links opening a new tab must not get a handle on this window
+            if (node.hasAttribute('target')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            clean(node);
+        });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} source - Markdown text
+ * @param {Object} options
+ * @param {Function} options.resolveLink - Maps a [[wiki link]] target to { id, title }, or null if unknown
+ * @param {Function} options.resolveAttachment - Maps an attachment id to { filename, url }, or null if
+ *   unknown; url is a blob: URL for images the page can show, and null for other files
+ * @returns {string} Safe HTML
+ */
+export function renderMarkdown(source, { resolveLink = null, resolveAttachment = null } = {}) {
+    const lines = (source || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+
+    resolveWikiLink = resolveLink;
+    findAttachment = resolveAttachment;
+    try {
+        return sanitizeHtml(renderBlocks(lines));
+    } finally {
+        resolveWikiLink = null;
+        findAttachment = null;
+    }
+}
+
+/**
+ * Reduce Markdown to plain text for previews
+ * @param {string} source - Markdown text
+ * @returns {string} Text with the Markdown syntax removed, whitespace collapsed
+ */
+export function stripMarkdown(source) {
+    return (source || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, '')          // Code fences
+        .replace(/^ {0,3}#{1,6}\s+/gm, '')                  // Headings
+        .replace(/^ {0,3}>\s?/gm, '')                       // Blockquotes
+        .replace(/^\s*([-*+]|\d{1,9}[.)])\s+(\[[ xX]\]\s+)?/gm, '')  // List markers and task boxes
+        .replace(/^ {0,3}([-*_])(\s*\1){2,}\s*$/gm, '')     // Horizontal rules
+        .replace(/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/gm, '')  // Table dividers
+        .replace(WIKI_LINK, (m, target, label) => (label || target).trim())  // Wiki links
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')           // Images
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')            // Links
+        .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, '$1')
+        .replace(/(\*\*|__|~~|`)(.+?)\1/g, '$2')            // Bold, strikethrough, code
+        .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')           // Emphasis
+        .replace(/\s*\|\s*/g, ' ')                          // Table pipes
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, '$1')      // Backslash escapes
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const TASK_ITEM = /^(\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\]\s+)(.*\S)\s*$/;
+
+/**
+ * Rewrite the lines of a Markdown document that are outside fenced code blocks
+ * @param {string} source - Markdown text
+ * @param {Function} transform - Called as (line, index); returns the new line
+ * @returns {string} Markdown with the transformed lines
+ */
+function mapProseLines(source, transform) {
+    let openFence = null;
+
+    return (source || '').replace(/\r\n?/g, '\n').split('\n').map((line, index) => {
+        const fence = line.match(FENCE);
+        if (fence) {
+            if (!openFence) {
+                openFence = fence[1];
+            } else if (fence[1][0] === openFence[0] && fence[1].length >= openFence.length) {
+                openFence = null;
+            }
+            return line;
+        }
+        return openFence ? line : transform(line, index);
+    }).join('\n');
+}
+
+/**
+ * Find task list items (- [ ] / - [x]) outside code blocks
+ * @param {string} source - Markdown text
+ * @returns {Array<{line: number, text: string, done: boolean}>} Tasks with their 0-based line number
+ */
+export function parseTaskItems(source) {
+    const tasks = [];
+
+    mapProseLines(source, (line, index) => {
+        const task = line.match(TASK_ITEM);
+        if (task) {
+            tasks.push({ line: index, text: task[4], done: task[2] !== ' ' });
+        }
+        return line;
+    });
+
+    return tasks;
+}
+
+/**
+ * Tick the task item on a given line
+ * @param {string} source - Markdown text
+ * @param {number} lineNumber - 0-based line, as returned by parseTaskItems()
+ * @returns {string} Markdown with that task marked [x]
+ */
+export function checkTaskItem(source, lineNumber) {
+    const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lineNumber] !== undefined) {
+        lines[lineNumber] = lines[lineNumber].replace(TASK_ITEM, '$1x$3$4');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Find the [[wiki link]] targets in a document, ignoring code
+ * @param {string} source - Markdown text
+ * @returns {Array<string>} Distinct targets in order of appearance
+ */
+export function parseWikiLinks(source) {
+    const targets = new Set();
+
+    mapProseLines(source, (line) => {
+        const prose = line.replace(/(`+)[\s\S]*?[^`]\1(?!`)/g, '');
+        for (const match of prose.matchAll(WIKI_LINK)) {
+            targets.add(match[1].trim());
+        }
+        return line;
+    });
+
+    return [...targets];
+}
+
+/**
+ * Point [[wiki links]] at a new target, e.g. after the linked idea is renamed
+ * Matching is case-insensitive; link labels are kept.
+ * @param {string} source - Markdown text
+ * @param {string} oldTarget - Target to replace
+ * @param {string} newTarget - Replacement target
+ * @returns {string} Updated Markdown
+ */
+export function replaceWikiLinkTarget(source, oldTarget, newTarget) {
+    const wanted = oldTarget.trim().toLowerCase();
+
+    return mapProseLines(source, (line) => line.replace(WIKI_LINK, (m, target, label) => {
+        if (target.trim().toLowerCase() !== wanted) return m;
+        return label ? `[[${newTarget}|${label}]]` : `[[${newTarget}]]`;
+    }));
+}
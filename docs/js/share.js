@@ -0,0 +1,117 @@
+/**
+ * Incoming Content
+ * Reads what is shared to the app (Web Share Target), pasted or dropped into it, as
+ * {title, text, url, files} ready to be captured.
+ *
+ * A share arrives as a POST that the service worker answers: it stores the form data in
+ * the SHARE_CACHE cache under SHARE_KEY and redirects to #/share, where the app picks it
+ * up with takePendingShare(). The two constants must match the ones in sw.js. The cache
+ * is not encrypted, so while an encrypted library is locked the share waits there in
+ * plain text; the unlock screen says so and offers discardPendingShare().
+ */
+
+const SHARE_CACHE = 'idea-library-share';
+const SHARE_KEY = 'pending-share';
+
+/**
+ * Image types kept as attachments; SVG is left out because it can carry scripts
+ */
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+
+const LONE_URL = /^https?:\/\/\S+$/i;
+
+/**
+ * Check whether a file is an image the app keeps
+ * @param {File} file
+ */
+export function isSupportedImage(file) {
+    return IMAGE_TYPES.includes(file.type);
+}
+
+/**
+ * Tidy up incoming content
+ * Apps often share a link as text, or as text followed by the link; the link is moved to url.
+ * @param {{title?: string, text?: string, url?: string, files?: Array<File>}} incoming
+ * @returns {{title: string, text: string, url: string, files: Array<File>}|null}
+ *   null when there is nothing to capture
+ */
+export function normalizeIncoming({ title = '', text = '', url = '', files = [] }) {
+    title = title.trim();
+    text = text.trim();
+    url = url.trim();
+
+    if (!url && LONE_URL.test(text)) {
+        url = text;
+        text = '';
+    } else if (!url) {
+        const trailing = text.match(/\s(https?:\/\/\S+)$/i);
+        if (trailing) {
+            url = trailing[1];
+            text = text.slice(0, -trailing[0].length).trim();
+        }
+    }
+    if (url && text === url) text = '';
+
+    if (!title && !text && !url && files.length === 0) return null;
+    return { title, text, url, files };
+}
+
+/**
+ * Read pasted or dropped content
+ * @param {DataTransfer} dataTransfer - From a paste or drop event
+ * @returns {{title: string, text: string, url: string, files: Array<File>}|null}
+ */
+export function readDataTransfer(dataTransfer) {
+    if (!dataTransfer) return null;
+
+    // text/uri-list has one address per line; lines starting with # are comments
+    const url = dataTransfer.getData('text/uri-list')
+        .split(/\r?\n/)
+        .find(line => line && !line.startsWith('#')) || '';
+    const text = dataTransfer.getData('text/plain');
+
+    return normalizeIncoming({ text, url, files: Array.from(dataTransfer.files || []) });
+}
+
+/**
+ * Check whether shared content is waiting to be captured
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingShare() {
+    if (typeof caches === 'undefined') return false;
+
+    const cache = await caches.open(SHARE_CACHE);
+    return Boolean(await cache.match(SHARE_KEY));
+}
+
+/**
+ * Throw away shared content without capturing it
+ * @returns {Promise<void>}
+ */
+export async function discardPendingShare() {
+    if (typeof caches === 'undefined') return;
+
+    const cache = await caches.open(SHARE_CACHE);
+    await cache.delete(SHARE_KEY);
+}
+
+/**
+ * Take the content shared to the app, if any, removing it so it is only captured once
+ * @returns {Promise<{title: string, text: string, url: string, files: Array<File>}|null>}
+ */
+export async function takePendingShare() {
+    if (typeof caches === 'undefined') return null;
+
+    const cache = await caches.open(SHARE_CACHE);
+    const response = await cache.match(SHARE_KEY);
+    if (!response) return null;
+    await cache.delete(SHARE_KEY);
+
+    const data = await response.formData();
+    return normalizeIncoming({
+        title: data.get('title') || '',
+        text: data.get('text') || '',
+        url: data.get('url') || '',
+        files: data.getAll('files').filter(file => typeof file !== 'string')
+    });
+}
@@ -0,0 +1,184 @@
+/**
+ * Storage Backends
+ * Persist the serialized SQLite database between sessions.
+ * Every backend exposes the same async interface:
+ *   load(key)        -> Uint8Array | null
+ *   save(key, data)  -> void
+ *   remove(key)      -> void
+ *   loadHandle(key)  -> FileSystemHandle | null  (folder sync; see folder-sync.js)
+ *   saveHandle(key, handle) -> void
+ *   removeHandle(key) -> void
+ */
+
+const IDB_NAME = 'idea-library';
+const IDB_VERSION = 2;  // 2 added the handles store
+const IDB_STORE = 'databases';
+const IDB_HANDLE_STORE = 'handles';
+
+/**
+ * Raised when the browser refuses a write because storage is full
+ */
+export class StorageQuotaError extends Error {
+    constructor(message = 'Browser storage is full. Export a backup and free up space, then try again.') {
+        super(message);
+        this.name = 'StorageQuotaError';
+    }
+}
+
+/**
+ * Check whether an error from a storage API means the quota was exceeded
+ */
+function isQuotaError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22
+    );
+}
+
+/**
+ * Wrap an IDBRequest in a Promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB backend - stores the raw Uint8Array, no encoding overhead
+ */
+export class IndexedDBStorage {
+    constructor() {
+        this.idb = null;
+    }
+
+    /**
+     * Open (and if needed create) the IndexedDB database
+     */
+    async open() {
+        const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+        request.onupgradeneeded = () => {
+            const idb = request.result;
+            [IDB_STORE, IDB_HANDLE_STORE].forEach(name => {
+                if (!idb.objectStoreNames.contains(name)) idb.createObjectStore(name);
+            });
+        };
+        this.idb = await promisifyRequest(request);
+        return this;
+    }
+
+    async load(key) {
+        const tx = this.idb.transaction(IDB_STORE, 'readonly');
+        const data = await promisifyRequest(tx.objectStore(IDB_STORE).get(key));
+        return data ? new Uint8Array(data) : null;
+    }
+
+    async save(key, data) {
+        const tx = this.idb.transaction(IDB_STORE, 'readwrite');
+        tx.objectStore(IDB_STORE).put(data, key);
+
+        // Quota failures surface as a transaction abort, not a request error
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }).catch(error => {
+            throw isQuotaError(error) ? new StorageQuotaError() : error;
+        });
+    }
+
+    async remove(key) {
+        const tx = this.idb.transaction(IDB_STORE, 'readwrite');
+        await promisifyRequest(tx.objectStore(IDB_STORE).delete(key));
+    }
+
+    // File system handles can be stored in IndexedDB as they are
+    async loadHandle(key) {
+        const tx = this.idb.transaction(IDB_HANDLE_STORE, 'readonly');
+        return (await promisifyRequest(tx.objectStore(IDB_HANDLE_STORE).get(key))) || null;
+    }
+
+    async saveHandle(key, handle) {
+        const tx = this.idb.transaction(IDB_HANDLE_STORE, 'readwrite');
+        await promisifyRequest(tx.objectStore(IDB_HANDLE_STORE).put(handle, key));
+    }
+
+    async removeHandle(key) {
+        const tx = this.idb.transaction(IDB_HANDLE_STORE, 'readwrite');
+        await promisifyRequest(tx.objectStore(IDB_HANDLE_STORE).delete(key));
+    }
+}
+
+/**
+ * localStorage backend - Base64 text, limited to ~5 MB
+ * Used when IndexedDB is unavailable, and to read data saved by older versions.
+ */
+export class LocalStorageStorage {
+    async load(key) {
+        const base64 = localStorage.getItem(key);
+        return base64 ? base64ToUint8Array(base64) : null;
+    }
+
+    async save(key, data) {
+        try {
+            localStorage.setItem(key, uint8ArrayToBase64(data));
+        } catch (error) {
+            throw isQuotaError(error) ? new StorageQuotaError() : error;
+        }
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+
+    // Handles can't be serialized to text, so a synced folder is chosen again each session
+    async loadHandle() {
+        return null;
+    }
+
+    async saveHandle() {}
+
+    async removeHandle() {}
+}
+
+/**
+ * Pick the best available backend
+ * Falls back to localStorage when IndexedDB is missing or blocked (e.g. some private modes)
+ */
+export async function createStorage() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await new IndexedDBStorage().open();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    return new LocalStorageStorage();
+}
+
+/**
+ * Convert Uint8Array to Base64
+ */
+export function uint8ArrayToBase64(uint8Array) {
+    let binary = '';
+    const len = uint8Array.byteLength;
+    for (let i = 0; i < len; i++) {
+        binary += String.fromCharCode(uint8Array[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Convert Base64 to Uint8Array
+ */
+export function base64ToUint8Array(base64) {
+    const binary = atob(base64);
+    const len = binary.length;
+    const uint8Array = new Uint8Array(len);
+    for (let i = 0; i < len; i++) {
+        uint8Array[i] = binary.charCodeAt(i);
+    }
+    return uint8Array;
+}
@@ -0,0 +1,318 @@
+/**
+ * Server Sync
+ * Keeps a library in step across devices through a sync server. The database logs every
+ * change to an idea (see createChangeLogSchema() in db.js); a sync pulls the changes other
+ * devices pushed since the last one, applies them, then pushes this device's own.
+ *
+ * The engine talks to the server through a transport, so another backend can be plugged
+ * in. A transport has two methods:
+ *   pull(cursor)     -> {changes, cursor, more}  Changes after cursor, in the server's order
+ *   push(changes)    -> {cursor}                 Stores changes; ones it already has are ignored
+ * A change is:
+ *   {op_id, device_id, clock, idea_id, op: 'create'|'update'|'delete', fields, base, created_at}
+ * where fields is the whole idea after the change and base the idea before it (updates only).
+ * HttpSyncTransport speaks to the reference server in server/sync-server.mjs.
+ */
+
+const SYNC_DELAY_MS = 2000;  // Local changes are pushed after this pause
+const POLL_INTERVAL_MS = 60000;  // How often the server is asked for other devices' changes
+const PUSH_BATCH_SIZE = 200;
+const PUSH_MAX_BYTES = 4 * 1024 * 1024;  // Below the reference server's 5 MB request limit
+
+/**
+ * Raised when the sync server answers with an error
+ */
+export class SyncServerError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SyncServerError';
+        this.status = status;
+    }
+}
+
+/**
+ * Raised after a push that held back changes too large to send
+ * Each stays in the log until its idea is edited, which logs a change that replaces it;
+ * the changes to other ideas were sent.
+ */
+export class SyncChangeTooLargeError extends Error {
+    /**
+     * @param {Array<{change: Object, bytes: number}>} held
+     */
+    constructor(held) {
+        const megabytes = (size) => `${(size / (1024 * 1024)).toFixed(1)} MB`;
+        const titles = held.map(({ change }) => `"${change.fields.title || 'Untitled'}"`);
+        super(held.length === 1
+            ? `${titles[0]} is too large to sync (${megabytes(held[0].bytes)}; the limit is ` +
+                `${megabytes(PUSH_MAX_BYTES)}). Shorten its description to send it.`
+            : `${titles.join(', ')} are too large to sync (the limit is ${megabytes(PUSH_MAX_BYTES)} ` +
+                'each). Shorten their descriptions to send them.');
+        this.name = 'SyncChangeTooLargeError';
+        this.ideaIds = held.map(({ change }) => change.idea_id);
+    }
+}
+
+/**
+ * Transport for the reference sync server's HTTP API
+ *   GET  {url}/libraries/{library}/changes?since={cursor}
+ *   POST {url}/libraries/{library}/changes   with {changes: [...]}
+ */
+export class HttpSyncTransport {
+    /**
+     * @param {{url: string, library: string, token: string}} server
+     */
+    constructor({ url, library, token }) {
+        this.endpoint = `${url.replace(/\/+$/, '')}/libraries/${encodeURIComponent(library)}/changes`;
+        this.token = token;
+    }
+
+    /**
+     * Send a request and parse the JSON answer
+     * @throws {SyncServerError} When the server answers with an error
+     * @throws {TypeError} When the server can't be reached
+     */
+    async request(query, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(this.endpoint + query, { ...options, headers });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = response.status === 401
+                ? 'The sync server did not accept the access token.'
+                : body.error || `The sync server answered ${response.status}.`;
+            throw new SyncServerError(response.status, message);
+        }
+        return body;
+    }
+
+    pull(cursor) {
+        return this.request(`?since=${cursor}`);
+    }
+
+    push(changes) {
+        return this.request('', { method: 'POST', body: JSON.stringify({ changes }) });
+    }
+}
+
+/**
+ * Keeps one library in step with a sync server
+ * States: 'off' (not connected) and 'on'. A failed sync keeps the state and records
+ * the error; the next one retries, so working offline just delays the sync.
+ */
+export class SyncEngine {
+    /**
+     * @param {IdeaDatabase} database - The open library
+     * @param {Function} createTransport - Makes a transport for a server setting
+     */
+    constructor(database, createTransport = server => new HttpSyncTransport(server)) {
+        this.db = database;
+        this.createTransport = createTransport;
+        this.transport = null;
+        this.state = 'off';
+        this.lastSyncedAt = null;
+        this.lastResult = null;  // Counts from the last sync
+        this.lastError = null;
+        this.running = null;  // Promise of the sync in progress
+        this.rerun = false;  // Something changed while a sync was running
+        this.syncTimer = null;
+        this.pollTimer = null;
+        this.onStatusChange = null;  // Callback() after each sync and state change
+    }
+
+    /**
+     * Reconnect to the server set up in an earlier session
+     */
+    restore() {
+        const server = this.db.getSyncServer();
+        if (!server) return Promise.resolve();
+
+        // A duplicated library comes with the original's connection; it has to connect on its own
+        if (server.storage_key !== this.db.storageKey) {
+            this.db.stopChangeLog();
+            return Promise.resolve();
+        }
+
+        this.transport = this.createTransport(server);
+        this.setState('on');
+        return this.sync();
+    }
+
+    /**
+     * Connect to a server and send it the library
+     * Nothing is kept if the first sync fails, so a typo in the address can be fixed.
+     * @param {{url: string, library: string, token: string}} server
+     * @throws {SyncServerError|TypeError} What made the first sync fail
+     */
+    async connect(server) {
+        this.transport = this.createTransport(server);
+        this.db.startChangeLog(server);
+        this.setState('on');
+        await this.sync();
+
+        if (this.lastError) {
+            const error = this.lastError;
+            this.disconnect();
+            throw error;
+        }
+    }
+
+    /**
+     * Stop syncing; the server keeps what it has
+     */
+    disconnect() {
+        this.setState('off');
+        this.transport = null;
+        this.lastSyncedAt = null;
+        this.lastResult = null;
+        this.lastError = null;
+        this.db.stopChangeLog();
+        this.notify();
+    }
+
+    /**
+     * Switch state, polling the server only while syncing
+     */
+    setState(state) {
+        this.state = state;
+        clearInterval(this.pollTimer);
+        this.pollTimer = state === 'on' ? setInterval(() => this.sync(), POLL_INTERVAL_MS) : null;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onStatusChange) this.onStatusChange();
+    }
+
+    /**
+     * Sync shortly, coalescing changes made in quick succession
+     */
+    scheduleSync() {
+        if (this.state !== 'on') return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.sync(), SYNC_DELAY_MS);
+    }
+
+    /**
+     * Sync now
+     * A request while a sync is running makes it run once more when it finishes.
+     * @returns {Promise<void>}
+     */
+    sync() {
+        if (this.state !== 'on') return Promise.resolve();
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        clearTimeout(this.syncTimer);
+        this.running = (async () => {
+            do {
+                this.rerun = false;
+                await this.syncOnce();
+            } while (this.rerun && this.state === 'on');
+        })().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    /**
+     * Run one sync, recording the outcome for the status display
+     */
+    async syncOnce() {
+        try {
+            const pulled = await this.pull();
+            const pushed = await this.push();
+            this.lastResult = { ...pulled, pushed };
+            this.lastSyncedAt = new Date();
+            this.lastError = null;
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.lastError = error;
+        }
+        this.notify();
+    }
+
+    /**
+     * Apply every change pushed by other devices since the last pull
+     * @returns {Promise<{pulled: number, merged: number}>}
+     */
+    async pull() {
+        const result = { pulled: 0, merged: 0 };
+        let cursor = this.db.getSyncCursor();
+        let more = true;
+
+        while (more) {
+            const page = await this.transport.pull(cursor);
+            if (page.changes.length > 0) {
+                const applied = this.db.applyRemoteChanges(page.changes);
+                result.pulled += applied.applied;
+                result.merged += applied.merged;
+            }
+            if (page.cursor !== cursor) {
+                cursor = page.cursor;
+                this.db.setSyncCursor(cursor);
+            }
+            more = page.more && page.changes.length > 0;
+        }
+        return result;
+    }
+
+    /**
+     * Send this device's changes to the server
+     * @returns {Promise<number>} Number of changes sent
+     * @throws {SyncChangeTooLargeError} Once the rest are sent, when some were too large to send
+     */
+    async push() {
+        const held = new Map();
+        let pushed = 0;
+        let changes = this.nextPushBatch(held);
+
+        while (changes.length > 0) {
+            await this.transport.push(changes);
+            this.db.removePendingChanges(changes.map(change => change.op_id));
+            pushed += changes.length;
+            changes = this.nextPushBatch(held);
+        }
+        if (held.size > 0) {
+            throw new SyncChangeTooLargeError([...held.values()]);
+        }
+        return pushed;
+    }
+
+    /**
+     * Take the next changes to push: at most PUSH_BATCH_SIZE, and PUSH_MAX_BYTES once encoded
+     * A change too large to send is dropped when a later change to the same idea is waiting,
+     * since that one carries the whole idea too. Otherwise its idea is added to held and left
+     * out of this push, so its changes still go to the server in order.
+     * @param {Map<string, {change: Object, bytes: number}>} held - Ideas held back, by id
+     * @returns {Array<Object>}
+     */
+    nextPushBatch(held) {
+        const encoder = new TextEncoder();
+        const changes = [];
+        let bytes = 0;
+
+        for (const change of this.db.getPendingChanges(PUSH_BATCH_SIZE, [...held.keys()])) {
+            if (held.has(change.idea_id)) continue;
+
+            const size = encoder.encode(JSON.stringify(change)).length;
+            if (size > PUSH_MAX_BYTES) {
+                if (!this.db.supersedeChange(change.op_id)) {
+                    held.set(change.idea_id, { change, bytes: size });
+                    continue;
+                }
+                // The change that took over has a new base, so it is read again
+                if (changes.length > 0) break;
+                return this.nextPushBatch(held);
+            }
+            if (bytes + size > PUSH_MAX_BYTES) break;
+            changes.push(change);
+            bytes += size;
+        }
+        return changes;
+    }
+}
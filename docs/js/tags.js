@@ -0,0 +1,136 @@
+/**
+ * Hierarchical Tags
+ * Tags can be namespaced with "/" (e.g. work/clients/acme). A tag matches itself
+ * and every tag below it, and parent paths exist implicitly even when no idea
+ * uses them directly.
+ */
+
+export const TAG_SEPARATOR = '/';
+
+/**
+ * Normalize a tag path: trim each segment and drop empty ones
+ * "work / clients//acme/" becomes "work/clients/acme".
+ * @param {string} tag
+ * @returns {string} The normalized path ('' when nothing is left)
+ */
+export function normalizeTag(tag) {
+    return String(tag)
+        .split(TAG_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .join(TAG_SEPARATOR);
+}
+
+/**
+ * Split a tag path into its segments
+ * @param {string} tag
+ * @returns {Array<string>}
+ */
+export function tagSegments(tag) {
+    return tag.split(TAG_SEPARATOR);
+}
+
+/**
+ * Check whether a tag is the given tag or one of its descendants
+ * @param {string} tag - Tag to test
+ * @param {string} ancestor - Parent path
+ * @returns {boolean}
+ */
+export function isTagWithin(tag, ancestor) {
+    return tag === ancestor || tag.startsWith(ancestor + TAG_SEPARATOR);
+}
+
+/**
+ * Build a tree from tag paths
+ * Each node counts the distinct ideas tagged with it or any of its descendants.
+ * @param {Array<{name: string, ideaId: string}>} usages - One entry per idea/tag pair
+ * @returns {Array<{name: string, path: string, count: number, children: Array}>} Top-level nodes, sorted by name
+ */
+export function buildTagTree(usages) {
+    const root = { children: new Map() };
+    const ideaSets = new Map();
+
+    usages.forEach(({ name, ideaId }) => {
+        let node = root;
+        tagSegments(name).forEach((segment, index, segments) => {
+            if (!node.children.has(segment)) {
+                const path = segments.slice(0, index + 1).join(TAG_SEPARATOR);
+                node.children.set(segment, { name: segment, path, children: new Map() });
+                ideaSets.set(path, new Set());
+            }
+            node = node.children.get(segment);
+            ideaSets.get(node.path).add(ideaId);
+        });
+    });
+
+    const toArray = (children) => Array.from(children.values())
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+        .map(node => ({
+            name: node.name,
+            path: node.path,
+            count: ideaSets.get(node.path).size,
+            children: toArray(node.children)
+        }));
+
+    return toArray(root.children);
+}
+
+/**
+ * List the next-level paths below a parent, for segment-by-segment completion
+ * @param {Array<string>} tags - Every known tag
+ * @param {string} parent - Parent path ('' for top level)
+ * @returns {Array<{path: string, segment: string, isTag: boolean, hasChildren: boolean}>} Sorted by segment
+ */
+export function getChildSegments(tags, parent) {
+    const prefix = parent ? parent + TAG_SEPARATOR : '';
+    const children = new Map();
+
+    tags.forEach(tag => {
+        if (!tag.startsWith(prefix) || tag === parent) return;
+
+        const [segment, ...rest] = tagSegments(tag.slice(prefix.length));
+        const child = children.get(segment) || {
+            path: prefix + segment,
+            segment,
+            isTag: false,
+            hasChildren: false
+        };
+        if (rest.length === 0) {
+            child.isTag = true;
+        } else {
+            child.hasChildren = true;
+        }
+        children.set(segment, child);
+    });
+
+    return Array.from(children.values())
+        .sort((a, b) => a.segment.localeCompare(b.segment, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Flatten a tag tree into a list, parents before their children
+ * @param {Array} nodes - Output of buildTagTree()
+ * @returns {Array<{path: string, depth: number, count: number}>}
+ */
+export function flattenTagTree(nodes, depth = 0) {
+    return nodes.flatMap(node => [
+        { path: node.path, depth, count: node.count },
+        ...flattenTagTree(node.children, depth + 1)
+    ]);
+}
+
+/**
+ * Merge two edits of the same tag list
+ * Tags either side added are kept and tags either side removed are dropped, so both
+ * edits survive. Our order comes first.
+ * @param {Array<string>} base - The list both edits started from
+ * @param {Array<string>} ours
+ * @param {Array<string>} theirs
+ * @returns {Array<string>}
+ */
+export function mergeTagLists(base, ours, theirs) {
+    const removed = base.filter(tag => !theirs.includes(tag));
+    const added = theirs.filter(tag => !base.includes(tag));
+    const kept = ours.filter(tag => !removed.includes(tag));
+    return [...kept, ...added.filter(tag => !kept.includes(tag))];
+}
@@ -0,0 +1,83 @@
+/**
+ * Idea Templates
+ * A template fills in a new idea's description, tags and next action. The built-in ones
+ * ship with the app; the library's own are stored in it (see createTemplateSchema() in db.js).
+ * Variables in a template are expanded when the idea is created:
+ *   {{title}}  The idea's title
+ *   {{date}}   The day it was created, as YYYY-MM-DD
+ *   {{time}}   The time it was created, as HH:MM
+ * Anything else in double braces is left as it is.
+ */
+
+/**
+ * Templates that come with the app; they can be copied but not changed
+ * "Structured idea" is the body of the repo's .idea-template.md; keep the two in step.
+ */
+export const BUILTIN_TEMPLATES = [
+    {
+        id: 'builtin-structured-idea',
+        name: 'Structured idea',
+        body: `# Description
+
+Write your idea here in Markdown format. Capture the raw thought as it emerged.
+
+## Context
+
+What prompted this idea? What problem does it address? What opportunity does it present?
+
+## Initial Thoughts
+
+- Key point 1
+- Key point 2
+- Key point 3
+
+## Insights
+
+*To be developed as the idea matures*
+
+Key insights distilled from exploring this idea:
+
+1.
+2.
+3.
+
+## Action Items
+
+*Add when idea reaches 'actionable' status*
+
+- [ ] First actionable step
+- [ ] Second actionable step
+- [ ] Third actionable step
+
+## References
+
+- Link to related resources
+- Books, articles, people
+- Other ideas
+
+## Notes
+
+Additional thoughts, explorations, or development notes.`,
+        tags: [],
+        next_action: null,
+        builtin: true
+    }
+];
+
+const VARIABLE = /\{\{\s*(title|date|time)\s*\}\}/g;
+
+/**
+ * Expand the variables in a template's text
+ * @param {string} text
+ * @param {{title: string, now?: Date}} values
+ * @returns {string}
+ */
+export function expandTemplate(text, { title, now = new Date() }) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const values = {
+        title,
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}:${pad(now.getMinutes())}`
+    };
+    return text.replace(VARIABLE, (m, name) => values[name]);
+}
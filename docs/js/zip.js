@@ -0,0 +1,184 @@
+/**
+ * Minimal ZIP support
+ * Writes uncompressed ("stored") archives and reads stored or deflated ones.
+ * Deflate is decoded with the browser's DecompressionStream, so no library is needed.
+ * ZIP64 and encrypted archives are not supported.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+let crcTable = null;
+
+/**
+ * CRC-32 as required by the ZIP format
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a Date as MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, data: string|Uint8Array, modified?: Date}>} files
+ * @returns {Blob} application/zip blob
+ */
+export function createZip(files) {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+        const { time, day } = toDosDateTime(file.modified || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, 20, true);            // version needed
+        local.setUint16(6, UTF8_FLAG, true);     // flags
+        local.setUint16(8, 0, true);             // method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);  // compressed size
+        local.setUint32(22, data.length, true);  // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);            // extra length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, 20, true);          // version made by
+        central.setUint16(6, 20, true);          // version needed
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);     // local header offset
+
+        parts.push(local, name, data);
+        centralDirectory.push(central, name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIR_SIGNATURE, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Inflate raw deflate data
+ */
+async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP files. Try importing the folder instead.');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every file in a ZIP archive
+ * Directory entries are skipped.
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>}
+ */
+export async function readZip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    // The end record sits at the very end, followed by an optional comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('This file is not a valid ZIP archive.');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const files = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(pointer, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('ZIP archive is corrupted.');
+        }
+
+        const flags = view.getUint16(pointer + 8, true);
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) {
+            throw new Error(`"${name}" is encrypted and cannot be read.`);
+        }
+
+        // Sizes in the local header may be zero (data descriptor), so take them from the central one
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = raw.slice();
+        } else if (method === 8) {
+            data = await inflateRaw(raw);
+        } else {
+            throw new Error(`"${name}" uses an unsupported compression method.`);
+        }
+
+        files.push({ name, data });
+    }
+
+    return files;
+}
@@ -0,0 +1,103 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the library opens offline. Bump CACHE_VERSION whenever
+ * a file in APP_SHELL changes: the new worker installs next to the old one and waits
+ * until the user picks "Reload" in the app's update banner.
+ */
+
+const CACHE_VERSION = 11;
+const CACHE_PREFIX = 'idea-library-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Content shared to the app waits here until the page takes it (see js/share.js)
+const SHARE_CACHE = `${CACHE_PREFIX}share`;
+const SHARE_KEY = 'pending-share';
+
+/**
+ * Everything the app needs to start, relative to this file
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/main.css',
+    'js/app.js',
+    'js/crypto.js',
+    'js/db.js',
+    'js/diff.js',
+    'js/folder-sync.js',
+    'js/frontmatter.js',
+    'js/fuzzy.js',
+    'js/libraries.js',
+    'js/markdown.js',
+    'js/share.js',
+    'js/storage.js',
+    'js/sync.js',
+    'js/tags.js',
+    'js/templates.js',
+    'js/zip.js',
+    'vendor/sql.js/sql-wasm.js',
+    'vendor/sql.js/sql-wasm.wasm',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== SHARE_CACHE)
+                .map(key => caches.delete(key))
+            ))
+            // Take over pages opened before the first install, so they work offline too
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the app when the user chooses to reload into a waiting version
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Keep content shared to the app (the manifest's share_target) and open the app to capture it
+ */
+async function receiveShare(request) {
+    const data = await request.formData();
+    const cache = await caches.open(SHARE_CACHE);
+    await cache.put(SHARE_KEY, new Response(data));
+    return Response.redirect(new URL('./#/share', self.registration.scope).href, 303);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+    if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    // Routes live in the hash, so every page load is the cached index.html
+    const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(cacheKey, { ignoreSearch: true }))
+            .then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Idea Library Sync Server
+ * Reference server for the app's server sync (docs/js/sync.js). It stores each library's
+ * change log as a JSON Lines file and hands the changes back out in the order they
+ * arrived. Merging happens on the devices; the server only keeps the log.
+ *
+ * No dependencies beyond Node.js 18+:
+ *   node server/sync-server.mjs
+ *
+ * Environment:
+ *   PORT           Port to listen on (default 8787)
+ *   SYNC_DATA_DIR  Where change logs are kept (default ./sync-data)
+ *   SYNC_TOKEN     Access token the app must send; unset allows anyone who can reach it
+ *   SYNC_ORIGIN    Origin allowed to call the server from a browser (default *)
+ *
+ * API:
+ *   GET  /libraries/{library}/changes?since={cursor}
+ *        -> {changes: [...], cursor, more}  Changes after cursor, each with its seq
+ *   POST /libraries/{library}/changes  with {changes: [...]}
+ *        -> {accepted, cursor}  Changes whose op_id the log already has are skipped
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { timingSafeEqual } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+const TOKEN = process.env.SYNC_TOKEN || null;
+const ORIGIN = process.env.SYNC_ORIGIN || '*';
+const PAGE_SIZE = 500;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const LIBRARY_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const OPS = ['create', 'update', 'delete'];
+
+/**
+ * An error with the HTTP status to answer it with
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * The change log of one library, held in memory and appended to its file
+ */
+class ChangeLog {
+    constructor(file) {
+        this.file = file;
+        this.changes = [];
+        this.opIds = new Set();
+        this.writing = Promise.resolve();  // Appends are written one after another
+    }
+
+    async load() {
+        let text = '';
+        try {
+            text = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        text.split('\n').filter(Boolean).forEach(line => {
+            const change = JSON.parse(line);
+            this.changes.push(change);
+            this.opIds.add(change.op_id);
+        });
+        return this;
+    }
+
+    /**
+     * Changes after a cursor, at most one page
+     */
+    since(cursor) {
+        const changes = this.changes.slice(cursor, cursor + PAGE_SIZE);
+        const end = cursor + changes.length;
+        return { changes, cursor: end, more: end < this.changes.length };
+    }
+
+    /**
+     * Append the changes the log doesn't have yet
+     * @returns {Promise<number>} Number appended
+     */
+    append(changes) {
+        const fresh = changes.filter(change => !this.opIds.has(change.op_id));
+        fresh.forEach(change => {
+            this.opIds.add(change.op_id);
+            this.changes.push({ ...change, seq: this.changes.length + 1 });
+        });
+        if (fresh.length === 0) return Promise.resolve(0);
+
+        const lines = this.changes.slice(-fresh.length).map(change => JSON.stringify(change) + '\n').join('');
+        this.writing = this.writing.then(() => fs.appendFile(this.file, lines));
+        return this.writing.then(() => fresh.length);
+    }
+}
+
+const logs = new Map();  // Library name -> Promise<ChangeLog>
+
+function getLog(library) {
+    if (!logs.has(library)) {
+        const log = new ChangeLog(path.join(DATA_DIR, `${library}.jsonl`)).load();
+        logs.set(library, log.catch(error => {
+            logs.delete(library);
+            throw error;
+        }));
+    }
+    return logs.get(library);
+}
+
+/**
+ * Check that a change has the fields every client relies on
+ */
+function isValidChange(change) {
+    return !!change && typeof change === 'object' &&
+        typeof change.op_id === 'string' && change.op_id.length > 0 &&
+        typeof change.device_id === 'string' && change.device_id.length > 0 &&
+        Number.isInteger(change.clock) && change.clock >= 0 &&
+        typeof change.idea_id === 'string' && change.idea_id.length > 0 &&
+        OPS.includes(change.op) &&
+        !!change.fields && typeof change.fields === 'object';
+}
+
+function isAuthorized(request) {
+    if (!TOKEN) return true;
+    const expected = Buffer.from(`Bearer ${TOKEN}`);
+    const given = Buffer.from(request.headers.authorization || '');
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+async function readJson(request) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request is too large.');
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body is not valid JSON.');
+    }
+}
+
+async function handle(request, url) {
+    const match = url.pathname.match(/^\/libraries\/([^/]+)\/changes\/?$/);
+    if (!match) throw new HttpError(404, 'Not found.');
+    if (!isAuthorized(request)) throw new HttpError(401, 'Missing or wrong access token.');
+
+    const library = match[1];
+    if (!LIBRARY_NAME.test(library)) {
+        throw new HttpError(400, 'Library names use letters, digits, - and _ (up to 64).');
+    }
+    const log = await getLog(library);
+
+    if (request.method === 'GET') {
+        const cursor = Number(url.searchParams.get('since') || 0);
+        if (!Number.isInteger(cursor) || cursor < 0) throw new HttpError(400, 'since must be a cursor from an earlier answer.');
+        return log.since(cursor);
+    }
+
+    if (request.method === 'POST') {
+        const body = await readJson(request);
+        if (!body || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+            throw new HttpError(400, 'Expected {changes: [...]} with valid changes.');
+        }
+        const accepted = await log.append(body.changes);
+        return { accepted, cursor: log.changes.length };
+    }
+
+    throw new HttpError(405, 'Method not allowed.');
+}
+
+const server = http.createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', ORIGIN);
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+    }
+
+    let status = 200;
+    let body;
+    try {
+        body = await handle(request, new URL(request.url, 'http://localhost'));
+    } catch (error) {
+        status = error.status || 500;
+        body = { error: error.status ? error.message : 'Internal server error.' };
+        if (!error.status) console.error(error);
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+});
+
+await fs.mkdir(DATA_DIR, { recursive: true });
+server.listen(PORT, () => {
+    console.log(`Idea Library sync server on http://localhost:${PORT}, storing change logs in ${DATA_DIR}`);
+    if (!TOKEN) console.log('SYNC_TOKEN is not set: anyone who can reach this server can read and write.');
+});